@@ -0,0 +1,88 @@
+// Answer intake rules: when a student may answer, whether they may change it, and how long they took
+//
+// Answer policies:
+//   allow_changes: the latest answer counts until the question closes
+//   first_answer:  the first answer is final
+//
+// Quizzes can set it in front matter:
+//   answer_changes: lock          (or "allow")
+const { normalizeAnswer, isSameAnswer } = require('./grading');
+
+const ANSWER_POLICY_ALLOW_CHANGES = 'allow_changes';
+const ANSWER_POLICY_FIRST_ANSWER = 'first_answer';
+const ANSWER_POLICIES = [ANSWER_POLICY_ALLOW_CHANGES, ANSWER_POLICY_FIRST_ANSWER];
+const DEFAULT_ANSWER_POLICY = ANSWER_POLICY_ALLOW_CHANGES;
+
+// The phase in which the open question takes answers
+const ANSWER_PHASE = 2;
+
+function isValidAnswerPolicy(policy) {
+  return ANSWER_POLICIES.includes(policy);
+}
+
+// Answer policy from quiz front matter; returns { policy } or { error } with a readable message
+function answerPolicyFromQuizMetadata(metadata = {}) {
+  const value = metadata.answer_changes;
+  if (value === undefined) return { policy: DEFAULT_ANSWER_POLICY };
+  const word = value.toLowerCase();
+  if (word === 'allow') return { policy: ANSWER_POLICY_ALLOW_CHANGES };
+  if (word === 'lock') return { policy: ANSWER_POLICY_FIRST_ANSWER };
+  return { error: 'Invalid answer_changes setting: use "allow" or "lock"' };
+}
+
+// Decide whether a submitted answer counts (answer shapes depend on the question type, see grading.js)
+// Returns { accepted: false, reason } or { accepted: true, answer, changed, previousAnswer, responseMs }
+function checkAnswer(room, studentId, submitted, now = Date.now()) {
+  if (!studentId || !room.students.has(studentId)) {
+    return { accepted: false, reason: 'not_joined' };
+  }
+  if (room.currentPhase !== ANSWER_PHASE) {
+    return { accepted: false, reason: 'question_not_open' };
+  }
+  if (room.answersLocked) {
+    return { accepted: false, reason: 'time_up' };
+  }
+
+  const question = room.currentQuiz?.parsed?.questions[room.currentQuestionIdx];
+  const answer = normalizeAnswer(question, submitted);
+  if (answer === null) {
+    return { accepted: false, reason: 'invalid_answer' };
+  }
+
+  const hasAnswer = room.answers.has(studentId);
+  const previousAnswer = hasAnswer ? room.answers.get(studentId) : null;
+  if (hasAnswer && room.answerPolicy === ANSWER_POLICY_FIRST_ANSWER) {
+    return { accepted: false, reason: 'answer_locked' };
+  }
+
+  return {
+    accepted: true,
+    answer,
+    changed: hasAnswer && !isSameAnswer(previousAnswer, answer),
+    previousAnswer,
+    responseMs: room.questionOpenedAt ? Math.max(0, now - room.questionOpenedAt) : null,
+  };
+}
+
+// Store an accepted answer and its timing
+// answerTimes: Map of student_id => { responseMs, changes }
+function recordAnswer(room, studentId, { answer, changed, responseMs }) {
+  const previous = room.answerTimes.get(studentId);
+  room.answers.set(studentId, answer);
+  room.answerTimes.set(studentId, {
+    responseMs,
+    changes: (previous?.changes || 0) + (changed ? 1 : 0),
+  });
+}
+
+module.exports = {
+  ANSWER_POLICY_ALLOW_CHANGES,
+  ANSWER_POLICY_FIRST_ANSWER,
+  ANSWER_POLICIES,
+  DEFAULT_ANSWER_POLICY,
+  ANSWER_PHASE,
+  isValidAnswerPolicy,
+  answerPolicyFromQuizMetadata,
+  checkAnswer,
+  recordAnswer,
+};
@@ -0,0 +1,69 @@
+const {
+  ANSWER_POLICY_ALLOW_CHANGES,
+  ANSWER_POLICY_FIRST_ANSWER,
+  answerPolicyFromQuizMetadata,
+  checkAnswer,
+  recordAnswer,
+} = require('./answers');
+const { createRoomState } = require('./rooms');
+const { parseQuizMarkdown } = require('./quizParser');
+
+function openQuestionRoom() {
+  const room = createRoomState('ABCDE');
+  const content = '## Q\n- [x] a\n- [ ] b\n- [ ] c';
+  room.currentQuiz = { content, filename: 'q.md', parsed: parseQuizMarkdown(content) };
+  room.students.set('s1', { name: 'Ann', square: 0, sockets: new Set() });
+  room.currentPhase = 2;
+  room.questionOpenedAt = 1000;
+  return room;
+}
+
+describe('answers', () => {
+  test('answers are only taken from joined students while the question is open', () => {
+    const room = openQuestionRoom();
+    expect(checkAnswer(room, 'ghost', 0, 2000)).toEqual({ accepted: false, reason: 'not_joined' });
+
+    room.currentPhase = 3;
+    expect(checkAnswer(room, 's1', 0, 2000)).toEqual({ accepted: false, reason: 'question_not_open' });
+
+    room.currentPhase = 2;
+    room.answersLocked = true;
+    expect(checkAnswer(room, 's1', 0, 2000)).toEqual({ accepted: false, reason: 'time_up' });
+  });
+
+  test('answer indices must name one of the question choices', () => {
+    const room = openQuestionRoom();
+    expect(checkAnswer(room, 's1', 3, 2000)).toEqual({ accepted: false, reason: 'invalid_answer' });
+    expect(checkAnswer(room, 's1', 1.5, 2000)).toEqual({ accepted: false, reason: 'invalid_answer' });
+    expect(checkAnswer(room, 's1', 2, 2000)).toEqual({
+      accepted: true, answer: 2, changed: false, previousAnswer: null, responseMs: 1000,
+    });
+  });
+
+  test('allow_changes keeps the latest answer and counts the changes', () => {
+    const room = openQuestionRoom();
+    room.answerPolicy = ANSWER_POLICY_ALLOW_CHANGES;
+    recordAnswer(room, 's1', checkAnswer(room, 's1', 1, 1500));
+
+    const second = checkAnswer(room, 's1', 0, 2500);
+    expect(second).toEqual({ accepted: true, answer: 0, changed: true, previousAnswer: 1, responseMs: 1500 });
+    recordAnswer(room, 's1', second);
+
+    expect(room.answers.get('s1')).toBe(0);
+    expect(room.answerTimes.get('s1')).toEqual({ responseMs: 1500, changes: 1 });
+  });
+
+  test('first_answer rejects any later answer', () => {
+    const room = openQuestionRoom();
+    room.answerPolicy = ANSWER_POLICY_FIRST_ANSWER;
+    recordAnswer(room, 's1', checkAnswer(room, 's1', 1, 1500));
+    expect(checkAnswer(room, 's1', 0, 2500)).toEqual({ accepted: false, reason: 'answer_locked' });
+    expect(room.answers.get('s1')).toBe(1);
+  });
+
+  test('answerPolicyFromQuizMetadata reads front matter', () => {
+    expect(answerPolicyFromQuizMetadata({})).toEqual({ policy: ANSWER_POLICY_ALLOW_CHANGES });
+    expect(answerPolicyFromQuizMetadata({ answer_changes: 'Lock' })).toEqual({ policy: ANSWER_POLICY_FIRST_ANSWER });
+    expect(answerPolicyFromQuizMetadata({ answer_changes: 'sometimes' }).error).toMatch(/answer_changes/);
+  });
+});
@@ -0,0 +1,147 @@
+// Teacher/admin authentication shared by socket.io and the HTTP routes
+//
+// ADMIN_TOKEN is the deployment admin's password: it can manage every room and session, and acts as TEACHER_EMAIL.
+// Schools sharing one deployment give each teacher their own password with
+//   TEACHER_TOKENS=ann@school.org:password1,bob@school.org:password2
+// Teachers run their own rooms and can only delete, restore or star the sessions they started.
+const crypto = require('crypto');
+
+const ROLE_ADMIN = 'admin';
+const ROLE_STUDENT = 'student';
+
+function normalizeEmail(email) {
+  return typeof email === 'string' && email.trim() !== '' ? email.trim().toLowerCase() : null;
+}
+
+// [{ email, token }] from TEACHER_TOKENS; malformed entries are skipped
+function parseTeacherTokens(value = process.env.TEACHER_TOKENS) {
+  if (!value) return [];
+  const teachers = [];
+  for (const entry of String(value).split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator < 0) continue;
+    const email = normalizeEmail(entry.slice(0, separator));
+    const token = entry.slice(separator + 1).trim();
+    if (email && email.includes('@') && token) teachers.push({ email, token });
+  }
+  return teachers;
+}
+
+function isAdminAuthConfigured() {
+  return Boolean(process.env.ADMIN_TOKEN) || parseTeacherTokens().length > 0;
+}
+
+// Compare digests so the check takes the same time regardless of where the strings differ
+function tokensMatch(token, expected) {
+  if (!expected || typeof token !== 'string' || token.length === 0) return false;
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function isValidAdminToken(token) {
+  return tokensMatch(token, process.env.ADMIN_TOKEN);
+}
+
+// { email, isAdmin } for the admin or a teacher password, null otherwise
+function authenticateTeacher(token) {
+  if (isValidAdminToken(token)) {
+    return { email: normalizeEmail(process.env.TEACHER_EMAIL), isAdmin: true };
+  }
+  // Check every entry so the time taken doesn't reveal which teacher matched
+  let match = null;
+  for (const teacher of parseTeacherTokens()) {
+    if (tokensMatch(token, teacher.token) && !match) match = teacher;
+  }
+  return match ? { email: match.email, isAdmin: false } : null;
+}
+
+// Whether a teacher may manage a room or session owned by ownerEmail; unowned ones are admin-only
+function canManage(teacher, ownerEmail) {
+  if (!teacher) return false;
+  if (teacher.isAdmin) return true;
+  const owner = normalizeEmail(ownerEmail);
+  return owner !== null && owner === teacher.email;
+}
+
+// Pull the admin token out of an HTTP request: bearer header, form field or query string
+function getRequestToken(req) {
+  const header = req.get ? req.get('authorization') : req.headers?.authorization;
+  if (typeof header === 'string' && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (req.body && typeof req.body.token === 'string') return req.body.token;
+  if (req.query && typeof req.query.token === 'string') return req.query.token;
+  return null;
+}
+
+// socket.io middleware: assigns socket.data.role (and socket.data.teacher for teachers) from the connection handshake
+function socketAuthMiddleware(socket, next) {
+  const token = socket.handshake?.auth?.token;
+  socket.data.role = ROLE_STUDENT;
+  socket.data.teacher = null;
+
+  if (token === undefined || token === null || token === '') {
+    return next();
+  }
+
+  const teacher = authenticateTeacher(token);
+  if (!teacher) {
+    console.log(`[AUTH] Rejected admin handshake from ${socket.id}`);
+    const err = new Error('admin_auth_failed');
+    err.data = { reason: isAdminAuthConfigured() ? 'invalid_token' : 'admin_auth_not_configured' };
+    return next(err);
+  }
+
+  // Every teacher gets the admin role for their own rooms; ownership is checked per room
+  socket.data.role = ROLE_ADMIN;
+  socket.data.teacher = teacher;
+  console.log(`[AUTH] ${teacher.isAdmin ? 'Admin' : `Teacher ${teacher.email}`} authenticated on socket ${socket.id}`);
+  return next();
+}
+
+function isAdminSocket(socket) {
+  return socket?.data?.role === ROLE_ADMIN;
+}
+
+function unauthorized(req, res) {
+  console.log(`[AUTH] Unauthorized ${req.method} ${req.originalUrl}`);
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message: isAdminAuthConfigured()
+      ? 'A valid admin token is required'
+      : 'Admin authentication is not configured on this server'
+  });
+}
+
+// Express middleware for routes that only the admin may use (deployment-wide actions)
+function requireAdmin(req, res, next) {
+  const teacher = authenticateTeacher(getRequestToken(req));
+  if (!teacher?.isAdmin) return unauthorized(req, res);
+  req.teacher = teacher;
+  return next();
+}
+
+// Express middleware for routes any teacher may use; sets req.teacher for ownership checks
+function requireTeacher(req, res, next) {
+  const teacher = authenticateTeacher(getRequestToken(req));
+  if (!teacher) return unauthorized(req, res);
+  req.teacher = teacher;
+  return next();
+}
+
+module.exports = {
+  ROLE_ADMIN,
+  ROLE_STUDENT,
+  normalizeEmail,
+  parseTeacherTokens,
+  isAdminAuthConfigured,
+  isValidAdminToken,
+  authenticateTeacher,
+  canManage,
+  getRequestToken,
+  socketAuthMiddleware,
+  isAdminSocket,
+  requireAdmin,
+  requireTeacher,
+};
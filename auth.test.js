@@ -0,0 +1,114 @@
+const {
+  isValidAdminToken,
+  parseTeacherTokens,
+  authenticateTeacher,
+  canManage,
+  getRequestToken,
+  socketAuthMiddleware,
+  requireAdmin,
+  requireTeacher,
+} = require('./auth');
+
+describe('admin auth', () => {
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'secret';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_TOKEN;
+    delete process.env.TEACHER_TOKENS;
+    delete process.env.TEACHER_EMAIL;
+  });
+
+  test('isValidAdminToken matches the configured token only', () => {
+    expect(isValidAdminToken('secret')).toBe(true);
+    expect(isValidAdminToken('wrong')).toBe(false);
+    expect(isValidAdminToken('')).toBe(false);
+    expect(isValidAdminToken(undefined)).toBe(false);
+  });
+
+  test('isValidAdminToken rejects everything when no token is configured', () => {
+    delete process.env.ADMIN_TOKEN;
+    expect(isValidAdminToken('secret')).toBe(false);
+    expect(isValidAdminToken('')).toBe(false);
+  });
+
+  test('getRequestToken reads bearer header, form body and query', () => {
+    const withHeader = { headers: { authorization: 'Bearer abc' } };
+    expect(getRequestToken(withHeader)).toBe('abc');
+    expect(getRequestToken({ headers: {}, body: { token: 'def' } })).toBe('def');
+    expect(getRequestToken({ headers: {}, query: { token: 'ghi' } })).toBe('ghi');
+    expect(getRequestToken({ headers: {} })).toBeNull();
+  });
+
+  test('socketAuthMiddleware assigns roles from the handshake', () => {
+    const next = jest.fn();
+    const student = { id: 's1', data: {}, handshake: { auth: {} } };
+    socketAuthMiddleware(student, next);
+    expect(student.data.role).toBe('student');
+    expect(next).toHaveBeenLastCalledWith();
+
+    const admin = { id: 's2', data: {}, handshake: { auth: { token: 'secret' } } };
+    socketAuthMiddleware(admin, next);
+    expect(admin.data.role).toBe('admin');
+    expect(next).toHaveBeenLastCalledWith();
+
+    const impostor = { id: 's3', data: {}, handshake: { auth: { token: 'nope' } } };
+    socketAuthMiddleware(impostor, next);
+    expect(impostor.data.role).toBe('student');
+    expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'admin_auth_failed' }));
+  });
+
+  test('requireAdmin responds 401 without a valid token', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    requireAdmin({ method: 'DELETE', originalUrl: '/api/session/x', headers: {} }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    requireAdmin({ method: 'DELETE', originalUrl: '/api/session/x', headers: { authorization: 'Bearer secret' } }, res, next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('teacher passwords come from TEACHER_TOKENS and identify the teacher', () => {
+    process.env.TEACHER_TOKENS = ' Ann@School.org:pass:word , broken, bob@school.org: , carl@school.org:carl-pw';
+    process.env.TEACHER_EMAIL = 'office@school.org';
+    expect(parseTeacherTokens()).toEqual([
+      { email: 'ann@school.org', token: 'pass:word' },
+      { email: 'carl@school.org', token: 'carl-pw' },
+    ]);
+
+    expect(authenticateTeacher('pass:word')).toEqual({ email: 'ann@school.org', isAdmin: false });
+    expect(authenticateTeacher('secret')).toEqual({ email: 'office@school.org', isAdmin: true });
+    expect(authenticateTeacher('nope')).toBeNull();
+    // A teacher password is not the admin password
+    expect(isValidAdminToken('carl-pw')).toBe(false);
+  });
+
+  test('only the owner or the admin may manage a room or session', () => {
+    const ann = { email: 'ann@school.org', isAdmin: false };
+    expect(canManage(ann, 'Ann@School.org')).toBe(true);
+    expect(canManage(ann, 'bob@school.org')).toBe(false);
+    expect(canManage(ann, null)).toBe(false);
+    expect(canManage({ email: null, isAdmin: true }, 'bob@school.org')).toBe(true);
+    expect(canManage(null, 'ann@school.org')).toBe(false);
+  });
+
+  test('teacher sockets get the admin role and their identity; requireAdmin still wants the admin', () => {
+    process.env.TEACHER_TOKENS = 'ann@school.org:ann-pw';
+    const next = jest.fn();
+    const socket = { id: 's4', data: {}, handshake: { auth: { token: 'ann-pw' } } };
+    socketAuthMiddleware(socket, next);
+    expect(socket.data).toMatchObject({ role: 'admin', teacher: { email: 'ann@school.org', isAdmin: false } });
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const req = { method: 'POST', originalUrl: '/api/retention/sweep', headers: { authorization: 'Bearer ann-pw' } };
+    requireAdmin(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    const allowed = jest.fn();
+    requireTeacher(req, res, allowed);
+    expect(allowed).toHaveBeenCalled();
+    expect(req.teacher).toEqual({ email: 'ann@school.org', isAdmin: false });
+  });
+});
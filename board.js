@@ -0,0 +1,157 @@
+// Board layout: how many squares, what happens at the end, and special squares
+//
+// A board is { squares, end, specials: [{ square, type, amount? }] }
+//   end: 'wrap' (run past the last square back to 0) or 'finish' (the last square ends the race)
+//   boost: move ahead `amount` more squares, slide: move back `amount` squares,
+//   skip: the student's next earned move is forfeited
+//
+// Quizzes can set it in front matter:
+//   board_squares: 60
+//   board_end: finish
+//   board_specials: 8 boost 3, 21 slide 5, 34 skip
+
+const BOARD_END_WRAP = 'wrap';
+const BOARD_END_FINISH = 'finish';
+const SPECIAL_TYPES = ['boost', 'slide', 'skip'];
+
+const DEFAULT_BOARD_SQUARES = 96;
+const MIN_BOARD_SQUARES = 10;
+const MAX_BOARD_SQUARES = 500;
+
+function createDefaultBoard() {
+  return { squares: DEFAULT_BOARD_SQUARES, end: BOARD_END_WRAP, specials: [] };
+}
+
+function getFinishSquare(board) {
+  return board.squares - 1;
+}
+
+// Whether a square ends the race: the last square of a finish board (wraparound boards have no finish)
+function isFinishSquare(board, square) {
+  return board.end === BOARD_END_FINISH && square >= getFinishSquare(board);
+}
+
+// Validated copy of a board config, or null when anything about it is invalid
+function normalizeBoardConfig(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const squares = input.squares ?? DEFAULT_BOARD_SQUARES;
+  if (!Number.isInteger(squares) || squares < MIN_BOARD_SQUARES || squares > MAX_BOARD_SQUARES) return null;
+
+  const end = input.end ?? BOARD_END_WRAP;
+  if (end !== BOARD_END_WRAP && end !== BOARD_END_FINISH) return null;
+
+  const specials = [];
+  const used = new Set();
+  for (const special of input.specials ?? []) {
+    const { square, type, amount } = special || {};
+    // Neither the start nor the last square can be special
+    if (!Number.isInteger(square) || square < 1 || square >= squares - 1 || used.has(square)) return null;
+    if (!SPECIAL_TYPES.includes(type)) return null;
+    if (type === 'skip') {
+      specials.push({ square, type });
+    } else {
+      if (!Number.isInteger(amount) || amount < 1 || amount >= squares) return null;
+      specials.push({ square, type, amount });
+    }
+    used.add(square);
+  }
+  specials.sort((a, b) => a.square - b.square);
+
+  return { squares, end, specials };
+}
+
+// "8 boost 3, 21 slide 5, 34 skip" => [{ square: 8, type: 'boost', amount: 3 }, ...]
+function parseSpecialsList(text) {
+  const specials = [];
+  for (const entry of text.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^(\d+)\s+([a-z]+)(?:\s+(\d+))?$/i);
+    if (!match) {
+      throw new Error(`Invalid board special "${entry}" (expected e.g. "8 boost 3")`);
+    }
+    const special = { square: Number(match[1]), type: match[2].toLowerCase() };
+    if (match[3] !== undefined) special.amount = Number(match[3]);
+    specials.push(special);
+  }
+  return specials;
+}
+
+// Board settings from quiz front matter; returns { board } or { error } with a readable message
+function boardFromQuizMetadata(metadata = {}) {
+  const hasBoardKeys = ['board_squares', 'board_end', 'board_specials'].some(key => metadata[key] !== undefined);
+  if (!hasBoardKeys) return { board: createDefaultBoard() };
+
+  const input = {};
+  if (metadata.board_squares !== undefined) {
+    input.squares = /^\d+$/.test(metadata.board_squares) ? Number(metadata.board_squares) : NaN;
+  }
+  if (metadata.board_end !== undefined) {
+    input.end = metadata.board_end.toLowerCase();
+  }
+  if (metadata.board_specials) {
+    try {
+      input.specials = parseSpecialsList(metadata.board_specials);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  const board = normalizeBoardConfig(input);
+  if (!board) {
+    return {
+      error: `Invalid board settings: board_squares must be ${MIN_BOARD_SQUARES}-${MAX_BOARD_SQUARES}, `
+        + `board_end must be "${BOARD_END_WRAP}" or "${BOARD_END_FINISH}", and special squares must fit on the board`,
+    };
+  }
+  return { board };
+}
+
+// Move `steps` squares (negative moves back); a finish board stops at its last square
+function moveOnBoard(board, fromSquare, steps) {
+  const from = Number.isInteger(fromSquare) && fromSquare >= 0 ? fromSquare : 0;
+  const target = from + steps;
+  if (board.end === BOARD_END_FINISH) {
+    const finish = getFinishSquare(board);
+    if (target >= finish) return { square: finish, finished: true };
+    return { square: Math.max(0, target), finished: false };
+  }
+  return { square: ((target % board.squares) + board.squares) % board.squares, finished: false };
+}
+
+// A rolled move plus whatever special square it lands on (specials don't chain)
+// Returns { square, finished, special: null | { type, square, amount?, to } }
+function applyRoll(board, fromSquare, roll) {
+  const landing = moveOnBoard(board, fromSquare, roll);
+  if (landing.finished) return { ...landing, special: null };
+
+  const special = board.specials.find(s => s.square === landing.square);
+  if (!special) return { ...landing, special: null };
+
+  if (special.type === 'skip') {
+    return { ...landing, special: { ...special, to: landing.square } };
+  }
+
+  const shift = special.type === 'boost' ? special.amount : -special.amount;
+  // Sliding back never wraps below the start square
+  const result = special.type === 'slide'
+    ? { square: Math.max(0, landing.square + shift), finished: false }
+    : moveOnBoard(board, landing.square, shift);
+  return { ...result, special: { ...special, to: result.square } };
+}
+
+module.exports = {
+  BOARD_END_WRAP,
+  BOARD_END_FINISH,
+  SPECIAL_TYPES,
+  DEFAULT_BOARD_SQUARES,
+  MIN_BOARD_SQUARES,
+  MAX_BOARD_SQUARES,
+  createDefaultBoard,
+  getFinishSquare,
+  isFinishSquare,
+  normalizeBoardConfig,
+  parseSpecialsList,
+  boardFromQuizMetadata,
+  moveOnBoard,
+  applyRoll,
+};
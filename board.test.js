@@ -0,0 +1,95 @@
+const {
+  DEFAULT_BOARD_SQUARES,
+  createDefaultBoard,
+  isFinishSquare,
+  normalizeBoardConfig,
+  parseSpecialsList,
+  boardFromQuizMetadata,
+  moveOnBoard,
+  applyRoll,
+} = require('./board');
+
+describe('board', () => {
+  test('the default board keeps the classic 96-square wraparound track', () => {
+    expect(createDefaultBoard()).toEqual({ squares: DEFAULT_BOARD_SQUARES, end: 'wrap', specials: [] });
+    expect(moveOnBoard(createDefaultBoard(), 94, 5)).toEqual({ square: 3, finished: false });
+  });
+
+  test('normalizeBoardConfig validates size, end mode and special squares', () => {
+    expect(normalizeBoardConfig({
+      squares: 30,
+      end: 'finish',
+      specials: [{ square: 20, type: 'skip', amount: 4 }, { square: 5, type: 'boost', amount: 3 }],
+    })).toEqual({
+      squares: 30,
+      end: 'finish',
+      specials: [{ square: 5, type: 'boost', amount: 3 }, { square: 20, type: 'skip' }],
+    });
+
+    expect(normalizeBoardConfig({ squares: 5 })).toBeNull();
+    expect(normalizeBoardConfig({ end: 'bounce' })).toBeNull();
+    expect(normalizeBoardConfig({ squares: 30, specials: [{ square: 29, type: 'skip' }] })).toBeNull();
+    expect(normalizeBoardConfig({ specials: [{ square: 5, type: 'boost' }] })).toBeNull();
+    expect(normalizeBoardConfig({ specials: [{ square: 5, type: 'skip' }, { square: 5, type: 'skip' }] })).toBeNull();
+    expect(normalizeBoardConfig(null)).toBeNull();
+  });
+
+  test('parseSpecialsList reads the front matter shorthand', () => {
+    expect(parseSpecialsList('8 boost 3, 21 Slide 5,34 skip')).toEqual([
+      { square: 8, type: 'boost', amount: 3 },
+      { square: 21, type: 'slide', amount: 5 },
+      { square: 34, type: 'skip' },
+    ]);
+    expect(() => parseSpecialsList('boost 3')).toThrow('Invalid board special "boost 3"');
+  });
+
+  test('boardFromQuizMetadata builds the board from quiz front matter', () => {
+    expect(boardFromQuizMetadata({ title: 'Fractions' })).toEqual({ board: createDefaultBoard() });
+    expect(boardFromQuizMetadata({ board_squares: '40', board_end: 'Finish', board_specials: '10 slide 4' })).toEqual({
+      board: { squares: 40, end: 'finish', specials: [{ square: 10, type: 'slide', amount: 4 }] },
+    });
+    expect(boardFromQuizMetadata({ board_squares: 'lots' }).error).toMatch(/Invalid board settings/);
+    expect(boardFromQuizMetadata({ board_specials: '10 teleport' }).error).toMatch(/Invalid board settings/);
+  });
+
+  test('a finish board stops at the last square and reports the finish', () => {
+    const board = normalizeBoardConfig({ squares: 20, end: 'finish' });
+    expect(moveOnBoard(board, 15, 3)).toEqual({ square: 18, finished: false });
+    expect(moveOnBoard(board, 17, 6)).toEqual({ square: 19, finished: true });
+    expect(moveOnBoard(board, 2, -5)).toEqual({ square: 0, finished: false });
+    expect(isFinishSquare(board, 19)).toBe(true);
+    expect(isFinishSquare(board, 18)).toBe(false);
+    expect(isFinishSquare(createDefaultBoard(), 95)).toBe(false);
+  });
+
+  test('applyRoll applies the special square it lands on', () => {
+    const board = normalizeBoardConfig({
+      squares: 20,
+      end: 'finish',
+      specials: [
+        { square: 4, type: 'boost', amount: 3 },
+        { square: 9, type: 'slide', amount: 6 },
+        { square: 12, type: 'skip' },
+        { square: 16, type: 'boost', amount: 5 },
+      ],
+    });
+    expect(applyRoll(board, 1, 3)).toEqual({
+      square: 7, finished: false, special: { square: 4, type: 'boost', amount: 3, to: 7 },
+    });
+    expect(applyRoll(board, 6, 3)).toEqual({
+      square: 3, finished: false, special: { square: 9, type: 'slide', amount: 6, to: 3 },
+    });
+    expect(applyRoll(board, 10, 2)).toEqual({
+      square: 12, finished: false, special: { square: 12, type: 'skip', to: 12 },
+    });
+    expect(applyRoll(board, 14, 2)).toEqual({
+      square: 19, finished: true, special: { square: 16, type: 'boost', amount: 5, to: 19 },
+    });
+    expect(applyRoll(board, 0, 2)).toEqual({ square: 2, finished: false, special: null });
+  });
+
+  test('sliding back on a wraparound board stops at the start', () => {
+    const board = normalizeBoardConfig({ squares: 20, specials: [{ square: 3, type: 'slide', amount: 8 }] });
+    expect(applyRoll(board, 1, 2).square).toBe(0);
+  });
+});
@@ -0,0 +1,53 @@
+// Multi-instance support: node identity and the Postgres (LISTEN/NOTIFY) socket.io adapter
+//
+// Trying two instances locally against one Postgres (both need the same DATABASE_URL, and NODE_ENV=development
+// for a local server without SSL):
+//   npm run migrate
+//   PORT=3001 INSTANCE_ID=web-1 SOCKET_ADAPTER=postgres LIVE_STATE_STORE=postgres node index.js
+//   PORT=3002 INSTANCE_ID=web-2 SOCKET_ADAPTER=postgres LIVE_STATE_STORE=postgres node index.js
+// Then check:
+//   - a teacher connected to :3001 creates a room; a student joining that code through :3002 appears in the
+//     teacher's student list, and the student's answers and moves reach the teacher
+//   - closing the student's tab logs [DISCONNECT] (and later "Grace period expired") on web-1, not web-2
+//   - after stopping web-1 with Ctrl+C, the student's events are dropped until web-2 stops counting web-1
+//     (about 10 seconds without its adapter heartbeat) and ROOM_OWNER_TIMEOUT_MS (default 30s) has passed; the
+//     next event makes web-2 log "Adopting room ..." and the student rejoins there as after a restart
+//   - SELECT code, owner_node, owner_heartbeat FROM live_rooms shows which instance owns each room
+// roomRouter.test.js covers the same routing with an in-process fake of the adapter.
+const os = require('os');
+const crypto = require('crypto');
+const { createAdapter } = require('@socket.io/postgres-adapter');
+
+// Stable across restarts when the platform provides an instance id, unique otherwise
+const NODE_ID = process.env.INSTANCE_ID
+  || process.env.RENDER_INSTANCE_ID
+  || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// SOCKET_ADAPTER=postgres turns on cross-instance broadcasts and room forwarding
+function isClusterEnabled() {
+  return (process.env.SOCKET_ADAPTER || '').toLowerCase() === 'postgres';
+}
+
+function attachClusterAdapter(io, pool) {
+  if (!isClusterEnabled()) return false;
+
+  if (!pool) {
+    console.log('[CLUSTER] SOCKET_ADAPTER=postgres needs DATABASE_URL; running single-instance');
+    return false;
+  }
+
+  io.adapter(createAdapter(pool, {
+    channelPrefix: process.env.SOCKET_ADAPTER_CHANNEL || 'racetrack',
+  }));
+  // socket.io never calls init() on the adapter, so announce this node ourselves; until the other nodes hear
+  // from it they count it out of every cluster request (room lookups and forwarded events get no answers)
+  io.of('/').adapter.init();
+  console.log(`[CLUSTER] Postgres adapter attached (node ${NODE_ID})`);
+  return true;
+}
+
+module.exports = {
+  NODE_ID,
+  isClusterEnabled,
+  attachClusterAdapter,
+};
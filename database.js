@@ -1,8 +1,21 @@
 const { Pool } = require('pg');
+const { runMigrations } = require('./migrations');
+const { DEFAULT_FLUSH_INTERVAL_MS, createEventLog } = require('./eventLog');
+const { encodeCursor } = require('./sessionSearch');
 
 // Database connection pool
 let pool = null;
 
+// Buffered, batched game_events writes (created alongside the pool)
+let eventLog = null;
+
+// Replay list sort orders; session_slug breaks ties so cursor pagination is stable
+const SESSION_SORT_SQL = {
+  newest: { key: 'created_at', type: 'timestamp', direction: 'DESC' },
+  oldest: { key: 'created_at', type: 'timestamp', direction: 'ASC' },
+  name: { key: "COALESCE(lower(quiz_filename), '')", type: 'text', direction: 'ASC' },
+};
+
 // Initialize database connection
 function initDatabase() {
   if (!process.env.DATABASE_URL) {
@@ -25,6 +38,12 @@ function initDatabase() {
       console.error('[DATABASE] Unexpected error on idle client', err);
     });
 
+    eventLog = createEventLog({
+      insert: (gameId, events) => gameDatabase.insertEvents(gameId, events),
+      intervalMs: parseInt(process.env.EVENT_LOG_FLUSH_MS || String(DEFAULT_FLUSH_INTERVAL_MS), 10),
+    });
+    eventLog.start();
+
     return pool;
   } catch (error) {
     console.error('[DATABASE] Failed to initialize:', error);
@@ -32,61 +51,22 @@ function initDatabase() {
   }
 }
 
-// Database schema creation
-const createTables = async () => {
+function getPool() {
+  return pool;
+}
+
+// Bring the schema up to date by applying any pending migrations (see migrations.js)
+const migrateDatabase = async () => {
   if (!pool) return false;
 
   try {
-    // Games table - stores quiz sessions
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS games (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        session_slug VARCHAR(255) UNIQUE NOT NULL,
-        quiz_filename VARCHAR(255),
-        quiz_content TEXT,
-        teacher_email VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        completed_at TIMESTAMP,
-        status VARCHAR(50) DEFAULT 'active'
-      )
-    `);
-
-    // Game events table - chronological log of everything that happens
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS game_events (
-        id SERIAL PRIMARY KEY,
-        game_id UUID REFERENCES games(id) ON DELETE CASCADE,
-        event_type VARCHAR(100) NOT NULL,
-        event_data JSONB,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Final positions table - end state of players
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS final_positions (
-        id SERIAL PRIMARY KEY,
-        game_id UUID REFERENCES games(id) ON DELETE CASCADE,
-        student_id VARCHAR(255) NOT NULL,
-        student_name VARCHAR(255),
-        final_square INTEGER DEFAULT 0,
-        total_correct INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create indexes for performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_game_events_game_id ON game_events(game_id);
-      CREATE INDEX IF NOT EXISTS idx_game_events_timestamp ON game_events(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_final_positions_game_id ON final_positions(game_id);
-      CREATE INDEX IF NOT EXISTS idx_games_session_slug ON games(session_slug);
-    `);
-
-    console.log('[DATABASE] Tables created successfully');
+    const { applied, version } = await runMigrations(pool);
+    console.log(applied.length > 0
+      ? `[DATABASE] Schema migrated to version ${version}`
+      : `[DATABASE] Schema is up to date (version ${version})`);
     return true;
   } catch (error) {
-    console.error('[DATABASE] Error creating tables:', error);
+    console.error('[DATABASE] Error migrating schema:', error);
     return false;
   }
 };
@@ -131,31 +111,135 @@ const gameDatabase = {
     }
   },
 
-  // Log an event during the game
+  // Insert an archived session (see parseSessionArchive) under a fresh slug, all or nothing
+  async importGameSession(archive, teacherEmail = null) {
+    if (!pool) return null;
+
+    let client = null;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const { session } = archive;
+      const sessionSlug = generateSessionSlug(session.quiz_filename || 'imported-session');
+      const game = await client.query(`
+        INSERT INTO games (session_slug, quiz_filename, quiz_content, created_at, completed_at, status, teacher_email)
+        VALUES ($1, $2, $3, COALESCE($4::timestamp, CURRENT_TIMESTAMP), $5, $6, $7)
+        RETURNING id, session_slug
+      `, [sessionSlug, session.quiz_filename, session.quiz_content, session.created_at, session.completed_at, session.status, teacherEmail]);
+      const gameId = game.rows[0].id;
+
+      for (const event of archive.events) {
+        await client.query(`
+          INSERT INTO game_events (game_id, event_type, event_data, timestamp)
+          VALUES ($1, $2, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP))
+        `, [gameId, event.event_type, JSON.stringify(event.event_data), event.timestamp]);
+      }
+
+      for (const position of archive.final_positions) {
+        await client.query(`
+          INSERT INTO final_positions (game_id, student_id, student_name, final_square, total_correct, team)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [gameId, position.student_id, position.student_name, position.final_square, position.total_correct, position.team]);
+      }
+
+      for (const team of archive.team_results) {
+        await client.query(`
+          INSERT INTO team_results
+            (game_id, team, team_name, team_color, member_count, total_square, average_square, total_correct, is_winner)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          gameId,
+          team.team,
+          team.team_name,
+          team.team_color,
+          team.member_count,
+          team.total_square,
+          team.average_square,
+          team.total_correct,
+          team.is_winner
+        ]);
+      }
+
+      for (const attempt of archive.replay_attempts) {
+        await client.query(`
+          INSERT INTO replay_attempts
+            (game_id, student_id, student_name, status, progress, final_square, total_correct, started_at, completed_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamp, CURRENT_TIMESTAMP), $9)
+        `, [
+          gameId,
+          attempt.student_id,
+          attempt.student_name,
+          attempt.status,
+          JSON.stringify(attempt.progress),
+          attempt.final_square,
+          attempt.total_correct,
+          attempt.started_at,
+          attempt.completed_at
+        ]);
+      }
+
+      await client.query('COMMIT');
+      console.log(`[DATABASE] Imported game session ${sessionSlug}: ${archive.events.length} events`);
+      return game.rows[0];
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      console.error('[DATABASE] Error importing game session:', error);
+      return null;
+    } finally {
+      if (client) client.release();
+    }
+  },
+
+  // Log an event during the game; it is queued and written with the next batch (see eventLog.js)
   async logEvent(gameId, eventType, eventData) {
     if (!pool || !gameId) return false;
 
+    eventLog.log(gameId, eventType, eventData);
+    return true;
+  },
+
+  // Write a batch of queued events in one insert, keeping their order
+  async insertEvents(gameId, events) {
+    if (!pool || !gameId) return false;
+    if (events.length === 0) return true;
+
     try {
+      const params = [gameId];
+      const rows = events.map(event => {
+        params.push(event.event_type, JSON.stringify(event.event_data), event.timestamp);
+        const n = params.length;
+        return `($1, $${n - 2}, $${n - 1}, COALESCE($${n}::timestamptz, CURRENT_TIMESTAMP))`;
+      });
+
       await pool.query(`
-        INSERT INTO game_events (game_id, event_type, event_data)
-        VALUES ($1, $2, $3)
-      `, [gameId, eventType, JSON.stringify(eventData)]);
+        INSERT INTO game_events (game_id, event_type, event_data, timestamp)
+        VALUES ${rows.join(', ')}
+      `, params);
 
       return true;
     } catch (error) {
-      console.error('[DATABASE] Error logging event:', error);
+      console.error('[DATABASE] Error logging events:', error);
       return false;
     }
   },
 
-  // Get game session by slug (for replay mode)
-  async getGameSession(sessionSlug) {
+  // Write every queued event now (session end, shutdown)
+  async flushEvents() {
+    if (!eventLog) return true;
+
+    await eventLog.flush();
+    return eventLog.pending() === 0;
+  },
+
+  // Get game session by slug (for replay mode); trashed sessions only with includeTrashed
+  async getGameSession(sessionSlug, { includeTrashed = false } = {}) {
     if (!pool) return null;
 
     try {
       const result = await pool.query(`
-        SELECT * FROM games WHERE session_slug = $1
-      `, [sessionSlug]);
+        SELECT * FROM games WHERE session_slug = $1 AND ($2 OR deleted_at IS NULL)
+      `, [sessionSlug, includeTrashed]);
 
       return result.rows[0] || null;
     } catch (error) {
@@ -169,6 +253,9 @@ const gameDatabase = {
     if (!pool) return [];
 
     try {
+      // A live game's latest events may still be queued
+      if (eventLog.pending(gameId) > 0) await eventLog.flush();
+
       const result = await pool.query(`
         SELECT * FROM game_events 
         WHERE game_id = $1 
@@ -182,11 +269,14 @@ const gameDatabase = {
     }
   },
 
-  // Mark game as completed and save final positions
-  async completeGame(gameId, finalPositions) {
+  // Mark game as completed and save final positions (and team results for team-mode games)
+  async completeGame(gameId, finalPositions, teamStandings = null) {
     if (!pool || !gameId) return false;
 
     try {
+      // The session's log is complete once the game is
+      await eventLog.flush();
+
       // Mark game as completed
       await pool.query(`
         UPDATE games SET completed_at = CURRENT_TIMESTAMP, status = 'completed'
@@ -196,10 +286,29 @@ const gameDatabase = {
       // Save final positions
       for (const position of finalPositions) {
         await pool.query(`
-          INSERT INTO final_positions (game_id, student_id, student_name, final_square, total_correct)
-          VALUES ($1, $2, $3, $4, $5)
+          INSERT INTO final_positions (game_id, student_id, student_name, final_square, total_correct, team)
+          VALUES ($1, $2, $3, $4, $5, $6)
           ON CONFLICT DO NOTHING
-        `, [gameId, position.id, position.name, position.square || 0, position.totalCorrect || 0]);
+        `, [gameId, position.id, position.name, position.square || 0, position.totalCorrect || 0, position.team || null]);
+      }
+
+      // Save team results
+      for (const team of teamStandings?.teams || []) {
+        await pool.query(`
+          INSERT INTO team_results
+            (game_id, team, team_name, team_color, member_count, total_square, average_square, total_correct, is_winner)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          gameId,
+          team.team,
+          team.name,
+          team.color,
+          team.members.length,
+          team.total_square,
+          team.average_square,
+          team.total_correct,
+          teamStandings.leader === team.team
+        ]);
       }
 
       console.log(`[DATABASE] Game ${gameId} marked as completed`);
@@ -228,31 +337,369 @@ const gameDatabase = {
     }
   },
 
-  // Get all game sessions ordered from newest to oldest
-  async getAllGameSessions() {
+  // Get team results for a game session (empty unless it was played in team mode)
+  async getTeamResults(gameId) {
     if (!pool) return [];
 
     try {
       const result = await pool.query(`
-        SELECT id, session_slug, quiz_filename, created_at, completed_at, status
+        SELECT * FROM team_results
+        WHERE game_id = $1
+        ORDER BY is_winner DESC, team ASC
+      `, [gameId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('[DATABASE] Error getting team results:', error);
+      return [];
+    }
+  },
+
+  // One page of the replay list (see parseSessionSearch in sessionSearch.js)
+  // Returns { sessions, nextCursor }; nextCursor is null on the last page
+  async searchGameSessions({ q = null, status = null, from = null, to = null, starred = null, teacher = null, sort = 'newest', limit = 25, cursor = null } = {}) {
+    if (!pool) return { sessions: [], nextCursor: null };
+
+    try {
+      const order = SESSION_SORT_SQL[sort] || SESSION_SORT_SQL.newest;
+      const values = [];
+      const param = value => {
+        values.push(value);
+        return `$${values.length}`;
+      };
+
+      const conditions = ['deleted_at IS NULL'];
+      if (q) {
+        const pattern = param(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(quiz_filename ILIKE ${pattern} OR session_slug ILIKE ${pattern})`);
+      }
+      if (status) conditions.push(`status = ${param(status)}`);
+      if (from) conditions.push(`created_at >= ${param(from)}::date`);
+      if (to) conditions.push(`created_at < ${param(to)}::date + 1`);
+      if (starred !== null) conditions.push(`starred = ${param(starred)}`);
+      if (teacher) conditions.push(`lower(teacher_email) = lower(${param(teacher)})`);
+      if (cursor) {
+        const comparison = order.direction === 'DESC' ? '<' : '>';
+        conditions.push(`(${order.key}, session_slug) ${comparison} (${param(cursor.sortKey)}::${order.type}, ${param(cursor.sessionSlug)})`);
+      }
+
+      // One extra row tells us whether there is another page
+      const result = await pool.query(`
+        SELECT id, session_slug, quiz_filename, teacher_email, created_at, completed_at, status, starred, (${order.key})::text AS sort_key
         FROM games
-        ORDER BY created_at DESC, session_slug DESC
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${order.key} ${order.direction}, session_slug ${order.direction}
+        LIMIT ${param(limit + 1)}
+      `, values);
+
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      const nextCursor = result.rows.length > limit ? encodeCursor(sort, last.sort_key, last.session_slug) : null;
+      return { sessions: rows.map(({ sort_key, ...session }) => session), nextCursor };
+    } catch (error) {
+      console.error('[DATABASE] Error searching game sessions:', error);
+      return { sessions: [], nextCursor: null };
+    }
+  },
+
+  // Sessions in the trash, most recently deleted first; with teacherEmail, only the ones that teacher started
+  async getTrashedGameSessions(teacherEmail = null) {
+    if (!pool) return [];
+
+    try {
+      const result = await pool.query(`
+        SELECT id, session_slug, quiz_filename, teacher_email, created_at, completed_at, status, starred, deleted_at
+        FROM games
+        WHERE deleted_at IS NOT NULL${teacherEmail ? ' AND lower(teacher_email) = lower($1)' : ''}
+        ORDER BY deleted_at DESC, session_slug DESC
+      `, teacherEmail ? [teacherEmail] : []);
+
+      return result.rows;
+    } catch (error) {
+      console.error('[DATABASE] Error listing trashed game sessions:', error);
+      return [];
+    }
+  },
+
+  // Move a session to the trash; returns when it was trashed, or null if it already was (or on error)
+  async trashGameSession(gameId) {
+    if (!pool || !gameId) return null;
+
+    try {
+      const result = await pool.query(`
+        UPDATE games SET deleted_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING deleted_at
+      `, [gameId]);
+
+      if (result.rows[0]) console.log(`[DATABASE] Moved game session to trash: ${gameId}`);
+      return result.rows[0]?.deleted_at || null;
+    } catch (error) {
+      console.error('[DATABASE] Error trashing game session:', error);
+      return null;
+    }
+  },
+
+  // Take a session back out of the trash
+  async restoreGameSession(gameId) {
+    if (!pool || !gameId) return false;
+
+    try {
+      const result = await pool.query(`
+        UPDATE games SET deleted_at = NULL
+        WHERE id = $1 AND deleted_at IS NOT NULL
+      `, [gameId]);
+
+      if (result.rowCount > 0) console.log(`[DATABASE] Restored game session from trash: ${gameId}`);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('[DATABASE] Error restoring game session:', error);
+      return false;
+    }
+  },
+
+  // Star or unstar a session; starred sessions are kept by the retention sweeper
+  async setSessionStarred(gameId, starred) {
+    if (!pool || !gameId) return false;
+
+    try {
+      const result = await pool.query(`
+        UPDATE games SET starred = $2 WHERE id = $1
+      `, [gameId, Boolean(starred)]);
+
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('[DATABASE] Error starring game session:', error);
+      return false;
+    }
+  },
+
+  // Every session (trashed ones too) with what the retention policy needs; live means a checkpointed room is still playing it
+  async getRetentionCandidates() {
+    if (!pool) return [];
+
+    try {
+      const result = await pool.query(`
+        SELECT g.id, g.session_slug, g.quiz_filename, g.created_at, g.status, g.starred, g.deleted_at,
+          EXISTS (
+            SELECT 1 FROM live_rooms r WHERE r.state->'currentGameSession'->>'id' = g.id::text
+          ) AS live
+        FROM games g
+        ORDER BY g.created_at DESC
       `);
 
       return result.rows;
     } catch (error) {
-      console.error('[DATABASE] Error listing game sessions:', error);
+      console.error('[DATABASE] Error listing retention candidates:', error);
+      return [];
+    }
+  },
+
+  // Start a replay attempt for a student
+  async createReplayAttempt(gameId, studentId, studentName, progress) {
+    if (!pool || !gameId) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO replay_attempts (game_id, student_id, student_name, progress)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [gameId, studentId, studentName, JSON.stringify(progress)]);
+
+      console.log(`[DATABASE] Started replay attempt ${result.rows[0].id} for ${studentName} (${studentId})`);
+      return result.rows[0];
+    } catch (error) {
+      console.error('[DATABASE] Error creating replay attempt:', error);
+      return null;
+    }
+  },
+
+  // Get one replay attempt of a game session
+  async getReplayAttempt(gameId, attemptId) {
+    if (!pool || !gameId || !attemptId) return null;
+
+    try {
+      const result = await pool.query(`
+        SELECT * FROM replay_attempts WHERE game_id = $1 AND id::text = $2
+      `, [gameId, attemptId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('[DATABASE] Error getting replay attempt:', error);
+      return null;
+    }
+  },
+
+  // Get the unfinished attempt a student already has for a game session
+  async getOpenReplayAttempt(gameId, studentId) {
+    if (!pool || !gameId) return null;
+
+    try {
+      const result = await pool.query(`
+        SELECT * FROM replay_attempts
+        WHERE game_id = $1 AND student_id = $2 AND status = 'in_progress'
+        ORDER BY started_at DESC
+        LIMIT 1
+      `, [gameId, studentId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('[DATABASE] Error getting open replay attempt:', error);
+      return null;
+    }
+  },
+
+  // Save attempt progress; only succeeds if nobody saved since `version` was read
+  // Returns the updated row, false on a version conflict, or null on error
+  async saveReplayAttempt(attemptId, version, progress, status) {
+    if (!pool || !attemptId) return null;
+
+    try {
+      const result = await pool.query(`
+        UPDATE replay_attempts
+        SET progress = $3, status = $4::varchar, final_square = $5, total_correct = $6,
+            version = version + 1, updated_at = CURRENT_TIMESTAMP,
+            completed_at = CASE WHEN $4::varchar = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END
+        WHERE id = $1 AND version = $2
+        RETURNING *
+      `, [attemptId, version, JSON.stringify(progress), status, progress.square, progress.totalCorrect]);
+
+      return result.rows[0] || false;
+    } catch (error) {
+      console.error('[DATABASE] Error saving replay attempt:', error);
+      return null;
+    }
+  },
+
+  // Get every replay attempt of a game session, finished ones first
+  async getReplayAttempts(gameId) {
+    if (!pool) return [];
+
+    try {
+      const result = await pool.query(`
+        SELECT * FROM replay_attempts
+        WHERE game_id = $1
+        ORDER BY (status = 'completed') DESC, final_square DESC, student_name ASC
+      `, [gameId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('[DATABASE] Error getting replay attempts:', error);
       return [];
     }
   },
 
-  // Delete a game session and all related data
+  // Create the checkpoint for a brand new room; false if the code is already in use
+  async createLiveRoom(code, state, ownerNode) {
+    if (!pool || !code) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO live_rooms (code, state, owner_node, owner_heartbeat, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (code) DO NOTHING
+        RETURNING code
+      `, [code, JSON.stringify(state), ownerNode]);
+
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('[DATABASE] Error creating live room:', error);
+      return null;
+    }
+  },
+
+  // Save the checkpoint of a live room; only succeeds while ownerNode still owns the room
+  async saveLiveRoom(code, state, ownerNode) {
+    if (!pool || !code) return false;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO live_rooms (code, state, owner_node, owner_heartbeat, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (code) DO UPDATE
+          SET state = EXCLUDED.state, owner_heartbeat = EXCLUDED.owner_heartbeat, updated_at = EXCLUDED.updated_at
+          WHERE live_rooms.owner_node = EXCLUDED.owner_node OR live_rooms.owner_node IS NULL
+        RETURNING code
+      `, [code, JSON.stringify(state), ownerNode]);
+
+      if (result.rowCount === 0) {
+        console.log(`[DATABASE] Live room ${code} is owned by another node, checkpoint skipped`);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('[DATABASE] Error saving live room:', error);
+      return false;
+    }
+  },
+
+  // Take ownership of live rooms whose owner stopped heartbeating (or of one room when code is given)
+  async claimLiveRooms(ownerNode, staleMs, code = null) {
+    if (!pool) return [];
+
+    try {
+      const result = await pool.query(`
+        UPDATE live_rooms
+        SET owner_node = $1, owner_heartbeat = CURRENT_TIMESTAMP
+        WHERE ($3::varchar IS NULL OR code = $3)
+          AND (
+            owner_node IS NULL
+            OR owner_node = $1
+            OR owner_heartbeat IS NULL
+            OR owner_heartbeat <= CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 millisecond')
+          )
+        RETURNING code, state
+      `, [ownerNode, staleMs, code]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('[DATABASE] Error claiming live rooms:', error);
+      return [];
+    }
+  },
+
+  // Refresh ownership of every room this node holds; returns the codes it still owns
+  async touchLiveRooms(ownerNode) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        UPDATE live_rooms SET owner_heartbeat = CURRENT_TIMESTAMP
+        WHERE owner_node = $1
+        RETURNING code
+      `, [ownerNode]);
+
+      return result.rows.map(row => row.code);
+    } catch (error) {
+      console.error('[DATABASE] Error refreshing live room ownership:', error);
+      return null;
+    }
+  },
+
+  // Remove a live room checkpoint once the room is closed
+  async deleteLiveRoom(code) {
+    if (!pool || !code) return false;
+
+    try {
+      await pool.query('DELETE FROM live_rooms WHERE code = $1', [code]);
+      return true;
+    } catch (error) {
+      console.error('[DATABASE] Error deleting live room:', error);
+      return false;
+    }
+  },
+
+  // Permanently delete a game session and all related data (user deletes go to the trash first)
   async deleteGameSession(gameId) {
     if (!pool || !gameId) return false;
 
     try {
+      eventLog.discard(gameId);
+
       // Delete in correct order due to foreign key constraints
       await pool.query('DELETE FROM final_positions WHERE game_id = $1', [gameId]);
+      await pool.query('DELETE FROM team_results WHERE game_id = $1', [gameId]);
+      await pool.query('DELETE FROM replay_attempts WHERE game_id = $1', [gameId]);
       await pool.query('DELETE FROM game_events WHERE game_id = $1', [gameId]);
       await pool.query('DELETE FROM games WHERE id = $1', [gameId]);
       
@@ -284,7 +731,8 @@ async function testConnection() {
 
 module.exports = {
   initDatabase,
-  createTables,
+  getPool,
+  migrateDatabase,
   gameDatabase,
   testConnection,
   generateSessionSlug
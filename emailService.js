@@ -1,27 +1,32 @@
-const nodemailer = require('nodemailer');
+const { escapeHtml } = require('./utils');
+const { parseEmailTransportConfig, describeEmailTransport, createEmailTransport } = require('./emailTransport');
 
-// Email transporter setup
+// Email transporter setup (see emailTransport.js for the available transports)
 let transporter = null;
+let emailConfig = null;
+
+// Messages sent through the json transport, oldest first
+const OUTBOX_LIMIT = 100;
+const outbox = [];
 
 function initEmailService() {
+  const { config, error } = parseEmailTransportConfig(process.env);
+  if (error) {
+    console.error(`[EMAIL] Invalid email configuration (${error}), email notifications disabled`);
+    return null;
+  }
   // Check if email configuration is available
-  if (!process.env.EMAIL_SERVICE || !process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+  if (!config) {
     console.log('[EMAIL] Email configuration not found, email notifications disabled');
     return null;
   }
 
   try {
-    // Create transporter for Gmail or other services
-    transporter = nodemailer.createTransport({
-      service: process.env.EMAIL_SERVICE, // 'gmail', 'yahoo', 'outlook', etc.
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
+    transporter = createEmailTransport(config);
+    emailConfig = config;
 
     console.log('[EMAIL] Email service initialized successfully');
-    console.log(`[EMAIL] Using service: ${process.env.EMAIL_SERVICE}, user: ${process.env.EMAIL_USER}`);
+    console.log(`[EMAIL] Using ${describeEmailTransport(config)}`);
     return transporter;
   } catch (error) {
     console.error('[EMAIL] Failed to initialize email service:', error);
@@ -29,6 +34,27 @@ function initEmailService() {
   }
 }
 
+async function deliver(mailOptions) {
+  const info = await transporter.sendMail({ from: emailConfig.from, ...mailOptions });
+  if (emailConfig.transport === 'json') {
+    outbox.push(JSON.parse(info.message));
+    if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+  }
+  if (emailConfig.transport === 'file') {
+    console.log(`[EMAIL] Wrote ${info.path}`);
+  }
+  return info;
+}
+
+// Emails kept by the json transport; [] with any other transport
+function getOutbox() {
+  return outbox.slice();
+}
+
+function clearOutbox() {
+  outbox.length = 0;
+}
+
 // Send replay notification email
 async function sendReplayNotification(recipientEmail, sessionSlug, quizFilename) {
   if (!transporter) {
@@ -44,7 +70,9 @@ async function sendReplayNotification(recipientEmail, sessionSlug, quizFilename)
     // Construct the deletion URL 
     const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || 'http://localhost:3000';
     const deleteUrl = `${backendUrl}/delete/${sessionSlug}`;
-    const replayListUrl = `${backendUrl}/replays`;
+    const starUrl = `${backendUrl}/star/${sessionSlug}`;
+    // The recipient's own sessions; the unfiltered list shows every teacher's
+    const replayListUrl = `${backendUrl}/replays?teacher=${encodeURIComponent(recipientEmail)}`;
 
     // Clean up filename for display
     const displayName = quizFilename.replace(/\.[^/.]+$/, '').replace(/[-_]/g, ' ');
@@ -85,11 +113,12 @@ async function sendReplayNotification(recipientEmail, sessionSlug, quizFilename)
               Click here to delete session
             </a>
           </p>
+          <p style="margin: 10px 0 0 0; color: #dc2626;">Want to keep it past the automatic cleanup? <a href="${starUrl}" style="color: #dc2626; text-decoration: underline;">Star this session</a>.</p>
         </div>
 
         <div style="background: #f0fdf4; border-left: 4px solid #16a34a; padding: 15px; margin: 20px 0;">
-          <h4 style="margin: 0 0 10px 0; color: #15803d;">📋 View All Replay Sessions:</h4>
-          <p style="margin: 0 0 10px 0; color: #166534;">Visit the master replay list to see every replay currently stored in the database.</p>
+          <h4 style="margin: 0 0 10px 0; color: #15803d;">📋 View Your Replay Sessions:</h4>
+          <p style="margin: 0 0 10px 0; color: #166534;">Visit your replay list to see every replay you have recorded.</p>
           <p style="margin: 0;">
             <a href="${replayListUrl}" style="color: #15803d; text-decoration: underline;">
               Open Replay List
@@ -116,7 +145,6 @@ async function sendReplayNotification(recipientEmail, sessionSlug, quizFilename)
     `;
 
     const mailOptions = {
-      from: process.env.EMAIL_USER,
       to: recipientEmail,
       subject: `📚 Quiz Replay Ready: ${displayName} (${currentDate})`,
       html: emailHtml,
@@ -129,10 +157,11 @@ Date: ${currentDate}
 Replay URL: ${replayUrl}
 
 Delete session: ${deleteUrl}
+Keep it past the automatic cleanup: ${starUrl}
 
 Share this URL with students who missed the live session. They can play through the quiz at their own pace and compete against the recorded results!
 
-Replay list: ${replayListUrl}
+Your replay list: ${replayListUrl}
 
 How it works:
 - Students advance questions themselves
@@ -142,7 +171,7 @@ How it works:
       `
     };
 
-    await transporter.sendMail(mailOptions);
+    await deliver(mailOptions);
     console.log(`[EMAIL] Replay notification sent to ${recipientEmail} for session ${sessionSlug}`);
     return true;
   } catch (error) {
@@ -151,13 +180,82 @@ How it works:
   }
 }
 
+const RETENTION_REASON_LABELS = {
+  max_age: 'too old',
+  max_sessions: 'over the session limit',
+  trash_expired: 'emptied from the trash',
+};
+
+// Send the retention sweeper's purge summary (see retention.js)
+async function sendRetentionSummary(recipientEmail, summary) {
+  if (!transporter) {
+    console.log('[EMAIL] Email service not available, skipping retention summary');
+    return false;
+  }
+
+  try {
+    const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || 'http://localhost:3000';
+    const replayListUrl = `${backendUrl}/replays`;
+    const heading = summary.dry_run
+      ? `Retention dry run: ${summary.purged.length} session(s) would be purged`
+      : `Retention cleanup: ${summary.purged.length} session(s) purged`;
+
+    const describe = entry => {
+      const createdAt = entry.created_at ? new Date(entry.created_at).toLocaleDateString('en-US') : 'unknown date';
+      const reason = RETENTION_REASON_LABELS[entry.reason] || entry.reason;
+      return `${entry.quiz_filename || 'Untitled quiz'} (${entry.session_slug}, ${createdAt}, ${reason})`;
+    };
+    const listHtml = entries => entries.map(entry => `<li>${escapeHtml(describe(entry))}</li>`).join('');
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">${heading}</h2>
+        <p style="color: #374151;">Policy: ${escapeHtml(summary.policy)}. ${summary.checked} session(s) checked.</p>
+        ${summary.purged.length ? `<ul style="color: #374151;">${listHtml(summary.purged)}</ul>` : ''}
+        ${summary.failed.length ? `
+        <div style="background: #fee2e2; border-left: 4px solid #ef4444; padding: 15px; margin: 20px 0;">
+          <h4 style="margin: 0 0 10px 0; color: #dc2626;">Could not be deleted:</h4>
+          <ul style="margin: 0; color: #dc2626;">${listHtml(summary.failed)}</ul>
+        </div>` : ''}
+        <p style="color: #6b7280;">Star a session on the <a href="${replayListUrl}" style="color: #2563eb;">replay list</a> to keep it.</p>
+      </div>
+    `;
+
+    const text = [
+      heading,
+      `Policy: ${summary.policy}. ${summary.checked} session(s) checked.`,
+      '',
+      ...summary.purged.map(entry => `- ${describe(entry)}`),
+      ...(summary.failed.length ? ['', 'Could not be deleted:', ...summary.failed.map(entry => `- ${describe(entry)}`)] : []),
+      '',
+      `Star a session on the replay list to keep it: ${replayListUrl}`,
+    ].join('\n');
+
+    await deliver({
+      to: recipientEmail,
+      subject: `🧹 ${heading}`,
+      html: emailHtml,
+      text,
+    });
+    console.log(`[EMAIL] Retention summary sent to ${recipientEmail}`);
+    return true;
+  } catch (error) {
+    console.error('[EMAIL] Failed to send retention summary:', error);
+    return false;
+  }
+}
+
 // Test email configuration
 async function testEmailService() {
-  // First check if we have environment variables
-  if (!process.env.EMAIL_SERVICE || !process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+  // First check if email is configured at all
+  const { config, error } = parseEmailTransportConfig(process.env);
+  if (error) {
+    return { success: false, message: `Email configuration invalid: ${error}` };
+  }
+  if (!config) {
     return { 
       success: false, 
-      message: 'Email configuration missing: EMAIL_SERVICE, EMAIL_USER, or EMAIL_PASS not set' 
+      message: 'Email configuration missing: set EMAIL_TRANSPORT, or EMAIL_SERVICE, EMAIL_USER and EMAIL_PASS' 
     };
   }
 
@@ -171,19 +269,33 @@ async function testEmailService() {
     return { success: false, message: 'Email service initialization failed' };
   }
 
+  // Nothing to connect to: emails only land in memory
+  if (emailConfig.transport === 'json') {
+    return { success: true, message: `Email service is working correctly (${describeEmailTransport(emailConfig)})` };
+  }
+
   try {
     console.log('[EMAIL] Testing connection...');
     await transporter.verify();
     console.log('[EMAIL] Connection test successful');
-    return { success: true, message: 'Email service is working correctly' };
+    return { success: true, message: `Email service is working correctly (${describeEmailTransport(emailConfig)})` };
   } catch (error) {
     console.error('[EMAIL] Connection test failed:', error);
     return { success: false, message: `Connection failed: ${error.message}` };
   }
 }
 
+// Transport name for diagnostics, or null when email is off
+function getEmailTransportName() {
+  return emailConfig ? emailConfig.transport : null;
+}
+
 module.exports = {
   initEmailService,
   sendReplayNotification,
-  testEmailService
+  sendRetentionSummary,
+  testEmailService,
+  getEmailTransportName,
+  getOutbox,
+  clearOutbox
 };
\ No newline at end of file
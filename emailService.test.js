@@ -0,0 +1,54 @@
+const {
+  initEmailService,
+  sendReplayNotification,
+  sendRetentionSummary,
+  testEmailService,
+  getOutbox,
+  clearOutbox,
+} = require('./emailService');
+
+describe('email service with the json transport', () => {
+  const saved = { ...process.env };
+  let logSpy;
+
+  beforeAll(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.EMAIL_TRANSPORT = 'json';
+    process.env.EMAIL_FROM = 'Quiz Game <quiz@school.org>';
+    process.env.BACKEND_URL = 'https://quiz.example.com';
+    expect(initEmailService()).not.toBeNull();
+  });
+  afterAll(() => {
+    process.env = saved;
+    logSpy.mockRestore();
+  });
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  test('replay notifications are rendered and captured in the outbox', async () => {
+    expect(await sendReplayNotification('ann@school.org', '2024-01-05-fractions-abc123', 'fractions_quiz.md')).toBe(true);
+
+    const [message] = getOutbox();
+    expect(message.from).toEqual({ address: 'quiz@school.org', name: 'Quiz Game' });
+    expect(message.to).toEqual([{ address: 'ann@school.org', name: '' }]);
+    expect(message.subject).toMatch(/^📚 Quiz Replay Ready: fractions quiz/);
+    expect(message.text).toContain('Delete session: https://quiz.example.com/delete/2024-01-05-fractions-abc123');
+    expect(message.html).toContain('https://quiz.example.com/replays?teacher=ann%40school.org');
+  });
+
+  test('retention summaries go through the same transport', async () => {
+    await sendRetentionSummary('admin@school.org', {
+      dry_run: true,
+      policy: 'purge sessions older than 30 days',
+      checked: 3,
+      purged: [{ session_slug: 'old-quiz', quiz_filename: '<b>old</b>.md', created_at: '2024-01-01T00:00:00Z', reason: 'max_age' }],
+      failed: [],
+    });
+
+    const [message] = getOutbox();
+    expect(message.subject).toBe('🧹 Retention dry run: 1 session(s) would be purged');
+    expect(message.html).toContain('&lt;b&gt;old&lt;/b&gt;.md');
+    expect((await testEmailService()).success).toBe(true);
+  });
+});
@@ -0,0 +1,143 @@
+// Email transports for emailService.js, picked with EMAIL_TRANSPORT:
+//   service  a well-known provider: EMAIL_SERVICE ('gmail', 'outlook', ...), EMAIL_USER, EMAIL_PASS (default when EMAIL_SERVICE is set)
+//   smtp     any SMTP server: EMAIL_SMTP_HOST, EMAIL_SMTP_PORT (default 587, or 465 with EMAIL_SMTP_SECURE),
+//            EMAIL_SMTP_SECURE (TLS from the first byte, default on for port 465), EMAIL_SMTP_REQUIRE_TLS (refuse to send
+//            without STARTTLS), EMAIL_SMTP_TLS_REJECT_UNAUTHORIZED (default true; turn off for self-signed test servers),
+//            optional EMAIL_USER / EMAIL_PASS (default when EMAIL_SMTP_HOST is set)
+//   file     write every email as an .eml file into EMAIL_OUTBOX_DIR instead of sending it
+//   json     keep sent emails in memory as JSON (see getOutbox in emailService.js), for tests
+// EMAIL_FROM sets the sender address (default EMAIL_USER).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const EMAIL_TRANSPORTS = ['service', 'smtp', 'file', 'json'];
+const DEFAULT_OUTBOX_DIR = path.join(os.tmpdir(), 'quiz-game-outbox');
+const DEFAULT_LOCAL_FROM = 'quiz-game@localhost';
+
+function parseFlag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+// Returns { config } (null when email isn't configured at all) or { error } with a readable message
+function parseEmailTransportConfig(env = process.env) {
+  const explicit = (env.EMAIL_TRANSPORT || '').trim().toLowerCase();
+  let transport = explicit;
+  if (!transport) {
+    if (env.EMAIL_SERVICE) transport = 'service';
+    else if (env.EMAIL_SMTP_HOST) transport = 'smtp';
+    else return { config: null };
+  }
+  if (!EMAIL_TRANSPORTS.includes(transport)) {
+    return { error: `EMAIL_TRANSPORT must be one of: ${EMAIL_TRANSPORTS.join(', ')}` };
+  }
+
+  const auth = env.EMAIL_USER && env.EMAIL_PASS ? { user: env.EMAIL_USER, pass: env.EMAIL_PASS } : null;
+  const from = env.EMAIL_FROM || env.EMAIL_USER || null;
+
+  if (transport === 'service') {
+    if (!env.EMAIL_SERVICE || !auth) {
+      // Without EMAIL_TRANSPORT this is the old partial setup, which has always meant "no email"
+      return explicit
+        ? { error: 'the service transport needs EMAIL_SERVICE, EMAIL_USER and EMAIL_PASS' }
+        : { config: null };
+    }
+    return { config: { transport, from, options: { service: env.EMAIL_SERVICE, auth } } };
+  }
+
+  if (transport === 'smtp') {
+    if (!env.EMAIL_SMTP_HOST) return { error: 'the smtp transport needs EMAIL_SMTP_HOST' };
+    if (!from) return { error: 'the smtp transport needs EMAIL_FROM or EMAIL_USER as the sender' };
+    if ((env.EMAIL_USER || env.EMAIL_PASS) && !auth) {
+      return { error: 'EMAIL_USER and EMAIL_PASS must be set together' };
+    }
+
+    const portSetting = env.EMAIL_SMTP_PORT;
+    const port = portSetting ? Number(portSetting) : null;
+    if (port !== null && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      return { error: 'EMAIL_SMTP_PORT must be a port number' };
+    }
+    const secure = parseFlag(env.EMAIL_SMTP_SECURE, port === 465);
+    const options = {
+      host: env.EMAIL_SMTP_HOST,
+      port: port || (secure ? 465 : 587),
+      secure,
+      requireTLS: parseFlag(env.EMAIL_SMTP_REQUIRE_TLS, false),
+      tls: { rejectUnauthorized: parseFlag(env.EMAIL_SMTP_TLS_REJECT_UNAUTHORIZED, true) },
+    };
+    if (auth) options.auth = auth;
+    return { config: { transport, from, options } };
+  }
+
+  if (transport === 'file') {
+    return { config: { transport, from: from || DEFAULT_LOCAL_FROM, outboxDir: path.resolve(env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) } };
+  }
+
+  return { config: { transport, from: from || DEFAULT_LOCAL_FROM } };
+}
+
+// One line for the startup log; never includes the password
+function describeEmailTransport(config) {
+  switch (config.transport) {
+    case 'service':
+      return `service: ${config.options.service}, user: ${config.options.auth.user}`;
+    case 'smtp': {
+      const { host, port, secure, requireTLS, auth } = config.options;
+      const tls = secure ? 'TLS' : requireTLS ? 'STARTTLS required' : 'STARTTLS if offered';
+      return `SMTP ${host}:${port} (${tls})${auth ? `, user: ${auth.user}` : ''}`;
+    }
+    case 'file':
+      return `file outbox: ${config.outboxDir}`;
+    default:
+      return 'in-memory JSON outbox';
+  }
+}
+
+// nodemailer transport that writes each message to <outboxDir>/<time>-<message id>.eml
+function createFileOutboxTransport(outboxDir) {
+  const ready = () => fs.promises.mkdir(outboxDir, { recursive: true });
+
+  return {
+    name: 'file-outbox',
+    version: '1.0.0',
+    send(mail, callback) {
+      mail.message.keepBcc = true;
+      const envelope = mail.message.getEnvelope();
+      const messageId = mail.message.messageId();
+
+      mail.message.build((err, message) => {
+        if (err) return callback(err);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(outboxDir, `${stamp}-${messageId.replace(/[^A-Za-z0-9.-]/g, '')}.eml`);
+        ready()
+          .then(() => fs.promises.writeFile(file, message))
+          .then(() => callback(null, { envelope, messageId, path: file }), callback);
+      });
+    },
+    // The outbox is usable if the directory can be created and written to
+    verify() {
+      return ready().then(() => fs.promises.access(outboxDir, fs.constants.W_OK)).then(() => true);
+    },
+  };
+}
+
+function createEmailTransport(config) {
+  switch (config.transport) {
+    case 'file':
+      return nodemailer.createTransport(createFileOutboxTransport(config.outboxDir));
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      return nodemailer.createTransport(config.options);
+  }
+}
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  DEFAULT_OUTBOX_DIR,
+  parseEmailTransportConfig,
+  describeEmailTransport,
+  createEmailTransport,
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEmailTransportConfig, describeEmailTransport, createEmailTransport } = require('./emailTransport');
+
+describe('email transport config', () => {
+  test('the old EMAIL_SERVICE setup still works, and a partial one still means no email', () => {
+    const { config } = parseEmailTransportConfig({ EMAIL_SERVICE: 'gmail', EMAIL_USER: 'quiz@example.com', EMAIL_PASS: 'pw' });
+    expect(config).toEqual({
+      transport: 'service',
+      from: 'quiz@example.com',
+      options: { service: 'gmail', auth: { user: 'quiz@example.com', pass: 'pw' } },
+    });
+    expect(describeEmailTransport(config)).toBe('service: gmail, user: quiz@example.com');
+
+    expect(parseEmailTransportConfig({})).toEqual({ config: null });
+    expect(parseEmailTransportConfig({ EMAIL_SERVICE: 'gmail' })).toEqual({ config: null });
+    expect(parseEmailTransportConfig({ EMAIL_TRANSPORT: 'service', EMAIL_SERVICE: 'gmail' }).error).toMatch(/EMAIL_PASS/);
+  });
+
+  test('smtp takes host, port and TLS settings', () => {
+    const { config } = parseEmailTransportConfig({
+      EMAIL_SMTP_HOST: 'mail.school.org',
+      EMAIL_SMTP_REQUIRE_TLS: 'true',
+      EMAIL_SMTP_TLS_REJECT_UNAUTHORIZED: 'false',
+      EMAIL_FROM: 'Quiz Game <quiz@school.org>',
+    });
+    expect(config).toEqual({
+      transport: 'smtp',
+      from: 'Quiz Game <quiz@school.org>',
+      options: { host: 'mail.school.org', port: 587, secure: false, requireTLS: true, tls: { rejectUnauthorized: false } },
+    });
+    expect(describeEmailTransport(config)).toBe('SMTP mail.school.org:587 (STARTTLS required)');
+
+    const secure = parseEmailTransportConfig({ EMAIL_TRANSPORT: 'smtp', EMAIL_SMTP_HOST: 'h', EMAIL_SMTP_PORT: '465', EMAIL_USER: 'u', EMAIL_PASS: 'p' });
+    expect(secure.config.options).toMatchObject({ port: 465, secure: true, auth: { user: 'u', pass: 'p' } });
+
+    expect(parseEmailTransportConfig({ EMAIL_TRANSPORT: 'smtp', EMAIL_FROM: 'a@b' }).error).toBe('the smtp transport needs EMAIL_SMTP_HOST');
+    expect(parseEmailTransportConfig({ EMAIL_SMTP_HOST: 'h' }).error).toMatch(/sender/);
+    expect(parseEmailTransportConfig({ EMAIL_SMTP_HOST: 'h', EMAIL_FROM: 'a@b', EMAIL_SMTP_PORT: 'smtp' }).error).toMatch(/^EMAIL_SMTP_PORT/);
+    expect(parseEmailTransportConfig({ EMAIL_TRANSPORT: 'pigeon' }).error).toBe('EMAIL_TRANSPORT must be one of: service, smtp, file, json');
+  });
+
+  test('the file transport writes each email to the outbox directory', async () => {
+    const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+    try {
+      const { config } = parseEmailTransportConfig({ EMAIL_TRANSPORT: 'file', EMAIL_OUTBOX_DIR: path.join(outboxDir, 'mail') });
+      expect(config.from).toBe('quiz-game@localhost');
+
+      const transport = createEmailTransport(config);
+      await expect(transport.verify()).resolves.toBe(true);
+      const info = await transport.sendMail({ from: config.from, to: 'ann@school.org', subject: 'Replay ready', text: 'Hello Ann' });
+
+      expect(path.dirname(info.path)).toBe(path.join(outboxDir, 'mail'));
+      expect(info.envelope).toEqual({ from: 'quiz-game@localhost', to: ['ann@school.org'] });
+      const eml = fs.readFileSync(info.path, 'utf8');
+      expect(eml).toMatch(/^To: ann@school\.org$/m);
+      expect(eml).toMatch(/^Subject: Replay ready$/m);
+      expect(eml).toContain('Hello Ann');
+    } finally {
+      fs.rmSync(outboxDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,117 @@
+// Buffered, batched writer for the game_events log
+//
+// Events are queued per game and written as one multi-row insert per game: on an interval, as soon as a
+// game has a full batch waiting, and on demand (session end, before a game's log is read, shutdown).
+// A batch that fails stays at the front of its game's queue and is retried on the next flush, so each
+// session's events reach the table in the order they happened. After maxAttempts failures in a row the
+// batch is dropped so one bad game can't hold events in memory forever.
+
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+const DEFAULT_MAX_BATCH = 500;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// insert(gameId, events): writes [{ event_type, event_data, timestamp }] in order, resolves true on success
+function createEventLog({
+  insert,
+  intervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+  maxBatch = DEFAULT_MAX_BATCH,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  now = () => new Date(),
+}) {
+  const queues = new Map(); // gameId => { events, attempts }
+  let timer = null;
+
+  async function writeGame(gameId, queue) {
+    while (queue.events.length > 0 && queues.get(gameId) === queue) {
+      const batch = queue.events.slice(0, maxBatch);
+      let written = false;
+      try {
+        written = await insert(gameId, batch);
+      } catch (err) {
+        console.log(`[EVENT LOG] Insert for game ${gameId} threw:`, err.message);
+      }
+
+      if (!written) {
+        queue.attempts += 1;
+        if (queue.attempts < maxAttempts) {
+          console.log(`[EVENT LOG] Writing ${batch.length} events for game ${gameId} failed (attempt ${queue.attempts}/${maxAttempts}), will retry`);
+          return;
+        }
+        console.log(`[EVENT LOG] Dropping ${batch.length} events for game ${gameId} after ${maxAttempts} failed attempts`);
+      }
+
+      queue.events.splice(0, batch.length);
+      queue.attempts = 0;
+    }
+
+    if (queue.events.length === 0 && queues.get(gameId) === queue) queues.delete(gameId);
+  }
+
+  async function writeAll() {
+    for (const [gameId, queue] of Array.from(queues.entries())) {
+      await writeGame(gameId, queue);
+    }
+  }
+
+  // Flushes never overlap: a flush requested mid-write runs once the current write finishes
+  let running = null;
+  let queued = null;
+
+  function run() {
+    running = writeAll()
+      .catch(err => {
+        console.log('[EVENT LOG] Flush failed:', err.message);
+      })
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function flush() {
+    if (!running) return run();
+    if (!queued) {
+      queued = running.then(() => {
+        queued = null;
+        return run();
+      });
+    }
+    return queued;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(flush, intervalMs);
+      timer.unref?.();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    flush,
+    // Queue an event; the row's timestamp is when it was logged, not when the batch is written
+    log(gameId, eventType, eventData) {
+      if (!queues.has(gameId)) queues.set(gameId, { events: [], attempts: 0 });
+      const queue = queues.get(gameId);
+      queue.events.push({ event_type: eventType, event_data: eventData, timestamp: now().toISOString() });
+      if (queue.events.length >= maxBatch) flush();
+    },
+    // Events still waiting to be written, for one game or all of them
+    pending(gameId = null) {
+      if (gameId !== null) return queues.get(gameId)?.events.length || 0;
+      return Array.from(queues.values()).reduce((sum, queue) => sum + queue.events.length, 0);
+    },
+    // Throw away a game's queued events (the game is being deleted)
+    discard(gameId) {
+      queues.delete(gameId);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_FLUSH_INTERVAL_MS,
+  DEFAULT_MAX_BATCH,
+  DEFAULT_MAX_ATTEMPTS,
+  createEventLog,
+};
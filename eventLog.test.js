@@ -0,0 +1,126 @@
+const { createEventLog } = require('./eventLog');
+
+// Records every insert; outcomes are consumed in order (default: success)
+function fakeInsert(outcomes = []) {
+  const calls = [];
+  const insert = jest.fn(async (gameId, events) => {
+    calls.push({ gameId, types: events.map(event => event.event_type) });
+    const outcome = outcomes.length > 0 ? outcomes.shift() : true;
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  });
+  return { insert, calls };
+}
+
+const clock = () => {
+  let ms = Date.parse('2024-01-05T09:00:00Z');
+  return () => new Date(ms++);
+};
+
+describe('event log buffer', () => {
+  let logSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('queued events are written as one batch per game, in order', async () => {
+    const { insert, calls } = fakeInsert();
+    const eventLog = createEventLog({ insert, now: clock() });
+
+    eventLog.log('game-a', 'phase_advance', { phase: 2 });
+    eventLog.log('game-b', 'student_join', { student_id: 'ann' });
+    eventLog.log('game-a', 'student_answer', { student_id: 'bob' });
+    expect(eventLog.pending()).toBe(3);
+    expect(insert).not.toHaveBeenCalled();
+
+    await eventLog.flush();
+    expect(calls).toEqual([
+      { gameId: 'game-a', types: ['phase_advance', 'student_answer'] },
+      { gameId: 'game-b', types: ['student_join'] },
+    ]);
+    expect(insert.mock.calls[0][1][1]).toEqual({
+      event_type: 'student_answer',
+      event_data: { student_id: 'bob' },
+      timestamp: '2024-01-05T09:00:00.002Z',
+    });
+    expect(eventLog.pending()).toBe(0);
+  });
+
+  test('a full batch is written without waiting for the interval', async () => {
+    const { insert, calls } = fakeInsert();
+    const eventLog = createEventLog({ insert, maxBatch: 2 });
+
+    eventLog.log('game-a', 'student_move', {});
+    expect(insert).not.toHaveBeenCalled();
+    eventLog.log('game-a', 'student_move', {});
+    eventLog.log('game-a', 'student_move', {});
+    await eventLog.flush();
+
+    expect(calls.map(call => call.types.length)).toEqual([2, 1]);
+  });
+
+  test('a failed batch is retried ahead of newer events', async () => {
+    const { insert, calls } = fakeInsert([false, new Error('connection reset')]);
+    const eventLog = createEventLog({ insert });
+
+    eventLog.log('game-a', 'first', {});
+    await eventLog.flush();
+    eventLog.log('game-a', 'second', {});
+    await eventLog.flush();
+    expect(eventLog.pending('game-a')).toBe(2);
+
+    await eventLog.flush();
+    expect(calls.map(call => call.types)).toEqual([['first'], ['first', 'second'], ['first', 'second']]);
+    expect(eventLog.pending('game-a')).toBe(0);
+  });
+
+  test('a batch is dropped after maxAttempts failures so later events still land', async () => {
+    const { insert, calls } = fakeInsert([false, false]);
+    const eventLog = createEventLog({ insert, maxBatch: 1, maxAttempts: 2 });
+
+    eventLog.log('game-a', 'poison', {});
+    await eventLog.flush();
+    eventLog.log('game-a', 'next', {});
+    await eventLog.flush();
+
+    expect(calls.map(call => call.types)).toEqual([['poison'], ['poison'], ['next']]);
+    expect(eventLog.pending()).toBe(0);
+  });
+
+  test('flushes never overlap or write an event twice', async () => {
+    let release;
+    const inFlight = [];
+    const insert = jest.fn(async (gameId, events) => {
+      inFlight.push(events.map(event => event.event_type));
+      if (inFlight.length === 1) await new Promise(resolve => { release = resolve; });
+      return true;
+    });
+    const eventLog = createEventLog({ insert });
+
+    eventLog.log('game-a', 'one', {});
+    const first = eventLog.flush();
+    eventLog.log('game-a', 'two', {});
+    const second = eventLog.flush();
+    const third = eventLog.flush();
+    expect(insert).toHaveBeenCalledTimes(1);
+
+    release();
+    await Promise.all([first, second, third]);
+    expect(inFlight).toEqual([['one'], ['two']]);
+  });
+
+  test('discarding a game drops its queued events', async () => {
+    const { insert, calls } = fakeInsert();
+    const eventLog = createEventLog({ insert });
+
+    eventLog.log('game-a', 'student_join', {});
+    eventLog.log('game-b', 'student_join', {});
+    eventLog.discard('game-a');
+    await eventLog.flush();
+
+    expect(calls.map(call => call.gameId)).toEqual(['game-b']);
+  });
+});
@@ -0,0 +1,106 @@
+// Answer grading against the parsed quiz answer key
+//
+// Answer shapes by question type (see quizParser.js):
+//   choice, true-false: choice index            2
+//   multi:              sorted choice indices   [0, 2]
+//   numeric:            number                  3.14
+const { QUESTION_TYPE_CHOICE, QUESTION_TYPE_MULTI, QUESTION_TYPE_NUMERIC } = require('./quizParser');
+
+// Room for floating point error when comparing numeric answers
+const NUMERIC_EPSILON = 1e-9;
+
+function isMultiSelect(question) {
+  return question.type === QUESTION_TYPE_MULTI;
+}
+
+function isNumeric(question) {
+  return question.type === QUESTION_TYPE_NUMERIC;
+}
+
+// Validate a submitted answer for the question; returns the normalized answer or null if it doesn't fit
+function normalizeAnswer(question, answer) {
+  if (!question) return null;
+
+  if (isNumeric(question)) {
+    const value = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+
+  const isChoice = idx => Number.isInteger(idx) && idx >= 0 && idx < question.choices.length;
+  if (isMultiSelect(question)) {
+    if (!Array.isArray(answer) || answer.length === 0 || !answer.every(isChoice)) return null;
+    return Array.from(new Set(answer)).sort((a, b) => a - b);
+  }
+  return isChoice(answer) ? answer : null;
+}
+
+function isAnswerCorrect(question, answer) {
+  if (!question) return false;
+
+  if (isNumeric(question)) {
+    if (typeof answer !== 'number') return false;
+    const { value, tolerance } = question.numericAnswer;
+    return Math.abs(answer - value) <= tolerance + NUMERIC_EPSILON;
+  }
+
+  if (isMultiSelect(question)) {
+    // Every correct choice and nothing else
+    if (!Array.isArray(answer)) return false;
+    const picked = new Set(answer);
+    return picked.size === question.correctIdxs.length && question.correctIdxs.every(idx => picked.has(idx));
+  }
+
+  if (typeof answer !== 'number') return false;
+  return question.correctIdxs.includes(answer);
+}
+
+function isSameAnswer(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Grade every submitted answer for one question
+// Returns Map of student_id => { answer, correct }
+function gradeQuestion(question, answers) {
+  const results = new Map();
+  for (const [studentId, answer] of answers.entries()) {
+    results.set(studentId, { answer, correct: isAnswerCorrect(question, answer) });
+  }
+  return results;
+}
+
+// Live tally of the open question's answers
+//   choice types: counts per choice index (multi-select counts every picked choice)
+//   numeric:      counts per submitted value
+// Returns { type, total, counts }
+function tallyAnswers(question, answers) {
+  const counts = {};
+  let total = 0;
+  for (const answer of answers.values()) {
+    if (answer === null || answer === undefined) continue;
+    total += 1;
+    const keys = Array.isArray(answer) ? answer : [answer];
+    for (const key of keys) {
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+  return { type: question?.type || QUESTION_TYPE_CHOICE, total, counts };
+}
+
+// Total correct answers for one student across all graded questions
+// questionResults: Map of question_idx => Map of student_id => { answer, correct }
+function countCorrect(questionResults, studentId) {
+  let total = 0;
+  for (const results of questionResults.values()) {
+    if (results.get(studentId)?.correct) total += 1;
+  }
+  return total;
+}
+
+module.exports = {
+  normalizeAnswer,
+  isAnswerCorrect,
+  isSameAnswer,
+  gradeQuestion,
+  tallyAnswers,
+  countCorrect,
+};
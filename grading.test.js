@@ -0,0 +1,86 @@
+const { normalizeAnswer, isAnswerCorrect, isSameAnswer, gradeQuestion, tallyAnswers, countCorrect } = require('./grading');
+
+describe('grading', () => {
+  const question = { correctIdxs: [1, 3] };
+
+  test('isAnswerCorrect checks against the answer key', () => {
+    expect(isAnswerCorrect(question, 1)).toBe(true);
+    expect(isAnswerCorrect(question, 3)).toBe(true);
+    expect(isAnswerCorrect(question, 0)).toBe(false);
+    expect(isAnswerCorrect(question, undefined)).toBe(false);
+    expect(isAnswerCorrect(null, 1)).toBe(false);
+  });
+
+  test('gradeQuestion grades every submitted answer', () => {
+    const answers = new Map([['ann', 1], ['bob', 2]]);
+    const results = gradeQuestion(question, answers);
+    expect(results.get('ann')).toEqual({ answer: 1, correct: true });
+    expect(results.get('bob')).toEqual({ answer: 2, correct: false });
+  });
+
+  test('countCorrect totals a student across questions', () => {
+    const questionResults = new Map([
+      [0, new Map([['ann', { answer: 1, correct: true }], ['bob', { answer: 0, correct: false }]])],
+      [1, new Map([['ann', { answer: 2, correct: true }]])],
+    ]);
+    expect(countCorrect(questionResults, 'ann')).toBe(2);
+    expect(countCorrect(questionResults, 'bob')).toBe(0);
+    expect(countCorrect(questionResults, 'cat')).toBe(0);
+  });
+
+  const choices = n => Array.from({ length: n }, (_, i) => ({ text: String(i) }));
+  const multi = { type: 'multi', choices: choices(5), correctIdxs: [0, 2] };
+  const numeric = { type: 'numeric', choices: [], correctIdxs: [], numericAnswer: { value: 3.14, tolerance: 0.01 } };
+
+  test('normalizeAnswer validates the answer shape for each question type', () => {
+    const single = { type: 'choice', choices: choices(6), correctIdxs: [5] };
+    expect(normalizeAnswer(single, 5)).toBe(5);
+    expect(normalizeAnswer(single, 6)).toBeNull();
+    expect(normalizeAnswer(single, [1])).toBeNull();
+
+    expect(normalizeAnswer(multi, [2, 0, 2])).toEqual([0, 2]);
+    expect(normalizeAnswer(multi, [])).toBeNull();
+    expect(normalizeAnswer(multi, [0, 7])).toBeNull();
+    expect(normalizeAnswer(multi, 1)).toBeNull();
+
+    expect(normalizeAnswer(numeric, 3.2)).toBe(3.2);
+    expect(normalizeAnswer(numeric, ' 42 ')).toBe(42);
+    expect(normalizeAnswer(numeric, 'pi')).toBeNull();
+    expect(normalizeAnswer(numeric, Infinity)).toBeNull();
+    expect(normalizeAnswer(null, 1)).toBeNull();
+  });
+
+  test('multi-select needs exactly the correct choices', () => {
+    expect(isAnswerCorrect(multi, [0, 2])).toBe(true);
+    expect(isAnswerCorrect(multi, [0])).toBe(false);
+    expect(isAnswerCorrect(multi, [0, 1, 2])).toBe(false);
+    expect(isAnswerCorrect(multi, 0)).toBe(false);
+  });
+
+  test('numeric answers are correct within the tolerance', () => {
+    expect(isAnswerCorrect(numeric, 3.14)).toBe(true);
+    expect(isAnswerCorrect(numeric, 3.15)).toBe(true);
+    expect(isAnswerCorrect(numeric, 3.13)).toBe(true);
+    expect(isAnswerCorrect(numeric, 3.16)).toBe(false);
+    expect(isAnswerCorrect(numeric, '3.14')).toBe(false);
+  });
+
+  test('isSameAnswer compares answers of any shape', () => {
+    expect(isSameAnswer([0, 2], [0, 2])).toBe(true);
+    expect(isSameAnswer([0, 2], [0])).toBe(false);
+    expect(isSameAnswer(1, 1)).toBe(true);
+  });
+
+  test('tallyAnswers counts choices, picked choices or submitted values', () => {
+    expect(tallyAnswers({ type: 'choice' }, new Map([['a', 1], ['b', 1], ['c', 0]]))).toEqual({
+      type: 'choice', total: 3, counts: { 0: 1, 1: 2 },
+    });
+    expect(tallyAnswers(multi, new Map([['a', [0, 2]], ['b', [2]]]))).toEqual({
+      type: 'multi', total: 2, counts: { 0: 1, 2: 2 },
+    });
+    expect(tallyAnswers(numeric, new Map([['a', 3.14], ['b', 3], ['c', 3.14]]))).toEqual({
+      type: 'numeric', total: 3, counts: { 3: 1, 3.14: 2 },
+    });
+    expect(tallyAnswers(null, new Map())).toEqual({ type: 'choice', total: 0, counts: {} });
+  });
+});
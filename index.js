@@ -3,10 +3,68 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { sanitizeName, rateLimit } = require('./utils');
+const { sanitizeName, escapeHtml, rateLimit } = require('./utils');
+const {
+  socketAuthMiddleware,
+  isAdminSocket,
+  authenticateTeacher,
+  canManage,
+  isAdminAuthConfigured,
+  parseTeacherTokens,
+  getRequestToken,
+  requireAdmin,
+  requireTeacher,
+} = require('./auth');
+const { QUESTION_TYPE_NUMERIC, tryParseQuizMarkdown } = require('./quizParser');
+const { gradeQuestion, tallyAnswers, countCorrect } = require('./grading');
+const { rollDie, checkMoveEligibility, recordMove, forfeitMove } = require('./movement');
+const { getFinishSquare, isFinishSquare, normalizeBoardConfig, boardFromQuizMetadata, moveOnBoard, applyRoll } = require('./board');
+const { isValidStrategy, isValidDifficulty, computeQuizmasterMove } = require('./quizmaster');
+const { normalizeTimerConfig, timerFromQuizMetadata, getRemainingSeconds } = require('./questionTimer');
+const { isValidAnswerPolicy, answerPolicyFromQuizMetadata, checkAnswer, recordAnswer } = require('./answers');
+const {
+  ATTEMPT_STATUS_IN_PROGRESS,
+  ATTEMPT_STATUS_COMPLETED,
+  createAttemptProgress,
+  boardForSession,
+  submitAttemptAnswer,
+} = require('./replayAttempts');
+const { buildTimeline, findSnapshot } = require('./replayTimeline');
+const { buildSessionReport } = require('./sessionReport');
+const { buildResultsCsv, buildSessionArchive, parseSessionArchive, exportFilename } = require('./sessionExport');
+const {
+  TEAM_ASSIGNMENT_AUTO,
+  TEAM_ASSIGNMENT_SELF,
+  normalizeTeam,
+  pickBalancedTeam,
+  assignUnassigned,
+  computeTeamStandings,
+} = require('./teams');
+const {
+  DEFAULT_WAITING_LEFT_COLOR,
+  DEFAULT_WAITING_RIGHT_COLOR,
+  normalizeRoomCode,
+  generateRoomCode,
+  createRoomState,
+  serializeRoomState,
+  restoreRoomState,
+} = require('./rooms');
+const { createStateStore, createCheckpointer } = require('./liveStateStore');
 const { buildDisconnectInfo, sendDisconnectWebhook } = require('./disconnectDiagnostics');
-const { initDatabase, createTables, gameDatabase, testConnection } = require('./database');
-const { initEmailService, sendReplayNotification, testEmailService } = require('./emailService');
+const { initDatabase, getPool, migrateDatabase, gameDatabase, testConnection } = require('./database');
+const { NODE_ID, attachClusterAdapter } = require('./cluster');
+const { createRoomRouter } = require('./roomRouter');
+const { parseRetentionPolicy, describeRetentionPolicy, trashPurgeDate, createRetentionSweeper } = require('./retention');
+const { parseSessionSearch, scopeSessionSearch, searchQueryString } = require('./sessionSearch');
+const {
+  initEmailService,
+  sendReplayNotification,
+  sendRetentionSummary,
+  testEmailService,
+  getEmailTransportName,
+  getOutbox,
+  clearOutbox,
+} = require('./emailService');
 dotenv.config();
 
 const app = express();
@@ -19,6 +77,7 @@ const io = new Server(server, {
     methods: ['GET', 'POST']
   }
 });
+io.use(socketAuthMiddleware);
 
 // --- CORS SETUP ---
 const allowedOrigins = process.env.CORS_ORIGIN?.split(',').map(s => s.trim());
@@ -49,7 +108,10 @@ app.use(cors({
   },
   credentials: true
 }));
+// Session archives are much larger than any other request body; parsed here first, so the default parser skips them
+app.use('/api/sessions/import', express.json({ limit: process.env.SESSION_IMPORT_LIMIT || '20mb' }));
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
 
 app.get('/', (req, res) => {
   res.send('Quiz Game Backend Running');
@@ -58,12 +120,16 @@ app.get('/', (req, res) => {
 // Debug environment variables
 app.get('/api/env-debug', (req, res) => {
   res.json({
+    EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || 'not set',
     EMAIL_SERVICE: process.env.EMAIL_SERVICE || 'not set',
+    EMAIL_SMTP_HOST: process.env.EMAIL_SMTP_HOST || 'not set',
     EMAIL_USER: process.env.EMAIL_USER || 'not set',
     EMAIL_PASS: process.env.EMAIL_PASS ? 'configured' : 'not set',
     TEACHER_EMAIL: process.env.TEACHER_EMAIL || 'not set',
     FRONTEND_URL: process.env.FRONTEND_URL || 'not set',
     DATABASE_URL: process.env.DATABASE_URL ? 'configured' : 'not set',
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN ? 'configured' : 'not set',
+    TEACHER_TOKENS: `${parseTeacherTokens().length} teacher(s)`,
     NODE_ENV: process.env.NODE_ENV || 'not set'
   });
 });
@@ -83,7 +149,9 @@ app.get('/api/email-test', async (req, res) => {
   
   // Debug: show what environment variables are available
   const envDebug = {
+    EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || 'missing',
     EMAIL_SERVICE: process.env.EMAIL_SERVICE ? 'set' : 'missing',
+    EMAIL_SMTP_HOST: process.env.EMAIL_SMTP_HOST ? 'set' : 'missing',
     EMAIL_USER: process.env.EMAIL_USER ? 'set' : 'missing', 
     EMAIL_PASS: process.env.EMAIL_PASS ? 'set' : 'missing',
     TEACHER_EMAIL: process.env.TEACHER_EMAIL ? 'set' : 'missing',
@@ -98,6 +166,21 @@ app.get('/api/email-test', async (req, res) => {
   });
 });
 
+// Emails captured by the json transport (EMAIL_TRANSPORT=json), for end-to-end tests; ?clear=1 empties it after reading
+app.get('/api/email-outbox', requireAdmin, (req, res) => {
+  const transport = getEmailTransportName();
+  if (transport !== 'json') {
+    return res.status(404).json({
+      error: 'No outbox',
+      message: `Emails are only kept with EMAIL_TRANSPORT=json (current transport: ${transport || 'none'})`
+    });
+  }
+
+  const messages = getOutbox();
+  if (['1', 'true'].includes(String(req.query.clear))) clearOutbox();
+  res.json({ transport, messages });
+});
+
 // --- Replay Mode API Endpoints ---
 
 // Get session data for replay mode
@@ -112,12 +195,17 @@ app.get('/api/session/:sessionSlug', async (req, res) => {
         message: `No replay session found with ID: ${sessionSlug}`
       });
     }
+
+    // Structured quiz for replays; older sessions may hold content the parser rejects
+    const { quiz: parsedQuiz, error: parseError } = tryParseQuizMarkdown(session.quiz_content);
     
     res.json({
       id: session.id,
       session_slug: session.session_slug,
       quiz_filename: session.quiz_filename,
       quiz_content: session.quiz_content,
+      quiz: parsedQuiz,
+      quiz_parse_error: parseError ? parseError.message : null,
       created_at: session.created_at,
       completed_at: session.completed_at,
       status: session.status
@@ -181,6 +269,8 @@ app.get('/api/session/:sessionSlug/players', async (req, res) => {
     
     // Get final positions from database
     const finalPositions = await gameDatabase.getFinalPositions(session.id);
+    const teamResults = await gameDatabase.getTeamResults(session.id);
+    const attempts = await gameDatabase.getReplayAttempts(session.id);
     
     res.json({
       session_id: session.id,
@@ -190,8 +280,21 @@ app.get('/api/session/:sessionSlug/players', async (req, res) => {
         student_id: player.student_id,
         student_name: player.student_name,
         final_square: player.final_square,
-        total_correct: player.total_correct
-      }))
+        total_correct: player.total_correct,
+        team: player.team
+      })),
+      teams: teamResults.map(team => ({
+        team: team.team,
+        team_name: team.team_name,
+        team_color: team.team_color,
+        member_count: team.member_count,
+        total_square: team.total_square,
+        average_square: team.average_square,
+        total_correct: team.total_correct,
+        is_winner: team.is_winner
+      })),
+      // Makeup runs by students who played the replay later
+      replay_attempts: attempts.map(attempt => formatReplayAttempt(attempt))
     });
   } catch (error) {
     console.error('[API] Error fetching session players:', error);
@@ -202,6 +305,239 @@ app.get('/api/session/:sessionSlug/players', async (req, res) => {
   }
 });
 
+// Load a session's timeline; sends the error response itself and returns null
+async function loadSessionTimeline(req, res) {
+  const { sessionSlug } = req.params;
+  const session = await gameDatabase.getGameSession(sessionSlug);
+  if (!session) {
+    res.status(404).json({
+      error: 'Session not found',
+      message: `No replay session found with ID: ${sessionSlug}`
+    });
+    return null;
+  }
+
+  const events = await gameDatabase.getGameEvents(session.id);
+  const { quiz } = tryParseQuizMarkdown(session.quiz_content);
+  return { session, timeline: buildTimeline(events, quiz) };
+}
+
+// Non-negative integer query parameter; undefined when absent, NaN when invalid
+function parseIndexParam(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+// Board, votes and quizmaster at one point of a replay (?question=N&phase=P; no query = where the log ends)
+app.get('/api/session/:sessionSlug/state', async (req, res) => {
+  try {
+    const questionIdx = parseIndexParam(req.query.question);
+    const phase = parseIndexParam(req.query.phase);
+    if (Number.isNaN(questionIdx) || Number.isNaN(phase) || (phase !== undefined && questionIdx === undefined)) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: 'question and phase must be non-negative integers, and phase needs a question'
+      });
+    }
+
+    const loaded = await loadSessionTimeline(req, res);
+    if (!loaded) return;
+    const { session, timeline } = loaded;
+
+    const snapshot = questionIdx === undefined
+      ? timeline[timeline.length - 1]
+      : findSnapshot(timeline, questionIdx, phase ?? null);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'State not found',
+        message: `Question ${questionIdx}${phase !== undefined ? ` phase ${phase}` : ''} was never shown in this session`
+      });
+    }
+
+    res.json({
+      session_slug: session.session_slug,
+      total_steps: timeline.length,
+      state: snapshot
+    });
+  } catch (error) {
+    console.error('[API] Error rebuilding session state:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to rebuild session state'
+    });
+  }
+});
+
+// Every snapshot of a replay in order (?question=N keeps only that question's)
+app.get('/api/session/:sessionSlug/snapshots', async (req, res) => {
+  try {
+    const questionIdx = parseIndexParam(req.query.question);
+    if (Number.isNaN(questionIdx)) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: 'question must be a non-negative integer'
+      });
+    }
+
+    const loaded = await loadSessionTimeline(req, res);
+    if (!loaded) return;
+    const { session, timeline } = loaded;
+
+    const snapshots = questionIdx === undefined
+      ? timeline
+      : timeline.filter(snapshot => snapshot.question_idx === questionIdx);
+    res.json({
+      session_slug: session.session_slug,
+      total_snapshots: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    console.error('[API] Error rebuilding session snapshots:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to rebuild session snapshots'
+    });
+  }
+});
+
+// Session report: per-question and per-student results (JSON)
+app.get('/api/session/:sessionSlug/report', async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    const session = await gameDatabase.getGameSession(sessionSlug);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No replay session found with ID: ${sessionSlug}`
+      });
+    }
+
+    const events = await gameDatabase.getGameEvents(session.id);
+    const { quiz } = tryParseQuizMarkdown(session.quiz_content);
+    res.json({
+      session_id: session.id,
+      session_slug: sessionSlug,
+      quiz_filename: session.quiz_filename,
+      ...buildSessionReport(events, quiz)
+    });
+  } catch (error) {
+    console.error('[API] Error building session report:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to build session report'
+    });
+  }
+});
+
+// Gradebook CSV: one row per student (live players, then replay attempts) with final square, total correct and per-question answers
+app.get('/api/session/:sessionSlug/export.csv', async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    const session = await gameDatabase.getGameSession(sessionSlug);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No replay session found with ID: ${sessionSlug}`
+      });
+    }
+
+    const events = await gameDatabase.getGameEvents(session.id);
+    const finalPositions = await gameDatabase.getFinalPositions(session.id);
+    const replayAttempts = await gameDatabase.getReplayAttempts(session.id);
+    const { quiz } = tryParseQuizMarkdown(session.quiz_content);
+
+    console.log(`[EXPORT] CSV results for session ${sessionSlug}`);
+    res.attachment(exportFilename(sessionSlug, 'results.csv'));
+    res.type('text/csv; charset=utf-8');
+    res.send(buildResultsCsv({ events, quiz, finalPositions, replayAttempts }));
+  } catch (error) {
+    console.error('[API] Error exporting session CSV:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to export session results'
+    });
+  }
+});
+
+// Full JSON archive of a session (quiz, events, results) for backups and re-import
+app.get('/api/session/:sessionSlug/export.json', async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    const session = await gameDatabase.getGameSession(sessionSlug);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No replay session found with ID: ${sessionSlug}`
+      });
+    }
+
+    const archive = buildSessionArchive({
+      session,
+      events: await gameDatabase.getGameEvents(session.id),
+      finalPositions: await gameDatabase.getFinalPositions(session.id),
+      teamResults: await gameDatabase.getTeamResults(session.id),
+      replayAttempts: await gameDatabase.getReplayAttempts(session.id)
+    });
+
+    console.log(`[EXPORT] JSON archive for session ${sessionSlug}: ${archive.events.length} events`);
+    res.attachment(exportFilename(sessionSlug, 'archive.json'));
+    res.json(archive);
+  } catch (error) {
+    console.error('[API] Error exporting session archive:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to export session archive'
+    });
+  }
+});
+
+// Import a session archive (from /api/session/:sessionSlug/export.json) under a new session slug
+app.post('/api/sessions/import', requireTeacher, async (req, res) => {
+  try {
+    // Accept either the archive itself or { archive } (requireTeacher may read a token next to it)
+    const body = req.body?.archive ?? req.body;
+    const { archive, error } = parseSessionArchive(body);
+    if (error) {
+      console.log(`[IMPORT] Rejected session archive: ${error}`);
+      return res.status(400).json({
+        error: 'Invalid archive',
+        message: error
+      });
+    }
+
+    // The importing teacher owns the copy
+    const imported = await gameDatabase.importGameSession(archive, req.teacher.email);
+    if (!imported) {
+      return res.status(500).json({
+        error: 'Import failed',
+        message: 'The session could not be saved; nothing was imported'
+      });
+    }
+
+    console.log(`[IMPORT] Imported session ${imported.session_slug} (${archive.events.length} events)`);
+    res.status(201).json({
+      message: 'Session imported successfully',
+      session_id: imported.id,
+      session_slug: imported.session_slug,
+      imported: {
+        events: archive.events.length,
+        final_positions: archive.final_positions.length,
+        team_results: archive.team_results.length,
+        replay_attempts: archive.replay_attempts.length
+      }
+    });
+  } catch (error) {
+    console.error('[IMPORT] Error importing session:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: `Failed to import session: ${error.message}`
+    });
+  }
+});
+
 // Test endpoint to check if session exists
 app.get('/api/session/:sessionSlug/exists', async (req, res) => {
   try {
@@ -226,12 +562,319 @@ app.get('/api/session/:sessionSlug/exists', async (req, res) => {
   }
 });
 
-// Replay list page
-app.get('/replays', async (req, res) => {
+// --- Replay attempts: makeup play-throughs of a recorded session ---
+
+// Public listings leave out the attempt and student ids, which are what lets a student resume an attempt or answer
+// in it; forOwner adds them, with the graded answers, for the student playing it
+function formatReplayAttempt(attempt, { forOwner = false } = {}) {
+  const progress = attempt.progress || {};
+  const formatted = {
+    student_name: attempt.student_name,
+    status: attempt.status,
+    final_square: attempt.final_square,
+    total_correct: attempt.total_correct,
+    answered: Object.keys(progress.answers || {}).length,
+    finished_race: Boolean(progress.finished),
+    started_at: attempt.started_at,
+    completed_at: attempt.completed_at
+  };
+  if (forOwner) {
+    formatted.attempt_id = attempt.id;
+    formatted.student_id = attempt.student_id;
+    formatted.skip_pending = Boolean(progress.skipPending);
+    formatted.answers = Object.entries(progress.answers || {}).map(([questionIdx, entry]) => ({
+      question_idx: Number(questionIdx),
+      ...entry
+    }));
+  }
+  return formatted;
+}
+
+// Session, parsed quiz and starting board for an attempt; sends the error response itself and returns null
+async function loadAttemptSession(req, res) {
+  const { sessionSlug } = req.params;
+  const session = await gameDatabase.getGameSession(sessionSlug);
+  if (!session) {
+    res.status(404).json({
+      error: 'Session not found',
+      message: `No replay session found with ID: ${sessionSlug}`
+    });
+    return null;
+  }
+
+  const { quiz } = tryParseQuizMarkdown(session.quiz_content);
+  if (!quiz || quiz.questions.length === 0) {
+    res.status(422).json({
+      error: 'Quiz unavailable',
+      message: 'This session has no playable quiz, so it cannot be replayed'
+    });
+    return null;
+  }
+
+  const events = await gameDatabase.getGameEvents(session.id);
+  return { session, quiz, board: boardForSession(quiz, events) };
+}
+
+// Start (or resume) a student's replay attempt
+app.post('/api/session/:sessionSlug/attempts', async (req, res) => {
+  try {
+    const studentId = typeof req.body?.student_id === 'string' ? req.body.student_id.trim().slice(0, 255) : '';
+    const studentName = sanitizeName(req.body?.name);
+    if (!studentId || !studentName) {
+      return res.status(400).json({
+        error: 'Invalid student',
+        message: 'student_id and name are required'
+      });
+    }
+
+    const loaded = await loadAttemptSession(req, res);
+    if (!loaded) return;
+    const { session, quiz, board } = loaded;
+
+    // One open attempt per student: starting again resumes it
+    const existing = await gameDatabase.getOpenReplayAttempt(session.id, studentId);
+    const attempt = existing || await gameDatabase.createReplayAttempt(session.id, studentId, studentName, createAttemptProgress());
+    if (!attempt) {
+      return res.status(500).json({
+        error: 'Server error',
+        message: 'Failed to start replay attempt'
+      });
+    }
+
+    console.log(`[REPLAY ATTEMPT] ${existing ? 'Resumed' : 'Started'} attempt ${attempt.id} on ${session.session_slug} for ${studentName} (${studentId})`);
+    res.status(existing ? 200 : 201).json({
+      session_slug: session.session_slug,
+      total_questions: quiz.questions.length,
+      board,
+      resumed: Boolean(existing),
+      attempt: formatReplayAttempt(attempt, { forOwner: true })
+    });
+  } catch (error) {
+    console.error('[API] Error starting replay attempt:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to start replay attempt'
+    });
+  }
+});
+
+// List every replay attempt of a session (teachers checking who completed makeups)
+app.get('/api/session/:sessionSlug/attempts', async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    const session = await gameDatabase.getGameSession(sessionSlug);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No replay session found with ID: ${sessionSlug}`
+      });
+    }
+
+    const attempts = await gameDatabase.getReplayAttempts(session.id);
+    res.json({
+      session_id: session.id,
+      session_slug: sessionSlug,
+      total_attempts: attempts.length,
+      completed_attempts: attempts.filter(attempt => attempt.status === ATTEMPT_STATUS_COMPLETED).length,
+      attempts: attempts.map(attempt => formatReplayAttempt(attempt))
+    });
+  } catch (error) {
+    console.error('[API] Error listing replay attempts:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to load replay attempts'
+    });
+  }
+});
+
+// Get one replay attempt with its graded answers
+app.get('/api/session/:sessionSlug/attempts/:attemptId', async (req, res) => {
+  try {
+    const { sessionSlug, attemptId } = req.params;
+    const session = await gameDatabase.getGameSession(sessionSlug);
+    const attempt = session ? await gameDatabase.getReplayAttempt(session.id, attemptId) : null;
+
+    if (!attempt) {
+      return res.status(404).json({
+        error: 'Attempt not found',
+        message: `No replay attempt ${attemptId} found for session: ${sessionSlug}`
+      });
+    }
+
+    res.json({
+      session_slug: sessionSlug,
+      attempt: formatReplayAttempt(attempt, { forOwner: true })
+    });
+  } catch (error) {
+    console.error('[API] Error fetching replay attempt:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to load replay attempt'
+    });
+  }
+});
+
+// Submit an answer for a replay attempt; graded and moved on the server
+app.post('/api/session/:sessionSlug/attempts/:attemptId/answers', async (req, res) => {
+  try {
+    const { attemptId } = req.params;
+    const { questionIdx, answer } = req.body || {};
+    const studentId = typeof req.body?.student_id === 'string' ? req.body.student_id.trim() : '';
+    if (!studentId) {
+      return res.status(400).json({
+        error: 'Invalid student',
+        message: 'student_id is required'
+      });
+    }
+
+    const loaded = await loadAttemptSession(req, res);
+    if (!loaded) return;
+    const { session, quiz, board } = loaded;
+
+    const attempt = await gameDatabase.getReplayAttempt(session.id, attemptId);
+    if (!attempt) {
+      return res.status(404).json({
+        error: 'Attempt not found',
+        message: `No replay attempt ${attemptId} found for session: ${session.session_slug}`
+      });
+    }
+    if (attempt.student_id !== studentId) {
+      console.log(`[REPLAY ATTEMPT] Rejected answer on attempt ${attempt.id} from another student (${studentId})`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This replay attempt belongs to another student'
+      });
+    }
+
+    const graded = attempt.status === ATTEMPT_STATUS_COMPLETED
+      ? { error: 'attempt_complete' }
+      : submitAttemptAnswer(quiz, board, attempt.progress, questionIdx, answer);
+    if (graded.error) {
+      console.log(`[REPLAY ATTEMPT] Rejected answer on attempt ${attempt.id}: ${graded.error}`);
+      return res.status(graded.error === 'attempt_complete' || graded.error === 'already_answered' ? 409 : 400).json({
+        error: 'Answer rejected',
+        reason: graded.error,
+        message: `Answer rejected: ${graded.error}`
+      });
+    }
+
+    const { progress, result } = graded;
+    const status = result.complete ? ATTEMPT_STATUS_COMPLETED : ATTEMPT_STATUS_IN_PROGRESS;
+    const saved = await gameDatabase.saveReplayAttempt(attempt.id, attempt.version, progress, status);
+    if (saved === false) {
+      // Another request saved this attempt first; the client should reload it and retry
+      return res.status(409).json({
+        error: 'Answer rejected',
+        reason: 'attempt_changed',
+        message: 'The attempt was updated by another request'
+      });
+    }
+    if (!saved) {
+      return res.status(500).json({
+        error: 'Server error',
+        message: 'Failed to save replay attempt'
+      });
+    }
+
+    const question = quiz.questions[questionIdx];
+    console.log(`[REPLAY ATTEMPT] Attempt ${attempt.id} question ${questionIdx}: ${result.correct ? 'correct' : 'wrong'}, square ${result.square}${result.complete ? ' (completed)' : ''}`);
+    res.json({
+      result: {
+        ...result,
+        questionType: question.type,
+        correctIdxs: question.correctIdxs,
+        numericAnswer: question.numericAnswer ?? null
+      },
+      attempt: formatReplayAttempt(saved, { forOwner: true })
+    });
+  } catch (error) {
+    console.error('[API] Error submitting replay attempt answer:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to submit answer'
+    });
+  }
+});
+
+// Search recorded sessions, one page at a time; same query parameters as the /replays page (see sessionSearch.js).
+// Teachers get the sessions they started; only the admin can list everyone's or ask for another teacher's
+app.get('/api/sessions', requireTeacher, async (req, res) => {
+  const { search, error } = parseSessionSearch(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid search', message: error });
+  }
+  const scoped = scopeSessionSearch(search, req.teacher);
+  if (scoped.error) {
+    return res.status(403).json({ error: 'Forbidden', message: scoped.error });
+  }
+
+  try {
+    const { sessions, nextCursor } = await gameDatabase.searchGameSessions(scoped.search);
+    res.json({ sessions, next_cursor: nextCursor });
+  } catch (error) {
+    console.error('[API] Error searching sessions:', error);
+    res.status(500).json({ error: 'Server error', message: 'Failed to search sessions' });
+  }
+});
+
+// Password prompt for the teacher pages (replay list, trash); the query string is kept so a replay email's link
+// still lands on its search
+function teacherSignInPage(req, backendUrl, path, triedToken) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(req.query)) {
+    if (name !== 'token' && typeof value === 'string') params.set(name, value);
+  }
+  const query = params.toString();
+  const message = !isAdminAuthConfigured()
+    ? 'Teacher passwords are not configured on this server (set ADMIN_TOKEN or TEACHER_TOKENS).'
+    : triedToken ? 'That password is not correct.' : 'Enter your teacher password to see the sessions you started.';
+
+  return `
+    <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+      <h2>Replay Sessions</h2>
+      <p>${message}</p>
+      <form method="POST" action="${backendUrl}${path}${query ? `?${escapeHtml(query)}` : ''}">
+        <label for="token" style="display: block; margin-bottom: 8px;"><strong>Teacher password:</strong></label>
+        <input type="password" id="token" name="token" required autocomplete="current-password" style="padding: 8px; border: 1px solid #d1d5db; border-radius: 5px; margin-bottom: 15px; width: 100%; box-sizing: border-box;">
+        <button type="submit" style="background: #2563eb; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; font-size: 16px;">Show My Sessions</button>
+      </form>
+    </body></html>
+  `;
+}
+
+// A link between the teacher pages: a small POST form, so the password travels in the body rather than the URL
+function teacherPageLink(url, token, label, buttonClass, formClass = '') {
+  return `
+      <form class="inline ${formClass}" method="POST" action="${escapeHtml(url)}">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <button type="submit" class="${buttonClass}">${label}</button>
+      </form>`;
+}
+
+// Replay list page: ?q=&status=&from=&to=&starred=&sort=&cursor= narrow and page through the list. Teachers sign in
+// with their password and see the sessions they started; the admin sees everyone's, and ?teacher= narrows that to one
+// teacher (replay emails link there). Searches and page links are small POST forms so the password stays out of URLs
+async function renderReplayList(req, res) {
   try {
-    const sessions = await gameDatabase.getAllGameSessions();
     const frontendUrl = process.env.FRONTEND_URL || 'https://science.github.io/quiz-game';
     const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+    const token = getRequestToken(req);
+    const teacher = authenticateTeacher(token);
+    if (!teacher) {
+      return res.status(401).send(teacherSignInPage(req, backendUrl, '/replays', Boolean(token)));
+    }
+
+    // The search form posts its fields; page links carry them in the query string
+    const parsed = parseSessionSearch(req.method === 'POST' ? { ...req.query, ...req.body } : req.query);
+    const { search, error: searchError } = parsed.search ? scopeSessionSearch(parsed.search, teacher) : parsed;
+    const current = search || scopeSessionSearch(parseSessionSearch({}).search, teacher).search;
+    const { sessions, nextCursor } = search
+      ? await gameDatabase.searchGameSessions(search)
+      : { sessions: [], nextCursor: null };
+    const filtered = Boolean(current.q || current.status || current.from || current.to || current.starred !== null);
+    const listLink = (linkSearch, label, buttonClass, formClass = '') =>
+      teacherPageLink(`${backendUrl}/replays${searchQueryString(linkSearch)}`, token, label, buttonClass, formClass);
 
     const sessionCards = sessions.length
       ? sessions.map(session => {
@@ -241,15 +884,22 @@ app.get('/replays', async (req, res) => {
           const createdAt = session.created_at
             ? new Date(session.created_at).toLocaleString()
             : 'Unknown';
-          const replayUrl = `${frontendUrl}?session=${session.session_slug}&mode=replay`;
-          const deleteUrl = `${backendUrl}/delete/${session.session_slug}`;
+          const slug = encodeURIComponent(session.session_slug);
+          const replayUrl = `${frontendUrl}?session=${slug}&mode=replay`;
+          const reportUrl = `${backendUrl}/replays/${slug}/report`;
+          const exportUrl = `${backendUrl}/api/session/${slug}/export.csv`;
+          const deleteUrl = `${backendUrl}/delete/${slug}`;
+          const starUrl = `${backendUrl}/star/${slug}`;
 
           return `
             <div class="card">
               <div class="card-header">
                 <div>
-                  <div class="card-title">${displayName}</div>
-                  <div class="card-meta">Session ID: <code>${session.session_slug}</code></div>
+                  <div class="card-title">${session.starred ? '<span class="starred" title="Kept by automatic cleanup">⭐</span> ' : ''}${escapeHtml(displayName)}</div>
+                  <div class="card-meta">Session ID: <code>${escapeHtml(session.session_slug)}</code></div>
+                  ${session.teacher_email && teacher.isAdmin
+                    ? `<div class="card-meta">Teacher: ${listLink({ teacher: session.teacher_email }, escapeHtml(session.teacher_email), 'link')}</div>`
+                    : ''}
                 </div>
                 <span class="status ${session.status === 'completed' ? 'status-completed' : 'status-active'}">
                   ${session.status ? session.status.toUpperCase() : 'UNKNOWN'}
@@ -258,16 +908,55 @@ app.get('/replays', async (req, res) => {
               <div class="card-body">
                 <div class="card-date">Created: ${createdAt}</div>
                 <div class="card-actions">
-                  <a class="btn btn-primary" href="${replayUrl}" target="_blank" rel="noopener noreferrer">View Replay</a>
-                  <a class="btn btn-danger" href="${deleteUrl}" rel="noopener noreferrer">Delete Replay</a>
+                  <a class="btn btn-primary" href="${escapeHtml(replayUrl)}" target="_blank" rel="noopener noreferrer">View Replay</a>
+                  <a class="btn btn-secondary" href="${escapeHtml(reportUrl)}">Class Report</a>
+                  <a class="btn btn-secondary" href="${escapeHtml(exportUrl)}">Export CSV</a>
+                  <a class="btn btn-secondary" href="${escapeHtml(starUrl)}">${session.starred ? 'Unstar' : 'Star'}</a>
+                  <a class="btn btn-danger" href="${escapeHtml(deleteUrl)}" rel="noopener noreferrer">Delete Replay</a>
                 </div>
               </div>
             </div>
           `;
         }).join('\n')
-      : '<p class="empty">No replay sessions have been recorded yet.</p>';
-
-    res.send(`
+      : `<p class="empty">${parsed.error
+          ? `Invalid search: ${escapeHtml(parsed.error)}`
+          : searchError ? 'You can only see the sessions you started.'
+          : filtered ? 'No sessions match this search.'
+          : !teacher.isAdmin ? 'You have not recorded any replay sessions yet.'
+          : current.teacher ? 'This teacher has no replay sessions yet.' : 'No replay sessions have been recorded yet.'}</p>`;
+
+    const option = (value, label, selected) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`;
+    const searchForm = `
+      <form class="search" method="POST" action="${backendUrl}/replays">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        ${current.teacher ? `<input type="hidden" name="teacher" value="${escapeHtml(current.teacher)}">` : ''}
+        <input type="search" name="q" value="${escapeHtml(current.q || '')}" placeholder="Search by quiz name">
+        <label>From <input type="date" name="from" value="${escapeHtml(current.from || '')}"></label>
+        <label>To <input type="date" name="to" value="${escapeHtml(current.to || '')}"></label>
+        <select name="status">
+          ${option('', 'Any status', current.status || '')}
+          ${option('active', 'Active', current.status)}
+          ${option('completed', 'Completed', current.status)}
+        </select>
+        <select name="sort">
+          ${option('newest', 'Newest first', current.sort)}
+          ${option('oldest', 'Oldest first', current.sort)}
+          ${option('name', 'Quiz name', current.sort)}
+        </select>
+        <label><input type="checkbox" name="starred" value="true"${current.starred ? ' checked' : ''}> Starred only</label>
+        <button type="submit" class="btn btn-primary">Search</button>
+      </form>
+      ${filtered ? `<p class="clear">${listLink({ teacher: current.teacher }, 'Clear search', 'link')}</p>` : ''}
+    `;
+    const pagination = `
+      <div class="pagination">
+        ${current.cursor ? listLink({ ...current, cursor: null }, '&larr; First page', 'btn btn-secondary') : ''}
+        ${nextCursor ? listLink({ ...current, cursor: nextCursor }, 'Next page &rarr;', 'btn btn-secondary', 'next') : ''}
+      </div>
+    `;
+
+    res.set('Cache-Control', 'no-store');
+    res.status(parsed.error ? 400 : searchError ? 403 : 200).send(`
       <!DOCTYPE html>
       <html>
         <head>
@@ -285,16 +974,33 @@ app.get('/replays', async (req, res) => {
             .card-body { display: flex; justify-content: space-between; align-items: center; gap: 20px; flex-wrap: wrap; margin-top: 15px; }
             .card-date { color: #374151; font-weight: 500; }
             .card-actions { display: flex; gap: 12px; flex-wrap: wrap; }
-            .btn { display: inline-block; padding: 10px 18px; border-radius: 8px; text-decoration: none; font-weight: 600; transition: transform 0.15s ease, box-shadow 0.15s ease; }
+            .btn { display: inline-block; padding: 10px 18px; border: none; border-radius: 8px; text-decoration: none; font-size: 1rem; font-weight: 600; cursor: pointer; transition: transform 0.15s ease, box-shadow 0.15s ease; }
             .btn-primary { background: #2563eb; color: #ffffff; box-shadow: 0 10px 15px -3px rgba(37, 99, 235, 0.4); }
             .btn-primary:hover { transform: translateY(-1px); box-shadow: 0 20px 25px -5px rgba(37, 99, 235, 0.35); }
+            .btn-secondary { background: #e0e7ff; color: #3730a3; }
+            .btn-secondary:hover { transform: translateY(-1px); }
             .btn-danger { background: #dc2626; color: #ffffff; box-shadow: 0 10px 15px -3px rgba(220, 38, 38, 0.3); }
             .btn-danger:hover { transform: translateY(-1px); box-shadow: 0 20px 25px -5px rgba(220, 38, 38, 0.3); }
             .status { padding: 6px 12px; border-radius: 9999px; font-size: 0.75rem; font-weight: 700; letter-spacing: 0.05em; text-transform: uppercase; }
             .status-completed { background: #dcfce7; color: #166534; }
             .status-active { background: #e0f2fe; color: #1d4ed8; }
+            .starred { color: #f59e0b; }
+            .search { display: flex; gap: 10px; flex-wrap: wrap; align-items: center; background: #ffffff; padding: 15px; border-radius: 10px; margin-bottom: 20px; }
+            .search input, .search select { padding: 8px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 0.95rem; }
+            .search input[type="search"] { flex: 1; min-width: 180px; }
+            .search label { color: #374151; }
+            .search button { border: none; cursor: pointer; font-size: 0.95rem; }
+            .search a { color: #2563eb; text-decoration: none; font-weight: 600; }
+            .pagination { display: flex; gap: 12px; }
+            .pagination .next { margin-left: auto; }
+            .scope { color: #374151; margin-bottom: 20px; }
+            .scope a, .card-meta a { color: #2563eb; text-decoration: none; }
+            form.inline { display: inline; margin: 0; }
+            button.link { background: none; border: none; padding: 0; color: #2563eb; font: inherit; font-weight: 600; cursor: pointer; }
+            .clear { margin: -10px 0 20px; }
+            .retention { background: #fef3c7; color: #92400e; padding: 12px 16px; border-radius: 8px; margin-bottom: 20px; }
             .empty { background: #e5e7eb; color: #374151; padding: 20px; border-radius: 10px; text-align: center; }
-            .top-actions { display: flex; justify-content: flex-end; margin-bottom: 20px; }
+            .top-actions { display: flex; justify-content: flex-end; gap: 20px; margin-bottom: 20px; }
             .top-actions a { color: #2563eb; text-decoration: none; font-weight: 600; }
             .top-actions a:hover { text-decoration: underline; }
           </style>
@@ -302,11 +1008,22 @@ app.get('/replays', async (req, res) => {
         <body>
           <div class="container">
             <div class="top-actions">
+              ${teacherPageLink(`${backendUrl}/replays/trash`, token, 'Trash', 'link')}
               <a href="${backendUrl}/api/db-test">Database Status</a>
             </div>
             <h1>Replay Sessions</h1>
-            <p class="subtitle">Newest sessions appear first. Share replay links with students or delete old sessions to free up space.</p>
+            <p class="subtitle">Share replay links with students or delete old sessions to free up space.</p>
+            ${!teacher.isAdmin
+              ? `<p class="scope">Sessions started by you, <strong>${escapeHtml(teacher.email)}</strong></p>`
+              : current.teacher
+              ? `<p class="scope">Sessions started by <strong>${escapeHtml(current.teacher)}</strong> &middot; ${listLink({}, 'Show every teacher\'s sessions', 'link')}</p>`
+              : ''}
+            ${retentionPolicy.enabled
+              ? `<p class="retention">Automatic cleanup is on: ${escapeHtml(describeRetentionPolicy(retentionPolicy))}. Star a session to keep it.</p>`
+              : ''}
+            ${searchForm}
             ${sessionCards}
+            ${pagination}
           </div>
         </body>
       </html>
@@ -315,82 +1032,386 @@ app.get('/replays', async (req, res) => {
     console.error('[REPLAY LIST] Error rendering replay list:', error);
     res.status(500).send('Failed to load replay list.');
   }
-});
+}
 
-// Simple deletion page for sessions
-app.get('/delete/:sessionSlug', async (req, res) => {
+app.get('/replays', renderReplayList);
+app.post('/replays', renderReplayList);
+
+// Session report page for teachers
+app.get('/replays/:sessionSlug/report', async (req, res) => {
   try {
     const { sessionSlug } = req.params;
     const session = await gameDatabase.getGameSession(sessionSlug);
     const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
 
     if (!session) {
-      return res.send(`
+      return res.status(404).send(`
         <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
           <h2>Session Not Found</h2>
-          <p>No replay session found with ID: <code>${sessionSlug}</code></p>
+          <p>No replay session found with ID: <code>${escapeHtml(sessionSlug)}</code></p>
           <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
         </body></html>
       `);
     }
 
-    res.send(`
-      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-        <h2>Delete Replay Session</h2>
-        <div style="background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
-          <strong>Quiz:</strong> ${session.quiz_filename}<br>
-          <strong>Created:</strong> ${new Date(session.created_at).toLocaleString()}<br>
-          <strong>Session ID:</strong> ${sessionSlug}
-        </div>
-        
-        <p><strong>⚠️ Warning:</strong> This action cannot be undone. The replay session and all associated data will be permanently deleted.</p>
-        
-        <form method="POST" action="/delete/${sessionSlug}" onsubmit="return confirm('Are you sure you want to delete this replay session?')">
-          <button type="submit" style="background: #dc2626; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; font-size: 16px;">
-            🗑️ Delete Session
-          </button>
-        </form>
-        <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
-      </body></html>
-    `);
-  } catch (error) {
-    console.error('[API] Error showing deletion page:', error);
-    res.status(500).send('Server error');
-  }
-});
+    const events = await gameDatabase.getGameEvents(session.id);
+    const { quiz } = tryParseQuizMarkdown(session.quiz_content);
+    const report = buildSessionReport(events, quiz);
+    const formatPercent = value => (value === null ? '&ndash;' : `${value}%`);
+    const formatSeconds = ms => (ms === null ? '&ndash;' : `${(ms / 1000).toFixed(1)}s`);
+
+    const questionRows = report.questions.map(question => `
+      <tr>
+        <td>${question.question_idx + 1}</td>
+        <td>${escapeHtml(question.prompt || `Question ${question.question_idx + 1}`)}</td>
+        <td>${question.responses}</td>
+        <td><strong>${formatPercent(question.percent_correct)}</strong></td>
+        <td>${formatSeconds(question.average_response_ms)}</td>
+        <td>${question.distractors.length
+          ? question.distractors.map(d => `${escapeHtml(d.label)} (${d.count})`).join(', ')
+          : '&ndash;'}</td>
+      </tr>
+    `).join('');
+
+    const studentRows = report.students.map(student => {
+      const notes = [];
+      if (student.joined_late) notes.push(`joined late (question ${(student.joined_at_question ?? 0) + 1})`);
+      if (student.disconnects.length) notes.push(`disconnected ${student.disconnects.length}&times;`);
+      if (student.removed) notes.push('left the game');
+      return `
+        <tr>
+          <td>${escapeHtml(student.student_name)}</td>
+          <td>${student.correct} / ${student.answered}</td>
+          <td><strong>${formatPercent(student.accuracy)}</strong></td>
+          <td>${formatSeconds(student.average_response_ms)}</td>
+          <td>${notes.length ? notes.join(', ') : '&ndash;'}</td>
+        </tr>
+      `;
+    }).join('');
 
-// Handle form submission for session deletion
-app.post('/delete/:sessionSlug', async (req, res) => {
-  try {
-    const { sessionSlug } = req.params;
-    console.log(`[DELETE POST] Attempting to delete session: ${sessionSlug}`);
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Session Report</title>
+          <style>
+            body { font-family: Arial, sans-serif; background: #f3f4f6; margin: 0; padding: 40px 20px; }
+            .container { max-width: 1000px; margin: 0 auto; }
+            h1 { color: #111827; margin-bottom: 10px; }
+            h2 { color: #1f2937; margin-top: 30px; }
+            p.subtitle { color: #4b5563; margin-bottom: 30px; }
+            .card { background: #ffffff; border-radius: 10px; padding: 20px; margin-bottom: 20px; box-shadow: 0 10px 15px -3px rgba(15, 23, 42, 0.1), 0 4px 6px -4px rgba(15, 23, 42, 0.1); overflow-x: auto; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb; color: #374151; vertical-align: top; }
+            th { color: #6b7280; font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; }
+            .empty { background: #e5e7eb; color: #374151; padding: 20px; border-radius: 10px; text-align: center; }
+            .top-actions { display: flex; justify-content: flex-end; gap: 20px; margin-bottom: 20px; }
+            .top-actions a { color: #2563eb; text-decoration: none; font-weight: 600; }
+            .top-actions a:hover { text-decoration: underline; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="top-actions">
+              <a href="${backendUrl}/api/session/${encodeURIComponent(sessionSlug)}/export.csv">Download CSV</a>
+              <a href="${backendUrl}/api/session/${encodeURIComponent(sessionSlug)}/export.json">Download Archive</a>
+              <a href="${backendUrl}/api/session/${encodeURIComponent(sessionSlug)}/report">JSON</a>
+              <a href="${backendUrl}/replays">&larr; Back to Replay List</a>
+            </div>
+            <h1>${escapeHtml(session.quiz_filename || 'Untitled Quiz')}</h1>
+            <p class="subtitle">
+              Session <code>${escapeHtml(sessionSlug)}</code> &middot; ${new Date(session.created_at).toLocaleString()}
+              &middot; ${report.total_students} students &middot; ${report.total_questions} questions
+            </p>
+
+            <h2>Questions</h2>
+            ${report.questions.length ? `
+              <div class="card">
+                <table>
+                  <tr><th>#</th><th>Question</th><th>Answers</th><th>Correct</th><th>Avg time</th><th>Most-chosen wrong answers</th></tr>
+                  ${questionRows}
+                </table>
+              </div>
+            ` : '<p class="empty">No questions were asked in this session.</p>'}
+
+            <h2>Students</h2>
+            ${report.students.length ? `
+              <div class="card">
+                <table>
+                  <tr><th>Student</th><th>Correct</th><th>Accuracy</th><th>Avg time</th><th>Attendance</th></tr>
+                  ${studentRows}
+                </table>
+              </div>
+            ` : '<p class="empty">No students took part in this session.</p>'}
+          </div>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('[REPORT] Error rendering session report:', error);
+    res.status(500).send('Failed to load session report.');
+  }
+});
+
+// Sessions belong to the teacher whose room recorded them (see canManage in auth.js)
+const NOT_SESSION_OWNER_MESSAGE = 'Only the teacher who started this session (or the admin) can change it.';
+
+function rejectNotSessionOwner(req, res, sessionSlug) {
+  console.log(`[AUTH] ${req.teacher.email} refused ${req.method} ${req.originalUrl}: not the session owner`);
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: `Session ${sessionSlug} belongs to another teacher. ${NOT_SESSION_OWNER_MESSAGE}`
+  });
+}
+
+// What deleting does, for the delete pages; with deletedAt, also when that session will be purged
+function trashNotice(deletedAt = null) {
+  if (retentionPolicy.trashDays === null) {
+    return 'Deleted sessions go to the trash and stay there until they are restored or deleted forever.';
+  }
+  const purgeAt = deletedAt ? trashPurgeDate(deletedAt, retentionPolicy) : null;
+  return `Deleted sessions go to the trash and can be restored for ${retentionPolicy.trashDays} days before they are permanently deleted${purgeAt ? ` (this one on ${purgeAt.toLocaleString()})` : ''}.`;
+}
+
+// Trash page: deleted sessions with restore and delete-forever buttons. Like the replay list, teachers sign in and
+// see the sessions they deleted; the admin sees every teacher's
+async function renderTrash(req, res) {
+  try {
     const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+    const token = getRequestToken(req);
+    const teacher = authenticateTeacher(token);
+    if (!teacher) {
+      return res.status(401).send(teacherSignInPage(req, backendUrl, '/replays/trash', Boolean(token)));
+    }
+
+    const sessions = await gameDatabase.getTrashedGameSessions(teacher.isAdmin ? null : teacher.email);
+
+    const sessionCards = sessions.length
+      ? sessions.map(session => {
+          const displayName = session.quiz_filename
+            ? session.quiz_filename.replace(/\.[^/.]+$/, '').replace(/[-_]/g, ' ')
+            : 'Untitled Quiz';
+          const purgeAt = trashPurgeDate(session.deleted_at, retentionPolicy);
+          const slug = encodeURIComponent(session.session_slug);
 
+          return `
+            <div class="card">
+              <div class="card-title">${escapeHtml(displayName)}</div>
+              <div class="card-meta">Session ID: <code>${escapeHtml(session.session_slug)}</code></div>
+              <div class="card-meta">
+                Created: ${new Date(session.created_at).toLocaleString()} &middot;
+                Deleted: ${new Date(session.deleted_at).toLocaleString()}
+                ${purgeAt ? ` &middot; Permanently deleted on ${purgeAt.toLocaleString()}` : ''}
+              </div>
+              <form method="POST" class="card-actions">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <button type="submit" class="btn btn-primary" formaction="/restore/${slug}">Restore</button>
+                <button type="submit" class="btn btn-danger" formaction="/purge/${slug}" onclick="return confirm('Permanently delete this session? This cannot be undone.')">Delete Forever</button>
+              </form>
+            </div>
+          `;
+        }).join('\n')
+      : '<p class="empty">The trash is empty.</p>';
+
+    res.set('Cache-Control', 'no-store');
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Trash - Replay Sessions</title>
+          <style>
+            body { font-family: Arial, sans-serif; background: #f3f4f6; margin: 0; padding: 40px 20px; }
+            .container { max-width: 900px; margin: 0 auto; }
+            h1 { color: #111827; margin-bottom: 10px; }
+            p.subtitle { color: #4b5563; margin-bottom: 30px; }
+            .card { background: #ffffff; border-radius: 10px; padding: 20px; margin-bottom: 20px; box-shadow: 0 10px 15px -3px rgba(15, 23, 42, 0.1), 0 4px 6px -4px rgba(15, 23, 42, 0.1); }
+            .card-title { font-size: 1.25rem; font-weight: 600; color: #1f2937; }
+            .card-meta { color: #6b7280; margin-top: 5px; }
+            .card-actions { display: flex; gap: 12px; flex-wrap: wrap; align-items: center; margin-top: 15px; }
+            .btn { padding: 10px 18px; border: none; border-radius: 8px; font-weight: 600; font-size: 1rem; cursor: pointer; }
+            .btn-primary { background: #2563eb; color: #ffffff; }
+            .btn-danger { background: #dc2626; color: #ffffff; }
+            .empty { background: #e5e7eb; color: #374151; padding: 20px; border-radius: 10px; text-align: center; }
+            .top-actions { display: flex; justify-content: flex-end; margin-bottom: 20px; }
+            form.inline { display: inline; margin: 0; }
+            button.link { background: none; border: none; padding: 0; color: #2563eb; font: inherit; font-weight: 600; cursor: pointer; }
+            button.link:hover { text-decoration: underline; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="top-actions">
+              ${teacherPageLink(`${backendUrl}/replays`, token, '&larr; Back to Replay List', 'link')}
+            </div>
+            <h1>Trash</h1>
+            <p class="subtitle">${trashNotice()}</p>
+            ${sessionCards}
+          </div>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('[TRASH] Error rendering trash:', error);
+    res.status(500).send('Failed to load trash.');
+  }
+}
+
+app.get('/replays/trash', renderTrash);
+app.post('/replays/trash', renderTrash);
+
+// Trash page buttons: restore a session, or delete it for good
+async function handleTrashAction(req, res, action) {
+  const { sessionSlug } = req.params;
+  const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+  const page = (status, title, message) => res.status(status).send(`
+    <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+      <h2>${title}</h2>
+      <p>${message}</p>
+      <p style="margin-top: 20px;"><a href="${backendUrl}/replays/trash" style="color: #2563eb; text-decoration: none;">&larr; Back to Trash</a></p>
+    </body></html>
+  `);
+
+  try {
+    const teacher = authenticateTeacher(getRequestToken(req));
+    if (!teacher) {
+      console.log(`[TRASH] Unauthorized ${action} attempt for session: ${sessionSlug}`);
+      return page(401, '❌ Not Authorized', 'The teacher password was missing or incorrect. The session was not changed.');
+    }
+
+    const session = await gameDatabase.getGameSession(sessionSlug, { includeTrashed: true });
+    if (!session?.deleted_at) {
+      return page(404, 'Session Not Found', `No session in the trash with ID: <code>${escapeHtml(sessionSlug)}</code>`);
+    }
+    if (!canManage(teacher, session.teacher_email)) {
+      console.log(`[TRASH] ${teacher.email} may not ${action} session: ${sessionSlug}`);
+      return page(403, '❌ Not Your Session', NOT_SESSION_OWNER_MESSAGE);
+    }
+
+    const name = escapeHtml(session.quiz_filename || sessionSlug);
+    if (action === 'restore') {
+      if (!await gameDatabase.restoreGameSession(session.id)) {
+        return page(500, '❌ Restore Failed', `Failed to restore session: <code>${escapeHtml(sessionSlug)}</code>`);
+      }
+      console.log(`[TRASH] Restored session: ${sessionSlug}`);
+      return page(200, '✅ Session Restored', `${name} is back on the <a href="${backendUrl}/replays" style="color: #2563eb;">replay list</a>.`);
+    }
+
+    if (!await gameDatabase.deleteGameSession(session.id)) {
+      return page(500, '❌ Deletion Failed', `Failed to delete session: <code>${escapeHtml(sessionSlug)}</code>`);
+    }
+    console.log(`[TRASH] Permanently deleted session: ${sessionSlug}`);
+    return page(200, '✅ Session Deleted Forever', `${name} and all associated data have been permanently deleted.`);
+  } catch (error) {
+    console.error(`[TRASH] Error handling ${action}:`, error);
+    return page(500, '❌ Error', 'An error occurred while updating the session.');
+  }
+}
+
+app.post('/restore/:sessionSlug', (req, res) => handleTrashAction(req, res, 'restore'));
+app.post('/purge/:sessionSlug', (req, res) => handleTrashAction(req, res, 'purge'));
+
+// Simple deletion page for sessions
+app.get('/delete/:sessionSlug', async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
     const session = await gameDatabase.getGameSession(sessionSlug);
+    const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
 
     if (!session) {
       return res.send(`
         <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
           <h2>Session Not Found</h2>
-          <p>No replay session found with ID: <code>${sessionSlug}</code></p>
+          <p>No replay session found with ID: <code>${escapeHtml(sessionSlug)}</code></p>
+          <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
+        </body></html>
+      `);
+    }
+
+    res.send(`
+      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <h2>Delete Replay Session</h2>
+        <div style="background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <strong>Quiz:</strong> ${escapeHtml(session.quiz_filename)}<br>
+          <strong>Created:</strong> ${new Date(session.created_at).toLocaleString()}<br>
+          <strong>Session ID:</strong> ${escapeHtml(sessionSlug)}
+        </div>
+        
+        <p>${trashNotice()}</p>
+        
+        <form method="POST" action="/delete/${encodeURIComponent(sessionSlug)}" onsubmit="return confirm('Move this replay session to the trash?')">
+          <label for="token" style="display: block; margin-bottom: 8px;"><strong>Teacher password:</strong></label>
+          <input type="password" id="token" name="token" required autocomplete="current-password" style="padding: 8px; border: 1px solid #d1d5db; border-radius: 5px; margin-bottom: 15px; width: 100%; box-sizing: border-box;">
+          <button type="submit" style="background: #dc2626; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; font-size: 16px;">
+            🗑️ Delete Session
+          </button>
+        </form>
+        <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
+      </body></html>
+    `);
+  } catch (error) {
+    console.error('[API] Error showing deletion page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Handle form submission for session deletion
+app.post('/delete/:sessionSlug', async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    console.log(`[DELETE POST] Attempting to delete session: ${sessionSlug}`);
+    const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+
+    const teacher = authenticateTeacher(getRequestToken(req));
+    if (!teacher) {
+      console.log(`[DELETE POST] Unauthorized deletion attempt for session: ${sessionSlug}`);
+      return res.status(401).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>❌ Not Authorized</h2>
+          <p>The teacher password was missing or incorrect. The session was not deleted.</p>
+          <p style="margin-top: 20px;"><a href="${backendUrl}/delete/${encodeURIComponent(sessionSlug)}" style="color: #2563eb; text-decoration: none;">&larr; Try Again</a></p>
+        </body></html>
+      `);
+    }
+
+    const session = await gameDatabase.getGameSession(sessionSlug);
+
+    if (!session) {
+      return res.send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>Session Not Found</h2>
+          <p>No replay session found with ID: <code>${escapeHtml(sessionSlug)}</code></p>
           <p>It may have already been deleted.</p>
           <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
         </body></html>
       `);
     }
 
-    const deleted = await gameDatabase.deleteGameSession(session.id);
+    if (!canManage(teacher, session.teacher_email)) {
+      console.log(`[DELETE POST] ${teacher.email} may not delete session: ${sessionSlug}`);
+      return res.status(403).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>❌ Not Your Session</h2>
+          <p>${NOT_SESSION_OWNER_MESSAGE} The session was not deleted.</p>
+          <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
+        </body></html>
+      `);
+    }
+
+    const deletedAt = await gameDatabase.trashGameSession(session.id);
     
-    if (deleted) {
-      console.log(`[DELETE POST] Successfully deleted session: ${sessionSlug}`);
+    if (deletedAt) {
+      console.log(`[DELETE POST] Moved session to trash: ${sessionSlug}`);
       res.send(`
         <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-          <h2>✅ Session Deleted Successfully</h2>
+          <h2>✅ Session Moved to Trash</h2>
           <div style="background: #dcfce7; color: #166534; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <strong>Deleted:</strong> ${session.quiz_filename}<br>
-            <strong>Session ID:</strong> ${sessionSlug}
+            <strong>Deleted:</strong> ${escapeHtml(session.quiz_filename)}<br>
+            <strong>Session ID:</strong> ${escapeHtml(sessionSlug)}
           </div>
-          <p>The replay session and all associated data have been permanently deleted.</p>
+          <p>${trashNotice(deletedAt)}</p>
+          <p>Changed your mind? <a href="${backendUrl}/replays/trash" style="color: #2563eb;">Restore it from the trash</a>.</p>
           <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
         </body></html>
       `);
@@ -399,7 +1420,7 @@ app.post('/delete/:sessionSlug', async (req, res) => {
       res.send(`
         <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
           <h2>❌ Deletion Failed</h2>
-          <p>Failed to delete session: <code>${sessionSlug}</code></p>
+          <p>Failed to delete session: <code>${escapeHtml(sessionSlug)}</code></p>
           <p>Please try again or contact support.</p>
           <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
         </body></html>
@@ -411,21 +1432,132 @@ app.post('/delete/:sessionSlug', async (req, res) => {
       <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
         <h2>❌ Error</h2>
         <p>An error occurred while deleting the session.</p>
-        <p>Error: ${error.message}</p>
+        <p>Error: ${escapeHtml(error.message)}</p>
         <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
       </body></html>
     `);
   }
 });
 
-// Delete a replay session (for cleanup)
-app.delete('/api/session/:sessionSlug', async (req, res) => {
+// Star page: starred sessions are kept by the retention sweeper
+app.get('/star/:sessionSlug', async (req, res) => {
   try {
     const { sessionSlug } = req.params;
-    console.log(`[DELETE] Attempting to delete session: ${sessionSlug}`);
-    
     const session = await gameDatabase.getGameSession(sessionSlug);
-    console.log(`[DELETE] Session found:`, session ? 'yes' : 'no');
+    const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+
+    if (!session) {
+      return res.status(404).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>Session Not Found</h2>
+          <p>No replay session found with ID: <code>${escapeHtml(sessionSlug)}</code></p>
+          <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
+        </body></html>
+      `);
+    }
+
+    const action = session.starred ? 'Unstar' : 'Star';
+    res.send(`
+      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <h2>${action} Replay Session</h2>
+        <div style="background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <strong>Quiz:</strong> ${escapeHtml(session.quiz_filename)}<br>
+          <strong>Created:</strong> ${new Date(session.created_at).toLocaleString()}<br>
+          <strong>Session ID:</strong> ${escapeHtml(sessionSlug)}<br>
+          <strong>Starred:</strong> ${session.starred ? 'yes' : 'no'}
+        </div>
+
+        <p>${session.starred
+          ? 'Unstarred sessions can be removed by the automatic cleanup once they are old enough.'
+          : 'Starred sessions are never removed by the automatic cleanup.'}</p>
+
+        <form method="POST" action="/star/${encodeURIComponent(sessionSlug)}">
+          <input type="hidden" name="starred" value="${session.starred ? 'false' : 'true'}">
+          <label for="token" style="display: block; margin-bottom: 8px;"><strong>Teacher password:</strong></label>
+          <input type="password" id="token" name="token" required autocomplete="current-password" style="padding: 8px; border: 1px solid #d1d5db; border-radius: 5px; margin-bottom: 15px; width: 100%; box-sizing: border-box;">
+          <button type="submit" style="background: #f59e0b; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; font-size: 16px;">
+            ${session.starred ? '☆' : '⭐'} ${action} Session
+          </button>
+        </form>
+        <p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>
+      </body></html>
+    `);
+  } catch (error) {
+    console.error('[API] Error showing star page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Handle form submission for starring/unstarring a session
+app.post('/star/:sessionSlug', async (req, res) => {
+  const { sessionSlug } = req.params;
+  const backendUrl = process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+  const backLink = `<p style="margin-top: 20px;"><a href="${backendUrl}/replays" style="color: #2563eb; text-decoration: none;">&larr; Back to Replay List</a></p>`;
+
+  try {
+    const teacher = authenticateTeacher(getRequestToken(req));
+    if (!teacher) {
+      console.log(`[STAR POST] Unauthorized star attempt for session: ${sessionSlug}`);
+      return res.status(401).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>❌ Not Authorized</h2>
+          <p>The teacher password was missing or incorrect. The session was not changed.</p>
+          <p style="margin-top: 20px;"><a href="${backendUrl}/star/${encodeURIComponent(sessionSlug)}" style="color: #2563eb; text-decoration: none;">&larr; Try Again</a></p>
+        </body></html>
+      `);
+    }
+
+    const session = await gameDatabase.getGameSession(sessionSlug);
+    if (session && !canManage(teacher, session.teacher_email)) {
+      console.log(`[STAR POST] ${teacher.email} may not star session: ${sessionSlug}`);
+      return res.status(403).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>❌ Not Your Session</h2>
+          <p>${NOT_SESSION_OWNER_MESSAGE} The session was not changed.</p>
+          ${backLink}
+        </body></html>
+      `);
+    }
+    const starred = req.body?.starred !== 'false';
+    const updated = session ? await gameDatabase.setSessionStarred(session.id, starred) : false;
+
+    if (!updated) {
+      return res.status(session ? 500 : 404).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>❌ ${session ? 'Update Failed' : 'Session Not Found'}</h2>
+          <p>Could not update session: <code>${escapeHtml(sessionSlug)}</code></p>
+          ${backLink}
+        </body></html>
+      `);
+    }
+
+    console.log(`[STAR POST] Session ${sessionSlug} ${starred ? 'starred' : 'unstarred'}`);
+    res.send(`
+      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <h2>${starred ? '⭐ Session Starred' : '☆ Session Unstarred'}</h2>
+        <div style="background: #fef3c7; color: #92400e; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <strong>Quiz:</strong> ${escapeHtml(session.quiz_filename)}<br>
+          <strong>Session ID:</strong> ${escapeHtml(sessionSlug)}
+        </div>
+        <p>${starred ? 'The automatic cleanup will keep this session.' : 'This session now follows the normal retention policy.'}</p>
+        ${backLink}
+      </body></html>
+    `);
+  } catch (error) {
+    console.error('[STAR POST] Error starring session:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Delete a replay session: it moves to the trash and can be restored until the retention sweeper purges it
+// ?permanent=true deletes it and all its data right away (also works on sessions already in the trash)
+app.delete('/api/session/:sessionSlug', requireTeacher, async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    const permanent = ['1', 'true'].includes(String(req.query.permanent));
+    console.log(`[DELETE] Attempting to ${permanent ? 'permanently delete' : 'trash'} session: ${sessionSlug}`);
+    
+    const session = await gameDatabase.getGameSession(sessionSlug, { includeTrashed: permanent });
     
     if (!session) {
       console.log(`[DELETE] Session not found: ${sessionSlug}`);
@@ -435,23 +1567,42 @@ app.delete('/api/session/:sessionSlug', async (req, res) => {
       });
     }
     
-    console.log(`[DELETE] Attempting to delete session ID: ${session.id}`);
-    const deleted = await gameDatabase.deleteGameSession(session.id);
-    console.log(`[DELETE] Deletion result:`, deleted);
-    
-    if (deleted) {
-      console.log(`[DELETE] Successfully deleted session: ${sessionSlug}`);
-      res.json({
-        message: 'Session deleted successfully',
-        session_slug: sessionSlug
+    if (!canManage(req.teacher, session.teacher_email)) {
+      return rejectNotSessionOwner(req, res, sessionSlug);
+    }
+
+    if (permanent) {
+      if (!await gameDatabase.deleteGameSession(session.id)) {
+        return res.status(500).json({
+          error: 'Failed to delete session',
+          message: 'Database deletion operation failed'
+        });
+      }
+      console.log(`[DELETE] Permanently deleted session: ${sessionSlug}`);
+      return res.json({
+        message: 'Session deleted permanently',
+        session_slug: sessionSlug,
+        permanent: true
       });
-    } else {
-      console.log(`[DELETE] Failed to delete session: ${sessionSlug}`);
-      res.status(500).json({
+    }
+
+    const deletedAt = await gameDatabase.trashGameSession(session.id);
+    if (!deletedAt) {
+      console.log(`[DELETE] Failed to trash session: ${sessionSlug}`);
+      return res.status(500).json({
         error: 'Failed to delete session',
         message: 'Database deletion operation failed'
       });
     }
+
+    console.log(`[DELETE] Moved session to trash: ${sessionSlug}`);
+    res.json({
+      message: 'Session moved to trash',
+      session_slug: sessionSlug,
+      permanent: false,
+      deleted_at: deletedAt,
+      purge_after: trashPurgeDate(deletedAt, retentionPolicy)
+    });
   } catch (error) {
     console.error('[DELETE] Error deleting session:', error);
     res.status(500).json({ 
@@ -459,302 +1610,1084 @@ app.delete('/api/session/:sessionSlug', async (req, res) => {
       message: `Failed to delete session: ${error.message}`
     });
   }
-});
+});
+
+// Take a session back out of the trash
+app.post('/api/session/:sessionSlug/restore', requireTeacher, async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    const session = await gameDatabase.getGameSession(sessionSlug, { includeTrashed: true });
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No replay session found with ID: ${sessionSlug}`
+      });
+    }
+    if (!canManage(req.teacher, session.teacher_email)) {
+      return rejectNotSessionOwner(req, res, sessionSlug);
+    }
+    if (!session.deleted_at) {
+      return res.status(409).json({ error: 'Not in trash', message: `Session ${sessionSlug} is not in the trash` });
+    }
+
+    if (!await gameDatabase.restoreGameSession(session.id)) {
+      return res.status(500).json({ error: 'Failed to restore session', message: 'Database update failed' });
+    }
+    console.log(`[RESTORE] Restored session from trash: ${sessionSlug}`);
+    res.json({ message: 'Session restored', session_slug: sessionSlug });
+  } catch (error) {
+    console.error('[RESTORE] Error restoring session:', error);
+    res.status(500).json({ error: 'Server error', message: `Failed to restore session: ${error.message}` });
+  }
+});
+
+// Star or unstar a session so the retention sweeper keeps it; body { starred } (default true)
+app.post('/api/session/:sessionSlug/star', requireTeacher, async (req, res) => {
+  try {
+    const { sessionSlug } = req.params;
+    const starred = req.body?.starred ?? true;
+    if (typeof starred !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid request', message: 'starred must be true or false' });
+    }
+
+    const session = await gameDatabase.getGameSession(sessionSlug);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No replay session found with ID: ${sessionSlug}`
+      });
+    }
+    if (!canManage(req.teacher, session.teacher_email)) {
+      return rejectNotSessionOwner(req, res, sessionSlug);
+    }
+
+    if (!await gameDatabase.setSessionStarred(session.id, starred)) {
+      return res.status(500).json({ error: 'Failed to update session', message: 'Database update failed' });
+    }
+    res.json({ session_slug: sessionSlug, starred });
+  } catch (error) {
+    console.error('[STAR] Error starring session:', error);
+    res.status(500).json({ error: 'Server error', message: `Failed to star session: ${error.message}` });
+  }
+});
+
+// Retention policy and what a sweep would purge right now
+app.get('/api/retention', requireAdmin, async (req, res) => {
+  try {
+    const preview = await retentionSweeper.sweep({ dryRun: true });
+    res.json({ policy: retentionPolicy, preview });
+  } catch (error) {
+    console.error('[RETENTION] Error previewing sweep:', error);
+    res.status(500).json({ error: 'Server error', message: `Failed to preview retention sweep: ${error.message}` });
+  }
+});
+
+// Run a sweep now; ?dry_run=1 only reports (RETENTION_DRY_RUN forces a dry run)
+app.post('/api/retention/sweep', requireAdmin, async (req, res) => {
+  try {
+    const dryRun = retentionPolicy.dryRun || ['1', 'true'].includes(String(req.query.dry_run ?? req.body?.dry_run));
+    res.json(await retentionSweeper.sweep({ dryRun }));
+  } catch (error) {
+    console.error('[RETENTION] Error running sweep:', error);
+    res.status(500).json({ error: 'Server error', message: `Failed to run retention sweep: ${error.message}` });
+  }
+});
+
+// --- Room state ---
+// Map of room code => room state (see createRoomState in rooms.js). Rooms live in memory and are checkpointed to the
+// live state store every few seconds (see liveStateStore.js); on boot, or when another instance stops heartbeating,
+// they are restored from their last checkpoint and students get a grace period to reconnect.
+const rooms = new Map();
+const DISCONNECT_GRACE_MS = parseInt(process.env.DISCONNECT_GRACE_MS || '15000', 10);
+// How long an empty room (no sockets at all) is kept before it is discarded
+const ROOM_IDLE_MS = parseInt(process.env.ROOM_IDLE_MS || String(2 * 60 * 60 * 1000), 10);
+// After a restart, how long restored students have to reconnect before they are removed
+const RESTORE_GRACE_MS = parseInt(process.env.RESTORE_GRACE_MS || '120000', 10);
+const LIVE_STATE_CHECKPOINT_MS = parseInt(process.env.LIVE_STATE_CHECKPOINT_MS || '2000', 10);
+// Multi-instance: how often a node refreshes ownership of its rooms, and when an owner counts as dead
+const ROOM_OWNER_HEARTBEAT_MS = parseInt(process.env.ROOM_OWNER_HEARTBEAT_MS || '10000', 10);
+const ROOM_OWNER_TIMEOUT_MS = parseInt(process.env.ROOM_OWNER_TIMEOUT_MS || '30000', 10);
+
+initDatabase(); // Initialize database connection (safe if no DATABASE_URL)
+
+// Share broadcasts between instances when SOCKET_ADAPTER=postgres
+const clusterEnabled = attachClusterAdapter(io, getPool());
+
+// Live state checkpoints so a restart mid-class can resume every room
+const liveStateStore = createStateStore(gameDatabase);
+const checkpointer = createCheckpointer({
+  store: liveStateStore,
+  nodeId: NODE_ID,
+  getRooms: () => rooms.values(),
+  serialize: serializeRoomState,
+  intervalMs: LIVE_STATE_CHECKPOINT_MS,
+});
+console.log(`[STARTUP] Live state store: ${liveStateStore.name}`);
+
+// Automatic cleanup of old replays (see retention.js)
+const retentionPolicy = parseRetentionPolicy();
+const retentionSweeper = createRetentionSweeper({
+  policy: retentionPolicy,
+  listSessions: () => gameDatabase.getRetentionCandidates(),
+  deleteSession: session => gameDatabase.deleteGameSession(session.id),
+  isLive: session => Array.from(rooms.values()).some(room => room.currentGameSession?.id === session.id),
+  notify: retentionPolicy.reportEmail ? summary => sendRetentionSummary(retentionPolicy.reportEmail, summary) : null,
+});
+console.log(`[STARTUP] Retention policy: ${describeRetentionPolicy(retentionPolicy)}`);
+
+// Initialize email service with logging
+console.log('[STARTUP] Initializing email service...');
+const emailResult = initEmailService(); // Initialize email service (safe if no email config)
+console.log('[STARTUP] Email service result:', emailResult ? 'initialized' : 'not available');
+
+function getSocketRoom(socket) {
+  const code = socket.data.roomCode;
+  return code ? rooms.get(code) || null : null;
+}
+
+function broadcastStudentList(room) {
+  const list = Array.from(room.students.entries()).map(([id, s]) => ({
+    id,
+    name: s.name,
+    joinedAt: s.joinedAt,
+    square: s.square || 0, // default to 0 if not set
+    team: s.team ?? null
+  }));
+  io.to(room.code).emit('student-list', list);
+  // Team totals follow member squares
+  if (room.teamMode) broadcastTeamState(room);
+}
+
+function getTeamStatePayload(room) {
+  return {
+    enabled: room.teamMode,
+    assignment: room.teamAssignment,
+    ...computeTeamStandings(room)
+  };
+}
+
+function broadcastTeamState(room, target = io.to(room.code)) {
+  target.emit('team-state', getTeamStatePayload(room));
+}
+
+// Record a team change in the replay log
+function logTeamAssignment(room, studentId, reason) {
+  if (!room.currentGameSession) return;
+  const student = room.students.get(studentId);
+  gameDatabase.logEvent(room.currentGameSession.id, 'team_assignment', {
+    student_id: studentId,
+    student_name: student?.name,
+    team: student?.team ?? null,
+    reason,
+    question_idx: room.currentQuestionIdx,
+    phase: room.currentPhase,
+    timestamp: new Date().toISOString()
+  }).catch(err => {
+    console.log('[REPLAY] Error logging team assignment:', err.message);
+  });
+}
+
+// Record students arriving, dropping out and being removed, for the session report
+function logStudentPresence(room, studentId, eventType, payload = {}) {
+  if (!room.currentGameSession) return;
+  const student = room.students.get(studentId);
+  gameDatabase.logEvent(room.currentGameSession.id, eventType, {
+    student_id: studentId,
+    student_name: student?.name || 'Unknown',
+    question_idx: room.currentQuestionIdx,
+    phase: room.currentPhase,
+    timestamp: new Date().toISOString(),
+    ...payload
+  }).catch(err => {
+    console.log(`[REPLAY] Error logging ${eventType}:`, err.message);
+  });
+}
+
+function getQuizmasterPayload(room) {
+  return {
+    enabled: room.quizmasterEnabled,
+    name: room.quizmasterName,
+    square: room.quizmasterSquare,
+    strategy: room.quizmasterStrategy,
+    difficulty: room.quizmasterDifficulty
+  };
+}
+
+function broadcastQuizmasterState(room) {
+  io.to(room.code).emit('quizmaster-state', getQuizmasterPayload(room));
+}
+
+function broadcastSessionState(room) {
+  io.to(room.code).emit('session-state', { active: room.sessionActive });
+}
+
+function normalizeHexColor(value, fallback) {
+  if (typeof value !== 'string') return fallback;
+  const trimmed = value.trim();
+  if (/^#[0-9a-fA-F]{6}$/.test(trimmed)) {
+    return `#${trimmed.slice(1).toLowerCase()}`;
+  }
+  if (/^#[0-9a-fA-F]{3}$/.test(trimmed)) {
+    const [, r, g, b] = trimmed;
+    return `#${r}${r}${g}${g}${b}${b}`.toLowerCase();
+  }
+  return fallback;
+}
+
+function getWaitingConfigPayload(room) {
+  return {
+    leftName: room.waitingLeftName,
+    leftColor: room.waitingLeftColor,
+    rightName: room.waitingRightName,
+    rightColor: room.waitingRightColor,
+    showBreakout: room.waitingShowBreakout,
+  };
+}
+
+function broadcastWaitingConfig(room, target = io.to(room.code)) {
+  target.emit('waiting-screen-config', getWaitingConfigPayload(room));
+}
+
+function broadcastBoardConfig(room, target = io.to(room.code)) {
+  target.emit('board-config', room.board);
+}
+
+// The first student (or the quizmaster) to reach the finish square wins and ends the race
+function finishRace(room, winner) {
+  if (room.raceFinished) return;
+  room.raceFinished = {
+    winner,
+    question_idx: room.currentQuestionIdx,
+    finished_at: new Date().toISOString()
+  };
+  console.log(`[RACE] Room ${room.code} finished; winner: ${winner.name} (${winner.type})`);
+  io.to(room.code).emit('race-finished', room.raceFinished);
+
+  if (room.currentGameSession) {
+    gameDatabase.logEvent(room.currentGameSession.id, 'race_finished', {
+      ...room.raceFinished,
+      phase: room.currentPhase,
+      timestamp: room.raceFinished.finished_at
+    }).catch(err => {
+      console.log('[REPLAY] Error logging race finish:', err.message);
+    });
+  }
+}
+
+// An admin put students or the quizmaster on a new square (a correction, or a shorter board): log the student moves
+// for replays and end the race if anyone now sits on the finish, the same way an earned move would
+function settleAdminMoves(room, moves, reason) {
+  const timestamp = new Date().toISOString();
+  for (const { id, student, fromSquare } of moves) {
+    if (!room.currentGameSession || fromSquare === student.square) continue;
+    gameDatabase.logEvent(room.currentGameSession.id, 'student_move', {
+      student_id: id,
+      student_name: student.name,
+      from_square: fromSquare,
+      to_square: student.square,
+      roll: null,
+      reason,
+      question_idx: room.currentQuestionIdx,
+      phase: room.currentPhase,
+      timestamp
+    }).catch(err => {
+      console.log('[REPLAY] Error logging student move:', err.message);
+    });
+  }
+
+  const finisher = moves.find(({ student }) => isFinishSquare(room.board, student.square));
+  if (finisher) {
+    const { id, student } = finisher;
+    finishRace(room, { type: 'student', id, name: student.name, team: room.teamMode ? student.team ?? null : null });
+  } else if (room.quizmasterEnabled && isFinishSquare(room.board, room.quizmasterSquare)) {
+    finishRace(room, { type: 'quizmaster', id: null, name: room.quizmasterName });
+  }
+}
+
+function logQuizmasterEvent(room, eventType, payload = {}, context = {}) {
+  if (!room.currentGameSession) return;
+
+  const eventData = {
+    enabled: room.quizmasterEnabled,
+    name: room.quizmasterName,
+    square: room.quizmasterSquare,
+    strategy: room.quizmasterStrategy,
+    difficulty: room.quizmasterDifficulty,
+    timestamp: new Date().toISOString(),
+    question_idx: context.questionIdx ?? room.currentQuestionIdx,
+    phase: context.phase ?? room.currentPhase,
+    ...payload,
+  };
+
+  gameDatabase.logEvent(room.currentGameSession.id, eventType, eventData).catch(err => {
+    console.log('[REPLAY] Error logging quizmaster event:', err.message);
+  });
+}
+
+async function finalizeCurrentGameSession(room) {
+  if (!room.currentGameSession) return;
+
+  const session = room.currentGameSession;
+  room.currentGameSession = null;
+
+  const finalPositions = Array.from(room.students.entries()).map(([id, s]) => ({
+    id,
+    name: s.name,
+    square: s.square || 0,
+    totalCorrect: countCorrect(room.questionResults, id),
+    team: room.teamMode ? s.team ?? null : null
+  }));
+  const teamStandings = room.teamMode ? computeTeamStandings(room) : null;
+
+  try {
+    await gameDatabase.completeGame(session.id, finalPositions, teamStandings);
+  } catch (err) {
+    console.log('[REPLAY] Error completing session:', err.message);
+  }
+}
+
+// Grade the open question and tell each student privately how they did
+function gradeCurrentQuestion(room) {
+  const questionIdx = room.currentQuestionIdx;
+  const question = room.currentQuiz?.parsed?.questions[questionIdx];
+  if (!question) return;
+
+  // Re-grading a question (teacher stepped back and revealed again) replaces its earlier results
+  const results = gradeQuestion(question, room.answers);
+  for (const [studentId, result] of results.entries()) {
+    result.responseMs = room.answerTimes.get(studentId)?.responseMs ?? null;
+  }
+  room.questionResults.set(questionIdx, results);
+
+  const correctCount = Array.from(results.values()).filter(result => result.correct).length;
+  console.log(`[GRADING] Room ${room.code} question ${questionIdx}: ${correctCount}/${results.size} correct`);
+
+  for (const [studentId, student] of room.students.entries()) {
+    const result = results.get(studentId);
+    const payload = {
+      questionIdx,
+      answerIdx: result && Number.isInteger(result.answer) && question.type !== QUESTION_TYPE_NUMERIC ? result.answer : null,
+      answer: result ? result.answer : null,
+      responseMs: result ? result.responseMs : null,
+      correct: Boolean(result?.correct),
+      questionType: question.type,
+      correctIdxs: question.correctIdxs,
+      numericAnswer: question.numericAnswer ?? null,
+      totalCorrect: countCorrect(room.questionResults, studentId)
+    };
+    for (const socketId of student.sockets) {
+      io.to(socketId).emit('answer-result', payload);
+    }
+  }
+
+  if (room.teamMode) broadcastTeamState(room);
+}
+
+function broadcastVotes(room) {
+  const question = room.currentQuiz?.parsed?.questions[room.currentQuestionIdx];
+  const tally = tallyAnswers(question, room.answers);
+  console.log(`[DEBUG] Emitting vote-counts for room ${room.code}:`, tally.counts);
+  // vote-counts keeps the original { key: count } shape; vote-tally adds the question type and total
+  io.to(room.code).emit('vote-counts', tally.counts);
+  io.to(room.code).emit('vote-tally', { questionIdx: room.currentQuestionIdx, ...tally });
+}
+
+function logTimerEvent(room, eventType, payload = {}) {
+  if (!room.currentGameSession) return;
+  gameDatabase.logEvent(room.currentGameSession.id, eventType, {
+    question_idx: room.currentQuestionIdx,
+    phase: room.currentPhase,
+    timestamp: new Date().toISOString(),
+    ...payload
+  }).catch(err => {
+    console.log('[REPLAY] Error logging timer event:', err.message);
+  });
+}
+
+function getTimerPayload(room) {
+  return {
+    questionIdx: room.currentQuestionIdx,
+    remainingSeconds: getRemainingSeconds(room.timerDeadline),
+    deadline: room.timerDeadline
+  };
+}
+
+function clearQuestionTimer(room) {
+  if (room.questionTimer) {
+    clearInterval(room.questionTimer.interval);
+    clearTimeout(room.questionTimer.timeout);
+    room.questionTimer = null;
+  }
+}
+
+// Count down the open question; `deadline` lets a restored room resume its countdown
+function startQuestionTimer(room, deadline = null) {
+  clearQuestionTimer(room);
+  const resumed = deadline !== null;
+  room.timerDeadline = resumed ? deadline : Date.now() + room.timer.seconds * 1000;
+
+  const tick = () => io.to(room.code).emit('timer-tick', getTimerPayload(room));
+  tick();
+  room.questionTimer = {
+    interval: setInterval(tick, 1000),
+    timeout: setTimeout(() => expireQuestionTimer(room), Math.max(0, room.timerDeadline - Date.now()))
+  };
+
+  if (!resumed) {
+    console.log(`[TIMER] Room ${room.code} question ${room.currentQuestionIdx}: ${room.timer.seconds}s to answer`);
+    logTimerEvent(room, 'timer_started', {
+      seconds: room.timer.seconds,
+      auto_advance: room.timer.autoAdvance,
+      deadline: new Date(room.timerDeadline).toISOString()
+    });
+  }
+}
+
+// Stop the countdown early (the teacher moved on, restarted, or the room closed)
+function stopQuestionTimer(room, reason) {
+  if (!room.timerDeadline) return;
+  const remainingSeconds = getRemainingSeconds(room.timerDeadline);
+  clearQuestionTimer(room);
+  room.timerDeadline = null;
+  io.to(room.code).emit('timer-stopped', { questionIdx: room.currentQuestionIdx, reason });
+  logTimerEvent(room, 'timer_stopped', { reason, remaining_seconds: remainingSeconds });
+}
+
+// Time is up: lock answers and, if configured, reveal the answer right away
+function expireQuestionTimer(room) {
+  clearQuestionTimer(room);
+  room.timerDeadline = null;
+  room.answersLocked = true;
+  console.log(`[TIMER] Room ${room.code} question ${room.currentQuestionIdx}: time is up`);
+  io.to(room.code).emit('timer-expired', { questionIdx: room.currentQuestionIdx, autoAdvance: room.timer.autoAdvance });
+  logTimerEvent(room, 'timer_expired', { auto_advance: room.timer.autoAdvance });
+
+  if (room.timer.autoAdvance && room.currentPhase === 2 && room.currentQuiz?.parsed && rooms.get(room.code) === room) {
+    advancePhase(room, 3, room.currentQuestionIdx);
+  }
+}
+
+// Move the room to a new phase/question (teacher request or an expired countdown with auto-advance)
+function advancePhase(room, nextPhase, nextQuestionIdx) {
+  const parsedQuiz = room.currentQuiz.parsed;
+  const previousPhase = room.currentPhase;
+
+  // Leaving the answer window early ends its countdown
+  if (room.timerDeadline && (nextPhase !== 2 || nextQuestionIdx !== room.currentQuestionIdx)) {
+    stopQuestionTimer(room, 'phase_advance');
+  }
+
+  // If advancing from phase 2 to 3, calculate quizmaster movement (always update position, regardless of enabled state)
+  if (room.currentPhase === 2 && nextPhase === 3) {
+    gradeCurrentQuestion(room);
+
+    // Score against the server's answer key for the question being closed
+    const { move: quizmasterMove, strategy, difficulty, details } = computeQuizmasterMove(
+      room.quizmasterStrategy,
+      room.quizmasterDifficulty,
+      {
+        results: Array.from(room.questionResults.get(room.currentQuestionIdx)?.values() || []),
+        studentSquares: Array.from(room.students.values()).map(s => s.square || 0),
+        quizmasterSquare: room.quizmasterSquare
+      }
+    );
+
+    console.log(`[QUIZMASTER] Room ${room.code} strategy=${strategy} difficulty=${difficulty}`, details, 'Move:', quizmasterMove, 'Enabled:', room.quizmasterEnabled);
+
+    if (quizmasterMove > 0) {
+      const previousSquare = room.quizmasterSquare;
+      const { square: quizmasterSquare, finished: quizmasterFinished } = moveOnBoard(room.board, previousSquare, quizmasterMove);
+      room.quizmasterSquare = quizmasterSquare;
+      // Always broadcast state updates so frontend stays in sync
+      broadcastQuizmasterState(room);
+
+      logQuizmasterEvent(room, 'quizmaster_move', {
+        move: quizmasterMove,
+        previous_square: previousSquare,
+        square: room.quizmasterSquare,
+        ...details
+      }, {
+        questionIdx: room.currentQuestionIdx,
+        phase: nextPhase
+      });
+
+      if (quizmasterFinished && room.quizmasterEnabled) {
+        finishRace(room, { type: 'quizmaster', id: null, name: room.quizmasterName });
+      }
+    }
+  }
+
+  // Record phase advancement for replay mode (doesn't affect live game)
+  if (room.currentGameSession) {
+    const phaseEventData = {
+      phase: nextPhase,
+      question_idx: nextQuestionIdx,
+      timestamp: new Date().toISOString(),
+      quizmaster_square: room.quizmasterSquare,
+      quizmaster_enabled: room.quizmasterEnabled,
+      quizmaster_name: room.quizmasterName,
+      quizmaster_strategy: room.quizmasterStrategy,
+      quizmaster_difficulty: room.quizmasterDifficulty
+    };
+
+    const nextQuestion = parsedQuiz.questions[nextQuestionIdx];
+    phaseEventData.question_type = nextQuestion.type;
+    phaseEventData.correct_idxs = nextQuestion.correctIdxs;
+    if (nextQuestion.numericAnswer !== undefined && nextQuestion.numericAnswer !== null) {
+      phaseEventData.numeric_answer = nextQuestion.numericAnswer;
+    }
+
+    gameDatabase.logEvent(room.currentGameSession.id, 'phase_advance', phaseEventData).catch(err => {
+      console.log('[REPLAY] Error logging phase advance:', err.message);
+    });
+  }
 
-// --- Student state (in-memory, non-persistent; replace with DB for prod) ---
-// Map of persistent student_id => { name, joinedAt, square, sockets:Set<socket.id> }
-const students = new Map();
-// Map of socket.id => student_id for quick lookup
-const socketToStudent = new Map();
-// Map of student_id => answerIdx (integer)
-const answers = new Map();
-// Map of student_id => timeout for cleanup delay
-const disconnectTimers = new Map();
-const DISCONNECT_GRACE_MS = parseInt(process.env.DISCONNECT_GRACE_MS || '15000', 10);
-let currentQuiz = null; // { content: string, filename?: string }
-let currentPhase = 1;
-let currentQuestionIdx = 0;
-
-// --- Quizmaster state ---
-let quizmasterEnabled = true;
-let quizmasterName = "Math Dad";
-let quizmasterSquare = 0;
-
-// --- Waiting screen appearance ---
-const DEFAULT_WAITING_LEFT_NAME = 'Ketchup';
-const DEFAULT_WAITING_RIGHT_NAME = 'Mustard';
-const DEFAULT_WAITING_LEFT_COLOR = '#f72702';
-const DEFAULT_WAITING_RIGHT_COLOR = '#f1c232';
-const DEFAULT_WAITING_SHOW_BREAKOUT = false;
-
-let waitingLeftName = DEFAULT_WAITING_LEFT_NAME;
-let waitingRightName = DEFAULT_WAITING_RIGHT_NAME;
-let waitingLeftColor = DEFAULT_WAITING_LEFT_COLOR;
-let waitingRightColor = DEFAULT_WAITING_RIGHT_COLOR;
-let waitingShowBreakout = DEFAULT_WAITING_SHOW_BREAKOUT;
-
-// --- Replay mode database state (optional, doesn't affect live gameplay) ---
-let currentGameSession = null; // { id, session_slug } for current live session
-let sessionActive = false;
-initDatabase(); // Initialize database connection (safe if no DATABASE_URL)
+  const questionChanged = nextQuestionIdx !== room.currentQuestionIdx;
+  room.currentPhase = nextPhase;
+  room.currentQuestionIdx = nextQuestionIdx;
+  io.to(room.code).emit('advance-phase', { nextPhase, nextQuestionIdx });
 
-// Initialize email service with logging
-console.log('[STARTUP] Initializing email service...');
-const emailResult = initEmailService(); // Initialize email service (safe if no email config)
-console.log('[STARTUP] Email service result:', emailResult ? 'initialized' : 'not available');
+  // Answers belong to a single question; start the next one with a clean tally
+  if (questionChanged) {
+    room.answers.clear();
+    room.answerTimes.clear();
+    broadcastVotes(room);
+  }
 
-function broadcastStudentList() {
-  const list = Array.from(students.entries()).map(([id, s]) => ({
-    id,
-    name: s.name,
-    joinedAt: s.joinedAt,
-    square: s.square || 0 // default to 0 if not set
-  }));
-  io.emit('student-list', list);
+  // Phase 2 is the answer window: (re)open it with a fresh countdown
+  if (nextPhase === 2 && (previousPhase !== 2 || questionChanged)) {
+    room.answersLocked = false;
+    room.questionOpenedAt = Date.now();
+    if (room.timer.seconds > 0) startQuestionTimer(room);
+  }
 }
 
-function broadcastQuizmasterState() {
-  io.emit('quizmaster-state', {
-    enabled: quizmasterEnabled,
-    name: quizmasterName,
-    square: quizmasterSquare
-  });
+// Send the full room state to a socket that just entered the room
+function syncRoomToSocket(room, socket) {
+  socket.emit('session-state', { active: room.sessionActive });
+  broadcastWaitingConfig(room, socket);
+  broadcastBoardConfig(room, socket);
+  broadcastTeamState(room, socket);
+  socket.emit('quizmaster-state', getQuizmasterPayload(room));
+  if (room.currentQuiz && room.currentQuiz.content) {
+    socket.emit('quiz-md-loaded', { content: room.currentQuiz.content });
+    socket.emit('advance-phase', { nextPhase: room.currentPhase, nextQuestionIdx: room.currentQuestionIdx });
+  }
+  if (room.raceFinished) {
+    socket.emit('race-finished', room.raceFinished);
+  }
+  socket.emit('timer-config', room.timer);
+  socket.emit('answer-policy', { policy: room.answerPolicy });
+  if (room.timerDeadline) {
+    socket.emit('timer-tick', getTimerPayload(room));
+  }
 }
 
-function broadcastSessionState() {
-  io.emit('session-state', { active: sessionActive });
+function cancelRoomIdleTimer(room) {
+  if (room.idleTimer) {
+    clearTimeout(room.idleTimer);
+    room.idleTimer = null;
+  }
 }
 
-function normalizeHexColor(value, fallback) {
-  if (typeof value !== 'string') return fallback;
-  const trimmed = value.trim();
-  if (/^#[0-9a-fA-F]{6}$/.test(trimmed)) {
-    return `#${trimmed.slice(1).toLowerCase()}`;
-  }
-  if (/^#[0-9a-fA-F]{3}$/.test(trimmed)) {
-    const [, r, g, b] = trimmed;
-    return `#${r}${r}${g}${g}${b}${b}`.toLowerCase();
-  }
-  return fallback;
+// Discard rooms nobody has been connected to for a while
+// (fetchSockets counts sockets on every instance, not just this one)
+function scheduleRoomIdleCheck(room) {
+  if (room.idleTimer) return;
+
+  room.idleTimer = setTimeout(async () => {
+    room.idleTimer = null;
+    try {
+      const sockets = await io.in(room.code).fetchSockets();
+      if (sockets.length === 0 && rooms.get(room.code) === room) {
+        closeRoom(room, 'idle');
+      }
+    } catch (err) {
+      console.log(`[ROOM] Idle check failed for room ${room.code}:`, err.message);
+    }
+  }, ROOM_IDLE_MS);
 }
 
-function getWaitingConfigPayload() {
-  return {
-    leftName: waitingLeftName,
-    leftColor: waitingLeftColor,
-    rightName: waitingRightName,
-    rightColor: waitingRightColor,
-    showBreakout: waitingShowBreakout,
-  };
+// Start a timer to allow reconnection before a socketless student is removed
+function scheduleStudentCleanup(room, studentId, delayMs) {
+  room.disconnectTimers.set(studentId, setTimeout(() => {
+    const record = room.students.get(studentId);
+    const studentName = record ? record.name : 'Unknown';
+    if (record && record.sockets.size === 0) {
+      const hadAnswerAtCleanup = room.answers.has(studentId);
+      const lastSquare = record?.square ?? 0;
+      console.log(`[DISCONNECT] Grace period expired for ${studentName} (${studentId}); removing from room ${room.code}. lastSquare=${lastSquare} hadAnswer=${hadAnswerAtCleanup}`);
+      logStudentPresence(room, studentId, 'student_removed', { square: lastSquare });
+      room.students.delete(studentId);
+      room.answers.delete(studentId);
+      room.answerTimes.delete(studentId);
+      room.movesTaken.delete(studentId);
+      room.skipTurns.delete(studentId);
+      broadcastStudentList(room);
+      broadcastVotes(room);
+    } else {
+      console.log(`[DISCONNECT] ${studentName} (${studentId}) reconnected before cleanup; skipping removal.`);
+    }
+    room.disconnectTimers.delete(studentId);
+  }, delayMs));
 }
 
-function broadcastWaitingConfig(target = io) {
-  target.emit('waiting-screen-config', getWaitingConfigPayload());
+function closeRoom(room, reason) {
+  cancelRoomIdleTimer(room);
+  clearQuestionTimer(room);
+  for (const timer of room.disconnectTimers.values()) {
+    clearTimeout(timer);
+  }
+  room.disconnectTimers.clear();
+  finalizeCurrentGameSession(room);
+  io.to(room.code).emit('room-closed', { code: room.code, reason });
+  io.in(room.code).socketsLeave(room.code);
+  rooms.delete(room.code);
+  roomRouter?.releaseRoom(room.code);
+  checkpointer.forget(room.code).catch(err => {
+    console.log('[LIVE STATE] Error removing room checkpoint:', err.message);
+  });
+  console.log(`[ROOM] Closed room ${room.code} (${reason})`);
 }
 
-function logQuizmasterEvent(eventType, payload = {}, context = {}) {
-  if (!currentGameSession) return;
+// Take over a checkpointed room: after a restart, or from an instance that stopped heartbeating
+function installRestoredRoom(snapshot) {
+  const room = restoreRoomState(snapshot);
+  rooms.set(room.code, room);
+  checkpointer.remember(room.code, snapshot);
 
-  const eventData = {
-    enabled: quizmasterEnabled,
-    name: quizmasterName,
-    square: quizmasterSquare,
-    timestamp: new Date().toISOString(),
-    question_idx: context.questionIdx ?? currentQuestionIdx,
-    phase: context.phase ?? currentPhase,
-    ...payload,
-  };
+  // Everyone is disconnected after a restart; give students longer than usual to come back
+  for (const studentId of room.students.keys()) {
+    scheduleStudentCleanup(room, studentId, RESTORE_GRACE_MS);
+  }
+  scheduleRoomIdleCheck(room);
+  // Pick the countdown back up where it was (it may already have run out)
+  if (room.timerDeadline && room.currentPhase === 2) {
+    startQuestionTimer(room, room.timerDeadline);
+  }
+  console.log(`[LIVE STATE] Restored room ${room.code} (${room.students.size} students, phase ${room.currentPhase}, question ${room.currentQuestionIdx})`);
+  return room;
+}
 
-  gameDatabase.logEvent(currentGameSession.id, eventType, eventData).catch(err => {
-    console.log('[REPLAY] Error logging quizmaster event:', err.message);
-  });
+// Bring back rooms checkpointed before the last shutdown
+async function restoreLiveRooms() {
+  // A lone instance owns everything it finds; in a cluster only rooms whose owner went quiet
+  const staleMs = clusterEnabled ? ROOM_OWNER_TIMEOUT_MS : 0;
+  let snapshots = [];
+  try {
+    snapshots = await liveStateStore.claimAll(NODE_ID, staleMs);
+  } catch (err) {
+    console.log('[LIVE STATE] Could not load checkpoints:', err.message);
+    return;
+  }
+
+  for (const snapshot of snapshots) {
+    if (!snapshot?.code || rooms.has(snapshot.code)) continue;
+    installRestoredRoom(snapshot);
+  }
 }
 
-async function finalizeCurrentGameSession() {
-  if (!currentGameSession) return;
+// Adopt one orphaned room on demand (its owner died); true if the room now lives here
+async function adoptRoom(code) {
+  if (rooms.has(code)) return true;
+  const snapshot = await liveStateStore.claim(code, NODE_ID, ROOM_OWNER_TIMEOUT_MS);
+  if (!snapshot || rooms.has(code)) return rooms.has(code);
+  console.log(`[CLUSTER] Adopting room ${code} from an unresponsive instance`);
+  installRestoredRoom(snapshot);
+  return true;
+}
 
-  const session = currentGameSession;
-  currentGameSession = null;
+// Stop hosting a room another instance has taken over (we were presumed dead)
+function releaseRoom(room) {
+  cancelRoomIdleTimer(room);
+  clearQuestionTimer(room);
+  for (const timer of room.disconnectTimers.values()) {
+    clearTimeout(timer);
+  }
+  room.disconnectTimers.clear();
+  rooms.delete(room.code);
+  roomRouter?.releaseRoom(room.code);
+  checkpointer.release(room.code);
+  console.log(`[CLUSTER] Released room ${room.code}; another instance owns it now`);
+}
 
-  const finalPositions = Array.from(students.entries()).map(([id, s]) => ({
-    id,
-    name: s.name,
-    square: s.square || 0,
-    totalCorrect: 0 // TODO: Track correct answers
-  }));
+// Keep our claim on hosted rooms fresh and let go of any we lost
+async function refreshRoomOwnership() {
+  const owned = await liveStateStore.heartbeat(NODE_ID);
+  if (!owned) return;
 
-  try {
-    await gameDatabase.completeGame(session.id, finalPositions);
-  } catch (err) {
-    console.log('[REPLAY] Error completing session:', err.message);
+  const ownedCodes = new Set(owned);
+  for (const room of Array.from(rooms.values())) {
+    if (!ownedCodes.has(room.code)) {
+      releaseRoom(room);
+    }
   }
 }
 
-function broadcastVotes() {
-  // Tally votes for each answer index
-  const counts = {};
-  for (const idx of answers.values()) {
-    if (typeof idx === 'number') counts[idx] = (counts[idx] || 0) + 1;
+// Move a socket into a room, leaving whatever room it was in before
+function joinSocketToRoom(socket, room) {
+  const previousCode = socket.data.roomCode;
+  if (previousCode && previousCode !== room.code) {
+    socket.leave(previousCode);
   }
-  console.log('[DEBUG] Emitting vote-counts:', counts);
-  io.emit('vote-counts', counts);
+  socket.join(room.code);
+  socket.data.roomCode = room.code;
+  cancelRoomIdleTimer(room);
+  socket.emit('room-joined', { code: room.code, role: socket.data.role });
 }
 
-// Socket.io minimal test + student join
-io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
+// Socket.io student join + room-scoped game events
+// (also run for stand-in sockets when another instance forwards events for a room hosted here)
+function registerSocketHandlers(socket) {
+  const rejectAdmin = (event, reason) => {
+    socket.emit('admin-error', { event, reason });
+  };
+
+  // Register a handler that only authenticated teacher sockets may trigger
+  const onAdmin = (event, handler) => {
+    socket.on(event, async (...args) => {
+      if (!isAdminSocket(socket)) {
+        console.log(`[AUTH] Refused ${event} from non-admin socket ${socket.id}`);
+        rejectAdmin(event, 'unauthorized');
+        return;
+      }
+      try {
+        await handler(...args);
+      } catch (err) {
+        console.error(`[ADMIN] Error handling ${event}:`, err);
+        rejectAdmin(event, 'server_error');
+      }
+    });
+  };
+
+  // Admin handler that operates on the teacher's current room (only its owner or the admin may run it)
+  const onRoomAdmin = (event, handler) => {
+    onAdmin(event, (payload = {}) => {
+      const room = getSocketRoom(socket);
+      if (!room) {
+        rejectAdmin(event, 'no_room');
+        return;
+      }
+      if (!canManage(socket.data.teacher, room.teacherEmail)) {
+        console.log(`[AUTH] Refused ${event} in room ${room.code} from non-owner socket ${socket.id}`);
+        rejectAdmin(event, 'not_room_owner');
+        return;
+      }
+      handler(room, payload);
+    });
+  };
+
+  // Teacher: create a new classroom with a fresh join code
+  onAdmin('admin-create-room', async () => {
+    if (!rateLimit(socket.id, 'admin-create-room', 1)) return;
+
+    // Reserve the code in the shared store so no other instance hands it out too
+    let room = null;
+    for (let attempt = 0; attempt < 5 && !room; attempt++) {
+      const candidate = createRoomState(generateRoomCode(code => rooms.has(code)), {
+        createdBy: socket.id,
+        teacherEmail: socket.data.teacher?.email ?? null,
+      });
+      const created = await liveStateStore.create(candidate.code, serializeRoomState(candidate), NODE_ID);
+      if (created === false) continue;
+      if (created === null) {
+        console.log(`[ROOM] Could not reserve room ${candidate.code} in the store; continuing in memory`);
+      }
+      room = candidate;
+    }
+    if (!room) {
+      rejectAdmin('admin-create-room', 'room_code_unavailable');
+      return;
+    }
+
+    const { code } = room;
+    rooms.set(code, room);
+    console.log(`[ROOM] Created room ${code} by ${socket.id}${room.teacherEmail ? ` (${room.teacherEmail})` : ''}`);
+
+    joinSocketToRoom(socket, room);
+    socket.emit('room-created', { code });
+    syncRoomToSocket(room, socket);
+    broadcastStudentList(room);
+  });
+
+  // Teacher: attach to an existing classroom (second screen or reconnect)
+  onAdmin('admin-join-room', ({ code } = {}) => {
+    const room = rooms.get(normalizeRoomCode(code));
+    if (!room) {
+      rejectAdmin('admin-join-room', 'room_not_found');
+      return;
+    }
+    if (!canManage(socket.data.teacher, room.teacherEmail)) {
+      console.log(`[AUTH] Refused admin-join-room for room ${room.code} from non-owner socket ${socket.id}`);
+      rejectAdmin('admin-join-room', 'not_room_owner');
+      return;
+    }
+    joinSocketToRoom(socket, room);
+    syncRoomToSocket(room, socket);
+    broadcastStudentList(room);
+  });
+
+  onRoomAdmin('admin-close-room', (room) => {
+    closeRoom(room, 'closed_by_teacher');
+  });
 
-  socket.emit('session-state', { active: sessionActive });
-  broadcastWaitingConfig(socket);
+  // Anyone: enter a room by join code (e.g. to see the waiting screen before picking a name)
+  socket.on('join-room', ({ code } = {}) => {
+    if (!rateLimit(socket.id, 'join-room')) return;
+    const room = rooms.get(normalizeRoomCode(code));
+    if (!room) {
+      socket.emit('room-error', { reason: 'room_not_found' });
+      return;
+    }
+    joinSocketToRoom(socket, room);
+    syncRoomToSocket(room, socket);
+  });
 
   socket.on('get-waiting-screen-config', () => {
-    socket.emit('waiting-screen-config', getWaitingConfigPayload());
+    const room = getSocketRoom(socket);
+    if (!room) return;
+    socket.emit('waiting-screen-config', getWaitingConfigPayload(room));
   });
 
-  socket.on('student-join', ({ name, student_id, square }) => {
+  socket.on('student-join', ({ name, student_id, square, roomCode, team } = {}) => {
+    let room = getSocketRoom(socket);
+    if (roomCode !== undefined) {
+      room = rooms.get(normalizeRoomCode(roomCode)) || null;
+    }
+    if (!room) {
+      socket.emit('room-error', { reason: 'room_not_found' });
+      return;
+    }
+
     // Increase rate limit for large sessions
-    const maxStudents = students.size;
+    const maxStudents = room.students.size;
     const rateMultiplier = Math.max(1, Math.ceil(maxStudents / 25));
     if (!rateLimit(socket.id, 'student-join', 2 * rateMultiplier)) return;
-    
+
     const cleanName = sanitizeName(name);
     if (!cleanName) return;
 
     const studentId = student_id || socket.id;
-    const resumeSquare = typeof square === 'number' && square >= 0 ? square : null;
+
+    // Drop any student record this socket held in a different room
+    const previousRoom = getSocketRoom(socket);
+    if (previousRoom && previousRoom !== room) {
+      const previousId = previousRoom.socketToStudent.get(socket.id);
+      previousRoom.socketToStudent.delete(socket.id);
+      previousRoom.students.get(previousId)?.sockets.delete(socket.id);
+    }
+    joinSocketToRoom(socket, room);
 
     // Cancel any pending cleanup for this student
-    if (disconnectTimers.has(studentId)) {
-      clearTimeout(disconnectTimers.get(studentId));
-      disconnectTimers.delete(studentId);
-      console.log(`Student ${cleanName} rejoined, cancelled cleanup (${studentId})`);
+    if (room.disconnectTimers.has(studentId)) {
+      clearTimeout(room.disconnectTimers.get(studentId));
+      room.disconnectTimers.delete(studentId);
+      console.log(`Student ${cleanName} rejoined room ${room.code}, cancelled cleanup (${studentId})`);
     }
 
-    let student = students.get(studentId);
+    let student = room.students.get(studentId);
     if (student) {
       // Existing student reconnecting; just add this socket
+      if (student.sockets.size === 0) logStudentPresence(room, studentId, 'student_join', { rejoin: true });
       student.sockets.add(socket.id);
-      if (resumeSquare !== null && typeof student.square !== 'number') {
-        student.square = resumeSquare;
-      }
-      if (resumeSquare !== null && typeof student.square === 'number' && student.square !== resumeSquare) {
-        console.log(`[RECOVERY] Updating square for ${cleanName} (${studentId}) from ${student.square} to ${resumeSquare}`);
-        student.square = resumeSquare;
-      }
     } else {
-      const startingSquare = resumeSquare !== null ? resumeSquare : 0;
-      student = { name: cleanName, joinedAt: Date.now(), square: startingSquare, sockets: new Set([socket.id]) };
-      students.set(studentId, student);
+      student = { name: cleanName, joinedAt: Date.now(), square: 0, team: null, sockets: new Set([socket.id]) };
+      room.students.set(studentId, student);
+      logStudentPresence(room, studentId, 'student_join', { rejoin: false });
     }
 
-    socketToStudent.set(socket.id, studentId);
-    const squareInfo = typeof student.square === 'number' ? ` square=${student.square}` : '';
-    console.log(`Student joined: ${cleanName} (${studentId}) via socket ${socket.id}${squareInfo}`);
-    broadcastStudentList();
-    // Sync current quiz and phase if available
-    if (currentQuiz && currentQuiz.content) {
-      socket.emit('quiz-md-loaded', { content: currentQuiz.content });
-      socket.emit('advance-phase', { nextPhase: currentPhase, nextQuestionIdx: currentQuestionIdx });
+    // Team mode: keep an existing team, otherwise take the student's pick or balance the sides
+    if (room.teamMode && !student.team) {
+      const picked = room.teamAssignment === TEAM_ASSIGNMENT_SELF ? normalizeTeam(team) : null;
+      student.team = picked || (room.teamAssignment === TEAM_ASSIGNMENT_AUTO ? pickBalancedTeam(room.students.values()) : null);
+      if (student.team) logTeamAssignment(room, studentId, picked ? 'student_pick' : 'auto_balance');
+    }
+
+    // Positions are server-owned (and checkpointed); a square reported by the client is only logged
+    if (typeof square === 'number' && square !== student.square) {
+      console.log(`[RECOVERY] Ignoring client square ${square} for ${cleanName} (${studentId}); server has ${student.square}`);
     }
+
+    room.socketToStudent.set(socket.id, studentId);
+    const squareInfo = typeof student.square === 'number' ? ` square=${student.square}` : '';
+    console.log(`Student joined room ${room.code}: ${cleanName} (${studentId}) via socket ${socket.id}${squareInfo}`);
+    broadcastStudentList(room);
+    // Sync session state, waiting screen, current quiz and phase
+    syncRoomToSocket(room, socket);
   });
 
-  socket.on('student-move', ({ roll, id, square }) => {
+  // Students ask to move and the server rolls for them; teachers may also place a student directly
+  socket.on('student-move', ({ id, square } = {}) => {
     if (!rateLimit(socket.id, 'student-move')) return;
-
-    // Handle both direct square setting and dice roll movement
-    const targetId = id || socketToStudent.get(socket.id);
-    const s = students.get(targetId);
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const isAdmin = isAdminSocket(socket);
+    const ownId = room.socketToStudent.get(socket.id);
+    const targetId = isAdmin ? (id || ownId) : ownId;
+    if (!isAdmin && id && id !== ownId) {
+      socket.emit('move-rejected', { reason: 'not_your_student' });
+      return;
+    }
+    const s = room.students.get(targetId);
     if (!s) {
-      console.log(`[ERROR] Student not found for move: ${targetId}`);
+      console.log(`[ERROR] Student not found for move in room ${room.code}: ${targetId}`);
       return;
     }
-    
+
     const oldSquare = s.square || 0;
-    let newSquare = oldSquare;
-    
-    if (typeof square === 'number' && square >= 0) {
-      // Direct square update
+    let newSquare;
+    let roll = null;
+    let justification;
+    let special = null;
+    let finished = false;
+
+    if (square !== undefined) {
+      // Direct square update (teachers only)
+      if (!isAdmin) {
+        console.log(`[MOVE] Rejected direct square write from ${socket.id} in room ${room.code}: square=${square}`);
+        socket.emit('move-rejected', { reason: 'unauthorized' });
+        return;
+      }
+      if (!Number.isInteger(square) || square < 0 || square >= room.board.squares) return;
       newSquare = square;
+      justification = { reason: 'admin_set_square' };
       console.log(`[DEBUG] Direct move: ${s.name} (${targetId}) from ${oldSquare} to ${newSquare}`);
-    } else if (typeof roll === 'number' && roll >= 1 && roll <= 6) {
-      // Dice roll movement
-      const currentSquare = typeof s.square === 'number' ? s.square : 0;
-      newSquare = (currentSquare + roll) % 96; // Wrap around after 96 squares
-      console.log(`[DEBUG] Dice roll move: ${s.name} (${targetId}) rolled ${roll}, from ${currentSquare} to ${newSquare}`);
     } else {
-      console.log(`[DEBUG] Invalid move parameters: roll=${roll}, square=${square}, targetId=${targetId}`);
-      return;
+      const eligibility = checkMoveEligibility(room, targetId);
+      if (eligibility.forfeit) {
+        // The earned move pays off an earlier skip square
+        forfeitMove(room, targetId);
+        console.log(`[MOVE] ${s.name} (${targetId}) in room ${room.code} skips this turn`);
+        if (room.currentGameSession) {
+          gameDatabase.logEvent(room.currentGameSession.id, 'student_skip', {
+            student_id: targetId,
+            student_name: s.name,
+            square: oldSquare,
+            question_idx: room.currentQuestionIdx,
+            phase: room.currentPhase,
+            timestamp: new Date().toISOString()
+          }).catch(err => {
+            console.log('[REPLAY] Error logging student skip:', err.message);
+          });
+        }
+      }
+      if (!eligibility.allowed) {
+        console.log(`[MOVE] Rejected move for ${s.name} (${targetId}) in room ${room.code}: ${eligibility.reason}`);
+        socket.emit('move-rejected', { reason: eligibility.reason, questionIdx: room.currentQuestionIdx });
+        return;
+      }
+      roll = rollDie();
+      ({ square: newSquare, finished, special } = applyRoll(room.board, oldSquare, roll));
+      justification = eligibility.justification;
+      recordMove(room, targetId);
+      if (special?.type === 'skip') {
+        room.skipTurns.add(targetId);
+      }
+      console.log(`[DEBUG] Dice roll move: ${s.name} (${targetId}) rolled ${roll}, from ${oldSquare} to ${newSquare}${special ? ` via ${special.type} on ${special.square}` : ''}`);
     }
-    
+
     // Update the student's position
     s.square = newSquare;
-    
+
     // Record student movement for replay mode (doesn't affect live game)
-    if (currentGameSession && oldSquare !== newSquare) {
-      gameDatabase.logEvent(currentGameSession.id, 'student_move', {
+    if (room.currentGameSession && (oldSquare !== newSquare || special)) {
+      gameDatabase.logEvent(room.currentGameSession.id, 'student_move', {
         student_id: targetId,
         student_name: s.name,
         from_square: oldSquare,
         to_square: newSquare,
-        roll: typeof roll === 'number' ? roll : null,
-        question_idx: currentQuestionIdx,
-        phase: currentPhase,
+        roll,
+        justification,
+        special,
+        question_idx: room.currentQuestionIdx,
+        phase: room.currentPhase,
         timestamp: new Date().toISOString()
       }).catch(err => {
         console.log('[REPLAY] Error logging student move:', err.message);
       });
     }
-    
-    // Always broadcast the update to all clients
-    const update = { 
-      id: targetId, 
+
+    // Always broadcast the update to all clients in the room
+    const update = {
+      id: targetId,
       square: newSquare,
       name: s.name,
-      roll: typeof roll === 'number' ? roll : undefined
+      roll: roll ?? undefined,
+      special: special ?? undefined
     };
-    
+
     console.log(`[DEBUG] Broadcasting move update:`, update);
-    
-    // Send to all clients
-    io.emit('student-move-update', update);
-    
+
+    // Send to all clients in the room
+    io.to(room.code).emit('student-move-update', update);
+
     // Also update the student list
-    broadcastStudentList();
+    broadcastStudentList(room);
+
+    if (finished) {
+      finishRace(room, { type: 'student', id: targetId, name: s.name, team: room.teamMode ? s.team ?? null : null });
+    }
   });
 
-  socket.on('student-answer', ({ answerIdx }) => {
+  // `answer` carries multi-select (array) and numeric answers; `answerIdx` is the classic single choice
+  socket.on('student-answer', ({ answerIdx, answer } = {}) => {
     if (!rateLimit(socket.id, 'student-answer')) return;
-    const studentId = socketToStudent.get(socket.id);
-    console.log('[DEBUG] student-answer received:', answerIdx, 'from', studentId);
-    if (typeof answerIdx !== 'number' || answerIdx < 0 || answerIdx > 3 || !studentId) return;
+    const room = getSocketRoom(socket);
+    if (!room) return;
+    const studentId = room.socketToStudent.get(socket.id);
+    const submitted = answer !== undefined ? answer : answerIdx;
+    console.log('[DEBUG] student-answer received:', submitted, 'from', studentId);
+
+    const questionIdx = room.currentQuestionIdx;
+    const question = room.currentQuiz?.parsed?.questions[questionIdx];
+    const check = checkAnswer(room, studentId, submitted);
+    if (!check.accepted) {
+      console.log(`[ANSWER] Rejected answer from ${studentId || socket.id} in room ${room.code}: ${check.reason}`);
+      socket.emit('answer-rejected', { reason: check.reason, questionIdx, answer: submitted });
+      return;
+    }
+
+    recordAnswer(room, studentId, check);
 
     // Record student answer for replay mode (doesn't affect live game)
-    if (currentGameSession) {
-      const student = students.get(studentId);
-      gameDatabase.logEvent(currentGameSession.id, 'student_answer', {
+    if (room.currentGameSession) {
+      const student = room.students.get(studentId);
+      gameDatabase.logEvent(room.currentGameSession.id, 'student_answer', {
         student_id: studentId,
         student_name: student?.name || 'Unknown',
-        answer_idx: answerIdx,
-        question_idx: currentQuestionIdx,
-        phase: currentPhase,
+        question_type: question.type,
+        answer_idx: Number.isInteger(check.answer) && question.type !== QUESTION_TYPE_NUMERIC ? check.answer : null,
+        answer: check.answer,
+        previous_answer: check.previousAnswer,
+        changed: check.changed,
+        response_ms: check.responseMs,
+        question_idx: questionIdx,
+        phase: room.currentPhase,
         timestamp: new Date().toISOString()
       }).catch(err => {
         console.log('[REPLAY] Error logging student answer:', err.message);
       });
     }
 
-    answers.set(studentId, answerIdx);
-    broadcastVotes();
+    socket.emit('answer-accepted', { questionIdx, answer: check.answer, changed: check.changed, responseMs: check.responseMs });
+    broadcastVotes(room);
   });
 
   socket.on('disconnect', (reason) => {
-    const studentId = socketToStudent.get(socket.id);
-    const student = students.get(studentId);
+    // The instance hosting the room handles disconnects forwarded to it
+    if (roomRouter && roomRouter.isRemote(socket)) return;
+
+    const room = getSocketRoom(socket);
+    const studentId = room ? room.socketToStudent.get(socket.id) : undefined;
+    const student = room ? room.students.get(studentId) : undefined;
     const studentName = student ? student.name : 'Unknown';
     const priorSocketCount = student ? student.sockets.size : 0;
-    const hadAnswer = studentId ? answers.has(studentId) : false;
+    const hadAnswer = room && studentId ? room.answers.has(studentId) : false;
 
-    socketToStudent.delete(socket.id);
+    if (room) {
+      room.socketToStudent.delete(socket.id);
+    }
     if (student) {
       student.sockets.delete(socket.id);
     }
@@ -762,44 +2695,37 @@ io.on('connection', (socket) => {
     const remainingSockets = student ? student.sockets.size : 0;
     const disconnectInfo = buildDisconnectInfo(socket, reason, studentName, {
       studentId,
+      roomCode: room?.code ?? null,
       priorSocketCount,
       remainingSockets,
       hadStudentRecord: Boolean(student),
       hasAnswer: hadAnswer,
       square: student?.square ?? null,
-      totalStudents: students.size,
-      phase: currentPhase,
-      questionIdx: currentQuestionIdx,
-      cleanupScheduled: remainingSockets === 0,
+      totalStudents: room ? room.students.size : 0,
+      phase: room?.currentPhase,
+      questionIdx: room?.currentQuestionIdx,
+      cleanupScheduled: Boolean(student) && remainingSockets === 0,
       cleanupDelayMs: DISCONNECT_GRACE_MS,
-      sessionSlug: currentGameSession?.session_slug ?? null,
+      sessionSlug: room?.currentGameSession?.session_slug ?? null,
     });
 
     console.warn('[DISCONNECT]', disconnectInfo);
     sendDisconnectWebhook(disconnectInfo);
 
+    if (!room) {
+      return;
+    }
+
+    scheduleRoomIdleCheck(room);
+
     if (!student) {
       return;
     }
 
     if (remainingSockets === 0) {
+      logStudentPresence(room, studentId, 'student_disconnect', { reason });
       console.log(`[DISCONNECT] Scheduling cleanup for ${studentName} (${studentId}) in ${DISCONNECT_GRACE_MS}ms (reason: ${reason})`);
-      // Start a timer to allow reconnection before cleanup
-      disconnectTimers.set(studentId, setTimeout(() => {
-        const record = students.get(studentId);
-        if (record && record.sockets.size === 0) {
-          const hadAnswerAtCleanup = answers.has(studentId);
-          const lastSquare = record?.square ?? 0;
-          console.log(`[DISCONNECT] Grace period expired for ${studentName} (${studentId}); removing from session. lastSquare=${lastSquare} hadAnswer=${hadAnswerAtCleanup}`);
-          students.delete(studentId);
-          answers.delete(studentId);
-          broadcastStudentList();
-          broadcastVotes();
-        } else {
-          console.log(`[DISCONNECT] ${studentName} (${studentId}) reconnected before cleanup; skipping removal.`);
-        }
-        disconnectTimers.delete(studentId);
-      }, DISCONNECT_GRACE_MS));
+      scheduleStudentCleanup(room, studentId, DISCONNECT_GRACE_MS);
     } else {
       console.log(`[DISCONNECT] ${studentName} (${studentId}) still has ${remainingSockets} active socket(s); skipping cleanup timer.`);
     }
@@ -811,12 +2737,20 @@ io.on('connection', (socket) => {
 
   // Student state synchronization - check if student exists in backend
   socket.on('student-sync-request', () => {
-    const studentId = socketToStudent.get(socket.id);
-    const student = students.get(studentId);
+    const room = getSocketRoom(socket);
+    const studentId = room ? room.socketToStudent.get(socket.id) : undefined;
+    const student = room ? room.students.get(studentId) : undefined;
     if (student) {
       socket.emit('student-sync-response', {
         exists: true,
-        data: { id: studentId, name: student.name, joinedAt: student.joinedAt, square: student.square }
+        data: {
+          id: studentId,
+          name: student.name,
+          joinedAt: student.joinedAt,
+          square: student.square,
+          totalCorrect: countCorrect(room.questionResults, studentId),
+          roomCode: room.code
+        }
       });
     } else {
       socket.emit('student-sync-response', {
@@ -826,118 +2760,152 @@ io.on('connection', (socket) => {
   });
 
   // Teacher: replace student name with 'Trouble' for all clients
-  socket.on('replace-student-name', ({ id }) => {
-    if (!id || !students.has(id)) return;
-    const s = students.get(id);
+  onRoomAdmin('replace-student-name', (room, { id }) => {
+    if (!id || !room.students.has(id)) return;
+    const s = room.students.get(id);
     if (s && s.name !== 'Trouble') {
       s.name = 'Trouble';
-      broadcastStudentList();
+      broadcastStudentList(room);
     }
   });
 
   // Teacher: restart game (reset all tokens, answers, and quiz)
-  const endSession = () => {
+  const endSession = (room) => {
     // Clear all disconnect timers
-    for (const timer of disconnectTimers.values()) {
+    for (const timer of room.disconnectTimers.values()) {
       clearTimeout(timer);
     }
-    disconnectTimers.clear();
+    room.disconnectTimers.clear();
 
     // Complete current session if it exists (for replay mode)
-    finalizeCurrentGameSession();
-
-    students.clear();
-    socketToStudent.clear();
-    answers.clear();
-    currentPhase = 1;
-    currentQuestionIdx = 0;
-    quizmasterSquare = 0; // Reset quizmaster position
-    broadcastStudentList();
-    broadcastVotes();
-    broadcastQuizmasterState();
-    sessionActive = false;
-    broadcastSessionState();
+    finalizeCurrentGameSession(room);
+
+    room.students.clear();
+    room.socketToStudent.clear();
+    room.answers.clear();
+    room.answerTimes.clear();
+    room.questionResults.clear();
+    room.movesTaken.clear();
+    room.skipTurns.clear();
+    room.raceFinished = null;
+    stopQuestionTimer(room, 'reset');
+    room.answersLocked = false;
+    room.currentPhase = 1;
+    room.currentQuestionIdx = 0;
+    room.quizmasterSquare = 0; // Reset quizmaster position
+    broadcastStudentList(room);
+    broadcastVotes(room);
+    broadcastQuizmasterState(room);
+    room.sessionActive = false;
+    broadcastSessionState(room);
     // Emit a 'game-restarted' event for frontend to reset state
-    io.emit('game-restarted');
+    io.to(room.code).emit('game-restarted');
   };
 
-  socket.on('restart-game', () => {
-    endSession();
+  onRoomAdmin('restart-game', (room) => {
+    endSession(room);
   });
 
-  socket.on('admin-end-session', () => {
-    const endReason = sessionActive ? 'closing_active_session' : 'already_inactive';
-    console.log(`[ADMIN][REQUEST] admin-end-session (${endReason}) from ${socket.id}`);
-    if (!sessionActive) {
-      socket.emit('session-state', { active: sessionActive });
+  onRoomAdmin('admin-end-session', (room) => {
+    const endReason = room.sessionActive ? 'closing_active_session' : 'already_inactive';
+    console.log(`[ADMIN][REQUEST] admin-end-session (${endReason}) from ${socket.id} in room ${room.code}`);
+    if (!room.sessionActive) {
+      socket.emit('session-state', { active: room.sessionActive });
       return;
     }
     console.log('[ADMIN] Ending session now');
-    endSession();
+    endSession(room);
   });
 
-  socket.on('admin-start-session', () => {
-    const startReason = sessionActive
+  // Optional payload: { timer: { seconds, autoAdvance } } overrides the quiz's countdown settings
+  onRoomAdmin('admin-start-session', (room, { timer } = {}) => {
+    const startReason = room.sessionActive
       ? 'session_already_active'
-      : (!currentQuiz || !currentQuiz.content)
+      : (!room.currentQuiz || !room.currentQuiz.content)
         ? 'missing_quiz_content'
         : 'ready_to_start';
-    console.log(`[ADMIN][REQUEST] admin-start-session (${startReason}) from ${socket.id}`);
+    console.log(`[ADMIN][REQUEST] admin-start-session (${startReason}) from ${socket.id} in room ${room.code}`);
 
-    if (sessionActive) {
+    if (room.sessionActive) {
       socket.emit('session-error', { reason: 'session_already_active' });
-      socket.emit('session-state', { active: sessionActive });
+      socket.emit('session-state', { active: room.sessionActive });
       return;
     }
 
-    if (!currentQuiz || !currentQuiz.content) {
+    if (!room.currentQuiz || !room.currentQuiz.content) {
       socket.emit('session-error', { reason: 'missing_quiz' });
-      socket.emit('session-state', { active: sessionActive });
+      socket.emit('session-state', { active: room.sessionActive });
+      return;
+    }
+
+    const sessionTimer = timer === undefined ? room.timer : normalizeTimerConfig(timer);
+    if (!sessionTimer) {
+      socket.emit('session-error', { reason: 'invalid_timer' });
+      socket.emit('session-state', { active: room.sessionActive });
       return;
     }
 
-    if (currentGameSession) {
-      finalizeCurrentGameSession();
+    if (room.currentGameSession) {
+      finalizeCurrentGameSession(room);
     }
 
     console.log('[ADMIN] Starting session');
-    answers.clear();
-    currentPhase = 1;
-    currentQuestionIdx = 0;
-    quizmasterSquare = 0;
-    broadcastVotes();
-    broadcastQuizmasterState();
+    room.timer = sessionTimer;
+    io.to(room.code).emit('timer-config', room.timer);
+    room.answers.clear();
+    room.answerTimes.clear();
+    room.questionResults.clear();
+    room.movesTaken.clear();
+    room.skipTurns.clear();
+    room.raceFinished = null;
+    stopQuestionTimer(room, 'reset');
+    room.answersLocked = false;
+    room.currentPhase = 1;
+    room.currentQuestionIdx = 0;
+    room.quizmasterSquare = 0;
+    broadcastVotes(room);
+    broadcastQuizmasterState(room);
 
     // Reset all player squares to 0 at the beginning of the session
-    for (const student of students.values()) {
+    for (const student of room.students.values()) {
       student.square = 0;
     }
-    broadcastStudentList();
+    broadcastStudentList(room);
 
-    sessionActive = true;
-    broadcastSessionState();
+    room.sessionActive = true;
+    broadcastSessionState(room);
 
     // Re-emit the quiz to ensure everyone returns to the first question
-    io.emit('quiz-md-loaded', { content: currentQuiz.content });
+    io.to(room.code).emit('quiz-md-loaded', { content: room.currentQuiz.content });
 
     // Create database session for replay mode (doesn't affect live gameplay)
-    const filename = currentQuiz.filename;
+    const filename = room.currentQuiz.filename;
     if (filename) {
-      gameDatabase.createGameSession(filename, currentQuiz.content).then(session => {
+      gameDatabase.createGameSession(filename, room.currentQuiz.content, room.teacherEmail).then(session => {
         if (session) {
-          currentGameSession = session;
-          console.log(`[REPLAY] Session created: ${session.session_slug}`);
+          room.currentGameSession = session;
+          console.log(`[REPLAY] Session created for room ${room.code}: ${session.session_slug}`);
 
-          logQuizmasterEvent('quizmaster_state', {
+          logQuizmasterEvent(room, 'quizmaster_state', {
             reason: 'session_start',
-            square: quizmasterSquare
+            square: room.quizmasterSquare
           }, {
             questionIdx: 0,
             phase: 1
           });
 
-          // Send email notification with replay URL
-          const teacherEmail = process.env.TEACHER_EMAIL;
+          gameDatabase.logEvent(session.id, 'board_config', {
+            ...room.board,
+            reason: 'session_start',
+            question_idx: 0,
+            phase: 1,
+            timestamp: new Date().toISOString()
+          }).catch(err => {
+            console.log('[REPLAY] Error logging board config:', err.message);
+          });
+
+          // Send email notification with replay URL to the room's teacher
+          const teacherEmail = room.teacherEmail || process.env.TEACHER_EMAIL;
           if (teacherEmail) {
             sendReplayNotification(teacherEmail, session.session_slug, filename)
               .then(sent => {
@@ -948,7 +2916,7 @@ io.on('connection', (socket) => {
                 }
               });
           } else {
-            console.log('[EMAIL] No TEACHER_EMAIL configured, skipping notification');
+            console.log('[EMAIL] No teacher email for this room or TEACHER_EMAIL configured, skipping notification');
           }
         }
       }).catch(err => {
@@ -957,137 +2925,137 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Teacher: load quiz markdown and broadcast to all clients
-  socket.on('load-quiz-md', ({ content, filename }) => {
+  // Teacher: load quiz markdown and broadcast to the room
+  onRoomAdmin('load-quiz-md', (room, { content, filename }) => {
     // Limit quiz file size and validate type
     if (typeof content !== 'string' || content.length > 100000) return;
-    console.log('[DEBUG] Loaded quiz markdown, length:', content?.length);
+    console.log(`[DEBUG] Loaded quiz markdown for room ${room.code}, length:`, content?.length);
+
+    // Reject malformed quizzes before touching the running game
+    const { quiz: parsed, error } = tryParseQuizMarkdown(content);
+    if (error) {
+      console.log(`[QUIZ] Rejected quiz for room ${room.code}: ${error.message}`);
+      socket.emit('quiz-error', {
+        reason: 'invalid_quiz',
+        message: error.message,
+        line: error.line,
+        questionIdx: error.questionIdx
+      });
+      return;
+    }
+    const { board, error: boardError } = boardFromQuizMetadata(parsed.metadata);
+    const { timer, error: timerError } = timerFromQuizMetadata(parsed.metadata);
+    const { policy: answerPolicy, error: policyError } = answerPolicyFromQuizMetadata(parsed.metadata);
+    const settingsError = boardError || timerError || policyError;
+    if (settingsError) {
+      console.log(`[QUIZ] Rejected quiz for room ${room.code}: ${settingsError}`);
+      socket.emit('quiz-error', { reason: 'invalid_quiz', message: settingsError, line: null, questionIdx: null });
+      return;
+    }
 
     // Reset local game state for new quiz
-    quizmasterSquare = 0;
-    broadcastQuizmasterState();
-    currentQuiz = { content, filename };
-    currentPhase = 1;
-    currentQuestionIdx = 0;
-    sessionActive = false;
-    broadcastSessionState();
-    io.emit('quiz-md-loaded', { content });
+    room.quizmasterSquare = 0;
+    broadcastQuizmasterState(room);
+    room.currentQuiz = { content, filename, parsed };
+    room.board = board;
+    broadcastBoardConfig(room);
+    room.timer = timer;
+    io.to(room.code).emit('timer-config', room.timer);
+    room.answerPolicy = answerPolicy;
+    io.to(room.code).emit('answer-policy', { policy: room.answerPolicy });
+    room.answers.clear();
+    room.answerTimes.clear();
+    room.questionResults.clear();
+    room.movesTaken.clear();
+    room.skipTurns.clear();
+    room.raceFinished = null;
+    stopQuestionTimer(room, 'reset');
+    room.answersLocked = false;
+    broadcastVotes(room);
+    room.currentPhase = 1;
+    room.currentQuestionIdx = 0;
+    room.sessionActive = false;
+    broadcastSessionState(room);
+    io.to(room.code).emit('quiz-md-loaded', { content });
+    socket.emit('quiz-parsed', { metadata: parsed.metadata, questionCount: parsed.questions.length });
   });
 
-  // Teacher: advance phase and broadcast to all clients
-  socket.on('advance-phase', ({ nextPhase, nextQuestionIdx, correctIdxs }) => {
-    console.log('[DEBUG] advance-phase received:', { nextPhase, nextQuestionIdx, correctIdxs });
-    
-    // If advancing from phase 2 to 3, calculate quizmaster movement (always update position, regardless of enabled state)
-    if (currentPhase === 2 && nextPhase === 3) {
-      const totalAnswers = Array.from(answers.values()).filter(idx => typeof idx === 'number').length;
-      
-      if (totalAnswers > 0 && correctIdxs && Array.isArray(correctIdxs)) {
-        // Count wrong answers by checking against correct answer indices
-        const wrongAnswers = Array.from(answers.values()).filter(idx => 
-          typeof idx === 'number' && !correctIdxs.includes(idx)
-        ).length;
-        
-        const wrongRatio = wrongAnswers / totalAnswers;
-        const quizmasterMove = Math.round(wrongRatio * 6);
-        
-        console.log('[QUIZMASTER] Total answers:', totalAnswers, 'Wrong answers:', wrongAnswers, 'Wrong ratio:', wrongRatio, 'Move:', quizmasterMove, 'Enabled:', quizmasterEnabled);
-        
-        if (quizmasterMove > 0) {
-          const previousSquare = quizmasterSquare;
-          quizmasterSquare = (quizmasterSquare + quizmasterMove) % 96;
-          // Always broadcast state updates so frontend stays in sync
-          broadcastQuizmasterState();
-
-          logQuizmasterEvent('quizmaster_move', {
-            move: quizmasterMove,
-            previous_square: previousSquare,
-            square: quizmasterSquare,
-            wrong_ratio: wrongRatio,
-            wrong_answers: wrongAnswers,
-            total_answers: totalAnswers
-          }, {
-            questionIdx: currentQuestionIdx,
-            phase: nextPhase
-          });
-        }
-      }
-    }
-    
-    // Record phase advancement for replay mode (doesn't affect live game)
-    if (currentGameSession) {
-      const phaseEventData = {
-        phase: nextPhase,
-        question_idx: nextQuestionIdx,
-        timestamp: new Date().toISOString(),
-        quizmaster_square: quizmasterSquare,
-        quizmaster_enabled: quizmasterEnabled,
-        quizmaster_name: quizmasterName
-      };
-
-      if (Array.isArray(correctIdxs)) {
-        phaseEventData.correct_idxs = correctIdxs;
-      }
+  // Teacher: advance phase and broadcast to the room
+  onRoomAdmin('advance-phase', (room, { nextPhase, nextQuestionIdx }) => {
+    console.log(`[DEBUG] advance-phase received for room ${room.code}:`, { nextPhase, nextQuestionIdx });
 
-      gameDatabase.logEvent(currentGameSession.id, 'phase_advance', phaseEventData).catch(err => {
-        console.log('[REPLAY] Error logging phase advance:', err.message);
-      });
+    const parsedQuiz = room.currentQuiz?.parsed;
+    if (!parsedQuiz) {
+      rejectAdmin('advance-phase', 'missing_quiz');
+      return;
     }
-    
-    currentPhase = nextPhase;
-    currentQuestionIdx = nextQuestionIdx;
-    io.emit('advance-phase', { nextPhase, nextQuestionIdx });
+    if (!Number.isInteger(nextQuestionIdx) || nextQuestionIdx < 0 || nextQuestionIdx >= parsedQuiz.questions.length) {
+      rejectAdmin('advance-phase', 'invalid_question_idx');
+      return;
+    }
+    // 1 shows the question, 2 takes answers, 3 reveals and grades them
+    if (![1, 2, 3].includes(nextPhase)) {
+      rejectAdmin('advance-phase', 'invalid_phase');
+      return;
+    }
+
+    advancePhase(room, nextPhase, nextQuestionIdx);
   });
 
   // --- Admin sync request: send current quiz and phase to admin clients ---
-  socket.on('admin-sync-request', () => {
-    if (currentQuiz && currentQuiz.content) {
-      socket.emit('quiz-md-loaded', { content: currentQuiz.content });
-      socket.emit('advance-phase', { nextPhase: currentPhase, nextQuestionIdx: currentQuestionIdx });
+  onRoomAdmin('admin-sync-request', (room) => {
+    if (room.currentQuiz && room.currentQuiz.content) {
+      socket.emit('quiz-md-loaded', { content: room.currentQuiz.content });
+      socket.emit('advance-phase', { nextPhase: room.currentPhase, nextQuestionIdx: room.currentQuestionIdx });
     }
-    socket.emit('waiting-screen-config', getWaitingConfigPayload());
+    socket.emit('waiting-screen-config', getWaitingConfigPayload(room));
   });
 
   // --- Admin adjust student square ---
-  socket.on('admin-adjust-square', ({ id, square }) => {
+  onRoomAdmin('admin-adjust-square', (room, { id, square }) => {
     if (!rateLimit(socket.id, 'admin-adjust-square')) return;
-    if (!id || typeof square !== 'number' || square < 0) return;
+    if (!id || !Number.isInteger(square) || square < 0 || square >= room.board.squares) return;
 
-    const student = students.get(id);
+    const student = room.students.get(id);
     if (!student) return;
-    
+
     // Update the student's position
+    const fromSquare = student.square;
     student.square = square;
-    
-    // Broadcast the update to all clients
-    const update = { 
-      id, 
+
+    // Broadcast the update to all clients in the room
+    const update = {
+      id,
       square,
       name: student.name,
       isAdminAdjustment: true // Flag to indicate this was an admin adjustment
     };
-    
-    io.emit('student-move-update', update);
-    broadcastStudentList();
+
+    io.to(room.code).emit('student-move-update', update);
+    broadcastStudentList(room);
+
+    settleAdminMoves(room, [{ id, student, fromSquare }], 'admin_adjust');
+    // Save the correction now rather than on the next checkpoint interval
+    checkpointer.flush();
   });
 
-  socket.on('admin-set-waiting-config', ({ leftName, leftColor, rightName, rightColor, showBreakout } = {}) => {
+  onRoomAdmin('admin-set-waiting-config', (room, { leftName, leftColor, rightName, rightColor, showBreakout }) => {
     if (!rateLimit(socket.id, 'admin-set-waiting-config', 10)) return;
 
     let changed = false;
 
     if (typeof leftName === 'string') {
       const sanitizedLeft = sanitizeName(leftName);
-      if (sanitizedLeft && sanitizedLeft !== waitingLeftName) {
-        waitingLeftName = sanitizedLeft;
+      if (sanitizedLeft && sanitizedLeft !== room.waitingLeftName) {
+        room.waitingLeftName = sanitizedLeft;
         changed = true;
       }
     }
 
     if (typeof rightName === 'string') {
       const sanitizedRight = sanitizeName(rightName);
-      if (sanitizedRight && sanitizedRight !== waitingRightName) {
-        waitingRightName = sanitizedRight;
+      if (sanitizedRight && sanitizedRight !== room.waitingRightName) {
+        room.waitingRightName = sanitizedRight;
         changed = true;
       }
     }
@@ -1096,9 +3064,9 @@ io.on('connection', (socket) => {
       const trimmedLeftColor = leftColor.trim();
       const normalizedLeft = trimmedLeftColor === ''
         ? DEFAULT_WAITING_LEFT_COLOR
-        : normalizeHexColor(trimmedLeftColor, waitingLeftColor);
-      if (normalizedLeft !== waitingLeftColor) {
-        waitingLeftColor = normalizedLeft;
+        : normalizeHexColor(trimmedLeftColor, room.waitingLeftColor);
+      if (normalizedLeft !== room.waitingLeftColor) {
+        room.waitingLeftColor = normalizedLeft;
         changed = true;
       }
     }
@@ -1107,93 +3075,279 @@ io.on('connection', (socket) => {
       const trimmedRightColor = rightColor.trim();
       const normalizedRight = trimmedRightColor === ''
         ? DEFAULT_WAITING_RIGHT_COLOR
-        : normalizeHexColor(trimmedRightColor, waitingRightColor);
-      if (normalizedRight !== waitingRightColor) {
-        waitingRightColor = normalizedRight;
+        : normalizeHexColor(trimmedRightColor, room.waitingRightColor);
+      if (normalizedRight !== room.waitingRightColor) {
+        room.waitingRightColor = normalizedRight;
         changed = true;
       }
     }
 
     if (typeof showBreakout === 'boolean') {
       const normalizedShowBreakout = Boolean(showBreakout);
-      if (normalizedShowBreakout !== waitingShowBreakout) {
-        waitingShowBreakout = normalizedShowBreakout;
+      if (normalizedShowBreakout !== room.waitingShowBreakout) {
+        room.waitingShowBreakout = normalizedShowBreakout;
         changed = true;
       }
     }
 
     if (changed) {
-      broadcastWaitingConfig();
+      broadcastWaitingConfig(room);
+      // Teams are named and colored after the waiting screen sides
+      if (room.teamMode) broadcastTeamState(room);
+    }
+  });
+
+  // --- Admin board layout (overrides the quiz's front matter for this session) ---
+  onRoomAdmin('admin-set-board', (room, config) => {
+    if (!rateLimit(socket.id, 'admin-set-board')) return;
+    const board = normalizeBoardConfig(config);
+    if (!board) {
+      rejectAdmin('admin-set-board', 'invalid_board');
+      return;
+    }
+
+    room.board = board;
+    console.log(`[BOARD] Room ${room.code} board set: ${board.squares} squares, ${board.end}, ${board.specials.length} specials`);
+
+    // Keep everyone on the (possibly shorter) board
+    const lastSquare = getFinishSquare(board);
+    const clamped = [];
+    for (const [id, student] of room.students) {
+      if (student.square > lastSquare) {
+        clamped.push({ id, student, fromSquare: student.square });
+        student.square = lastSquare;
+      }
+    }
+    const quizmasterClamped = room.quizmasterSquare > lastSquare;
+    if (quizmasterClamped) room.quizmasterSquare = lastSquare;
+
+    broadcastBoardConfig(room);
+    broadcastStudentList(room);
+    broadcastQuizmasterState(room);
+
+    if (room.currentGameSession) {
+      gameDatabase.logEvent(room.currentGameSession.id, 'board_config', {
+        ...board,
+        reason: 'admin_set_board',
+        question_idx: room.currentQuestionIdx,
+        phase: room.currentPhase,
+        timestamp: new Date().toISOString()
+      }).catch(err => {
+        console.log('[REPLAY] Error logging board config:', err.message);
+      });
+    }
+    if (quizmasterClamped) {
+      logQuizmasterEvent(room, 'quizmaster_state', { reason: 'admin_set_board', square: room.quizmasterSquare });
+    }
+    settleAdminMoves(room, clamped, 'admin_set_board');
+  });
+
+  socket.on('get-board-config', () => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+    broadcastBoardConfig(room, socket);
+  });
+
+  // Teacher: whether students may change their answer while the question is open
+  onRoomAdmin('admin-set-answer-policy', (room, { policy } = {}) => {
+    if (!rateLimit(socket.id, 'admin-set-answer-policy')) return;
+    if (!isValidAnswerPolicy(policy)) {
+      rejectAdmin('admin-set-answer-policy', 'invalid_policy');
+      return;
+    }
+    room.answerPolicy = policy;
+    console.log(`[ANSWER] Room ${room.code} answer policy set to: ${policy}`);
+    io.to(room.code).emit('answer-policy', { policy: room.answerPolicy });
+  });
+
+  // --- Team mode ---
+  onRoomAdmin('admin-set-team-mode', (room, { enabled, assignment } = {}) => {
+    if (!rateLimit(socket.id, 'admin-set-team-mode')) return;
+    if (enabled !== undefined && typeof enabled !== 'boolean') return;
+    if (assignment !== undefined && assignment !== TEAM_ASSIGNMENT_AUTO && assignment !== TEAM_ASSIGNMENT_SELF) {
+      rejectAdmin('admin-set-team-mode', 'invalid_assignment');
+      return;
+    }
+
+    room.teamMode = enabled ?? room.teamMode;
+    room.teamAssignment = assignment ?? room.teamAssignment;
+    console.log(`[TEAMS] Room ${room.code} team mode ${room.teamMode ? 'on' : 'off'} (${room.teamAssignment})`);
+
+    if (room.teamMode && room.teamAssignment === TEAM_ASSIGNMENT_AUTO) {
+      const unassigned = Array.from(room.students.entries()).filter(([, s]) => !normalizeTeam(s.team)).map(([id]) => id);
+      assignUnassigned(room.students.values());
+      for (const id of unassigned) logTeamAssignment(room, id, 'auto_balance');
+    }
+
+    broadcastStudentList(room);
+    broadcastTeamState(room);
+  });
+
+  // Teacher: move a student to a team (or null to unassign)
+  onRoomAdmin('admin-assign-team', (room, { id, team } = {}) => {
+    if (!rateLimit(socket.id, 'admin-assign-team', 30)) return;
+    const student = room.students.get(id);
+    if (!student) return;
+    if (team !== null && !normalizeTeam(team)) {
+      rejectAdmin('admin-assign-team', 'invalid_team');
+      return;
+    }
+
+    student.team = team;
+    logTeamAssignment(room, id, 'admin_assign');
+    broadcastStudentList(room);
+    broadcastTeamState(room);
+  });
+
+  // Student: pick a side when the teacher lets students choose (not once the race is on)
+  socket.on('student-pick-team', ({ team } = {}) => {
+    if (!rateLimit(socket.id, 'student-pick-team')) return;
+    const room = getSocketRoom(socket);
+    if (!room) return;
+    const studentId = room.socketToStudent.get(socket.id);
+    const student = room.students.get(studentId);
+    if (!student) return;
+
+    let reason = null;
+    if (!room.teamMode || room.teamAssignment !== TEAM_ASSIGNMENT_SELF) reason = 'team_pick_disabled';
+    else if (room.sessionActive) reason = 'session_active';
+    else if (!normalizeTeam(team)) reason = 'invalid_team';
+    if (reason) {
+      socket.emit('team-error', { reason });
+      return;
     }
+
+    student.team = team;
+    logTeamAssignment(room, studentId, 'student_pick');
+    broadcastStudentList(room);
+  });
+
+  socket.on('get-team-state', () => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+    broadcastTeamState(room, socket);
   });
 
   // --- Admin quizmaster controls ---
-  socket.on('admin-toggle-quizmaster', ({ enabled }) => {
+  onRoomAdmin('admin-toggle-quizmaster', (room, { enabled }) => {
     if (!rateLimit(socket.id, 'admin-toggle-quizmaster')) return;
     if (typeof enabled !== 'boolean') return;
-    
-    quizmasterEnabled = enabled;
-    console.log('[QUIZMASTER] Enabled:', enabled);
-    broadcastQuizmasterState();
 
-    logQuizmasterEvent('quizmaster_state', {
+    room.quizmasterEnabled = enabled;
+    console.log(`[QUIZMASTER] Room ${room.code} enabled:`, enabled);
+    broadcastQuizmasterState(room);
+
+    logQuizmasterEvent(room, 'quizmaster_state', {
       reason: 'admin_toggle',
-      enabled: quizmasterEnabled,
-      square: quizmasterSquare
+      enabled: room.quizmasterEnabled,
+      square: room.quizmasterSquare
     });
   });
 
-  socket.on('admin-set-quizmaster-name', ({ name }) => {
+  onRoomAdmin('admin-set-quizmaster-name', (room, { name }) => {
     if (!rateLimit(socket.id, 'admin-set-quizmaster-name')) return;
     if (typeof name !== 'string' || name.length === 0 || name.length > 50) return;
-    
+
     const cleanName = sanitizeName(name);
     if (!cleanName) return;
-    
-    quizmasterName = cleanName;
-    console.log('[QUIZMASTER] Name set to:', cleanName);
-    broadcastQuizmasterState();
 
-    logQuizmasterEvent('quizmaster_state', {
+    room.quizmasterName = cleanName;
+    console.log(`[QUIZMASTER] Room ${room.code} name set to:`, cleanName);
+    broadcastQuizmasterState(room);
+
+    logQuizmasterEvent(room, 'quizmaster_state', {
       reason: 'admin_name',
-      name: quizmasterName
+      name: room.quizmasterName
+    });
+  });
+
+  onRoomAdmin('admin-set-quizmaster-strategy', (room, { strategy, difficulty }) => {
+    if (!rateLimit(socket.id, 'admin-set-quizmaster-strategy')) return;
+    if (strategy !== undefined && !isValidStrategy(strategy)) {
+      rejectAdmin('admin-set-quizmaster-strategy', 'invalid_strategy');
+      return;
+    }
+    if (difficulty !== undefined && !isValidDifficulty(difficulty)) {
+      rejectAdmin('admin-set-quizmaster-strategy', 'invalid_difficulty');
+      return;
+    }
+
+    room.quizmasterStrategy = strategy ?? room.quizmasterStrategy;
+    room.quizmasterDifficulty = difficulty ?? room.quizmasterDifficulty;
+    console.log(`[QUIZMASTER] Room ${room.code} strategy set to: ${room.quizmasterStrategy} (${room.quizmasterDifficulty})`);
+    broadcastQuizmasterState(room);
+
+    logQuizmasterEvent(room, 'quizmaster_state', {
+      reason: 'admin_strategy'
     });
   });
 
-  socket.on('admin-adjust-quizmaster-square', ({ square }) => {
+  onRoomAdmin('admin-adjust-quizmaster-square', (room, { square }) => {
     if (!rateLimit(socket.id, 'admin-adjust-quizmaster-square')) return;
-    if (typeof square !== 'number' || square < 0 || square > 96) return;
-    
-    quizmasterSquare = square;
-    console.log('[QUIZMASTER] Square adjusted to:', square);
-    broadcastQuizmasterState();
+    if (!Number.isInteger(square) || square < 0 || square >= room.board.squares) return;
 
-    logQuizmasterEvent('quizmaster_state', {
+    room.quizmasterSquare = square;
+    console.log(`[QUIZMASTER] Room ${room.code} square adjusted to:`, square);
+    broadcastQuizmasterState(room);
+
+    logQuizmasterEvent(room, 'quizmaster_state', {
       reason: 'admin_adjust_square',
-      square: quizmasterSquare
+      square: room.quizmasterSquare
     });
   });
 
   // Send current quizmaster state to new connections
   socket.on('get-quizmaster-state', () => {
-    socket.emit('quizmaster-state', {
-      enabled: quizmasterEnabled,
-      name: quizmasterName,
-      square: quizmasterSquare
-    });
+    const room = getSocketRoom(socket);
+    if (!room) return;
+    socket.emit('quizmaster-state', getQuizmasterPayload(room));
   });
+}
+
+// Forward events for rooms hosted on other instances (only when clustered)
+const roomRouter = clusterEnabled
+  ? createRoomRouter({ io, rooms, normalizeRoomCode, registerSocketHandlers, adoptRoom })
+  : null;
+
+io.on('connection', (socket) => {
+  console.log('A user connected:', socket.id, `(role: ${socket.data.role})`);
+  socket.emit('auth-state', { role: socket.data.role });
+  roomRouter?.attach(socket);
+  registerSocketHandlers(socket);
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, async () => {
   console.log(`Server listening on port ${PORT}`);
   
-  // Initialize database tables (safe if no database connection)
+  // Apply pending schema migrations (safe if no database connection)
   try {
-    await createTables();
+    await migrateDatabase();
   } catch (error) {
-    console.log('[DATABASE] Table creation skipped (no database connection)');
+    console.log('[DATABASE] Schema migration skipped (no database connection)');
+  }
+
+  await restoreLiveRooms();
+  checkpointer.start();
+  retentionSweeper.start();
+
+  // A lone instance owns every room outright; only a cluster needs ownership heartbeats
+  if (clusterEnabled) {
+    setInterval(() => {
+      refreshRoomOwnership().catch(err => {
+        console.log('[CLUSTER] Ownership heartbeat failed:', err.message);
+      });
+    }, ROOM_OWNER_HEARTBEAT_MS).unref();
   }
 });
 
-module.exports = { server, io, students, disconnectTimers };
+// Save the latest state before the platform stops us (Render sends SIGTERM on deploys/restarts)
+process.on('SIGTERM', async () => {
+  console.log('[SHUTDOWN] SIGTERM received, checkpointing live rooms and writing queued events');
+  checkpointer.stop();
+  await checkpointer.flush();
+  await gameDatabase.flushEvents();
+  process.exit(0);
+});
+
+module.exports = { server, io, rooms };
@@ -0,0 +1,155 @@
+// Live game state stores: checkpoint rooms somewhere that outlives the process
+//
+// A store implements:
+//   create(code, snapshot, nodeId)    -> Promise<true | false (code taken) | null (store error)>
+//   save(code, snapshot, nodeId)      -> Promise<boolean>
+//   claim(code, nodeId, staleMs)      -> Promise<snapshot | null>   (adopt one orphaned room)
+//   claimAll(nodeId, staleMs)         -> Promise<Array<snapshot>>   (adopt every orphaned room)
+//   heartbeat(nodeId)                 -> Promise<Array<code> | null> (codes still owned, null if unknown)
+//   remove(code)                      -> Promise<boolean>
+
+// Keeps checkpoints in process memory; only useful for tests and single-instance development
+function createMemoryStateStore() {
+  const snapshots = new Map();
+  const copy = snapshot => JSON.parse(JSON.stringify(snapshot));
+  return {
+    name: 'memory',
+    shared: false,
+    async create(code, snapshot) {
+      if (snapshots.has(code)) return false;
+      snapshots.set(code, copy(snapshot));
+      return true;
+    },
+    async save(code, snapshot) {
+      snapshots.set(code, copy(snapshot));
+      return true;
+    },
+    async claim(code) {
+      return snapshots.has(code) ? copy(snapshots.get(code)) : null;
+    },
+    async claimAll() {
+      return Array.from(snapshots.values()).map(copy);
+    },
+    async heartbeat() {
+      return null;
+    },
+    async remove(code) {
+      return snapshots.delete(code);
+    },
+  };
+}
+
+// Keeps checkpoints in the live_rooms table via database.js; shared by every instance
+function createPostgresStateStore(db) {
+  return {
+    name: 'postgres',
+    shared: true,
+    create(code, snapshot, nodeId) {
+      return db.createLiveRoom(code, snapshot, nodeId);
+    },
+    save(code, snapshot, nodeId) {
+      return db.saveLiveRoom(code, snapshot, nodeId);
+    },
+    async claim(code, nodeId, staleMs) {
+      const rows = await db.claimLiveRooms(nodeId, staleMs, code);
+      return rows[0]?.state || null;
+    },
+    async claimAll(nodeId, staleMs) {
+      const rows = await db.claimLiveRooms(nodeId, staleMs);
+      return rows.map(row => row.state);
+    },
+    heartbeat(nodeId) {
+      return db.touchLiveRooms(nodeId);
+    },
+    remove(code) {
+      return db.deleteLiveRoom(code);
+    },
+  };
+}
+
+// LIVE_STATE_STORE=memory|postgres; defaults to postgres whenever a database is configured
+function createStateStore(db) {
+  const requested = (process.env.LIVE_STATE_STORE || '').toLowerCase();
+  if (requested === 'memory') return createMemoryStateStore();
+  if (requested === 'postgres' || process.env.DATABASE_URL) return createPostgresStateStore(db);
+  return createMemoryStateStore();
+}
+
+// Periodically saves every room whose snapshot changed since the last save
+function createCheckpointer({ store, nodeId = null, getRooms, serialize, intervalMs = 2000 }) {
+  const lastSaved = new Map(); // code => JSON string of last saved snapshot
+  let timer = null;
+
+  async function saveChanged() {
+    for (const room of getRooms()) {
+      const snapshot = serialize(room);
+      const json = JSON.stringify(snapshot);
+      if (lastSaved.get(room.code) === json) continue;
+
+      const saved = await store.save(room.code, snapshot, nodeId);
+      if (saved) {
+        lastSaved.set(room.code, json);
+      }
+    }
+  }
+
+  // Flushes never overlap: a flush requested mid-save runs once the current save finishes
+  let running = null;
+  let queued = null;
+
+  function run() {
+    running = saveChanged()
+      .catch(err => {
+        console.log('[LIVE STATE] Checkpoint failed:', err.message);
+      })
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function flush() {
+    if (!running) return run();
+    if (!queued) {
+      queued = running.then(() => {
+        queued = null;
+        return run();
+      });
+    }
+    return queued;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(flush, intervalMs);
+      timer.unref?.();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    flush,
+    // Mark a snapshot as already persisted (e.g. just restored from the store)
+    remember(code, snapshot) {
+      lastSaved.set(code, JSON.stringify(snapshot));
+    },
+    // Stop tracking a room without touching the store (another node took it over)
+    release(code) {
+      lastSaved.delete(code);
+    },
+    async forget(code) {
+      // Let an in-flight save finish first so it can't resurrect the removed checkpoint
+      if (running) await running;
+      lastSaved.delete(code);
+      await store.remove(code);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStateStore,
+  createPostgresStateStore,
+  createStateStore,
+  createCheckpointer,
+};
@@ -0,0 +1,79 @@
+const { createMemoryStateStore, createPostgresStateStore, createCheckpointer } = require('./liveStateStore');
+
+describe('live state store', () => {
+  test('memory store keeps copies of snapshots and refuses duplicate codes', async () => {
+    const store = createMemoryStateStore();
+    const snapshot = { code: 'ABCDE', students: [{ id: 's1', square: 3 }] };
+    expect(await store.create('ABCDE', snapshot, 'node-a')).toBe(true);
+    expect(await store.create('ABCDE', snapshot, 'node-a')).toBe(false);
+    snapshot.students[0].square = 99;
+
+    expect(await store.claimAll('node-a', 0)).toEqual([{ code: 'ABCDE', students: [{ id: 's1', square: 3 }] }]);
+    expect(await store.claim('ABCDE', 'node-a', 0)).toEqual({ code: 'ABCDE', students: [{ id: 's1', square: 3 }] });
+    expect(await store.claim('ZZZZZ', 'node-a', 0)).toBeNull();
+
+    await store.remove('ABCDE');
+    expect(await store.claimAll('node-a', 0)).toEqual([]);
+  });
+
+  test('postgres store delegates to the database helpers with the node id', async () => {
+    const db = {
+      createLiveRoom: jest.fn().mockResolvedValue(true),
+      saveLiveRoom: jest.fn().mockResolvedValue(true),
+      claimLiveRooms: jest.fn().mockResolvedValue([{ code: 'ABCDE', state: { code: 'ABCDE' } }]),
+      touchLiveRooms: jest.fn().mockResolvedValue(['ABCDE']),
+      deleteLiveRoom: jest.fn().mockResolvedValue(true),
+    };
+    const store = createPostgresStateStore(db);
+    await store.create('ABCDE', { code: 'ABCDE' }, 'node-a');
+    expect(db.createLiveRoom).toHaveBeenCalledWith('ABCDE', { code: 'ABCDE' }, 'node-a');
+    await store.save('ABCDE', { code: 'ABCDE' }, 'node-a');
+    expect(db.saveLiveRoom).toHaveBeenCalledWith('ABCDE', { code: 'ABCDE' }, 'node-a');
+    expect(await store.claim('ABCDE', 'node-a', 30000)).toEqual({ code: 'ABCDE' });
+    expect(db.claimLiveRooms).toHaveBeenLastCalledWith('node-a', 30000, 'ABCDE');
+    expect(await store.claimAll('node-a', 0)).toEqual([{ code: 'ABCDE' }]);
+    expect(await store.heartbeat('node-a')).toEqual(['ABCDE']);
+    await store.remove('ABCDE');
+    expect(db.deleteLiveRoom).toHaveBeenCalledWith('ABCDE');
+  });
+
+  test('checkpointer only saves rooms whose snapshot changed', async () => {
+    const store = createMemoryStateStore();
+    const save = jest.spyOn(store, 'save');
+    const room = { code: 'ABCDE', square: 0 };
+    const checkpointer = createCheckpointer({
+      store,
+      getRooms: () => [room],
+      serialize: r => ({ code: r.code, square: r.square }),
+    });
+
+    await checkpointer.flush();
+    await checkpointer.flush();
+    expect(save).toHaveBeenCalledTimes(1);
+
+    room.square = 5;
+    await checkpointer.flush();
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(await store.claimAll()).toEqual([{ code: 'ABCDE', square: 5 }]);
+
+    await checkpointer.forget('ABCDE');
+    expect(await store.claimAll()).toEqual([]);
+  });
+
+  test('checkpointer retries a failed save on the next flush', async () => {
+    const store = createMemoryStateStore();
+    store.save = jest.fn()
+      .mockResolvedValueOnce(false)
+      .mockResolvedValueOnce(true);
+    const checkpointer = createCheckpointer({
+      store,
+      getRooms: () => [{ code: 'ABCDE' }],
+      serialize: r => ({ code: r.code }),
+    });
+
+    await checkpointer.flush();
+    await checkpointer.flush();
+    await checkpointer.flush();
+    expect(store.save).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,162 @@
+// Versioned schema migrations
+//
+// Each file in migrations/ is named NNN_description.js and exports up(client). Pending migrations run in
+// version order, each inside its own transaction, and are recorded in schema_migrations. A Postgres
+// advisory lock keeps instances booting side by side from applying the same migration twice.
+//
+// Runs on server startup (see migrateDatabase in database.js), or by hand:
+//   npm run migrate          apply pending migrations
+//   npm run migrate:status   list applied and pending migrations
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_RE = /^(\d+)_([a-z0-9_]+)\.js$/;
+// Key for pg_advisory_lock; any constant works as long as every instance uses the same one
+const MIGRATION_LOCK_ID = 7261501;
+
+// Migrations in a directory, sorted by version: [{ version, name, up }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE_RE.exec(file);
+    if (!match) continue;
+    const { up } = require(path.join(dir, file));
+    if (typeof up !== 'function') throw new Error(`Migration ${file} must export an up(client) function`);
+    migrations.push({ version: Number(match[1]), name: match[2], up });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version} in ${dir}`);
+    }
+  });
+  return migrations;
+}
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Apply every pending migration; throws if one fails (that migration is rolled back, earlier ones stay)
+// Returns { applied: [versions run now], version: schema version afterwards }
+async function runMigrations(pool, { migrations = loadMigrations(), log = console.log } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      const done = new Set((await appliedMigrations(client)).map(row => row.version));
+      const known = new Set(migrations.map(migration => migration.version));
+      const unknown = Array.from(done).filter(version => !known.has(version));
+      if (unknown.length > 0) {
+        log(`[DATABASE] Schema has migrations this build doesn't know about: ${unknown.join(', ')}`);
+      }
+
+      const applied = [];
+      for (const migration of migrations) {
+        if (done.has(migration.version)) continue;
+
+        await client.query('BEGIN');
+        try {
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migrationLabel(migration)} failed: ${error.message}`, { cause: error });
+        }
+
+        log(`[DATABASE] Applied migration ${migrationLabel(migration)}`);
+        applied.push(migration.version);
+        done.add(migration.version);
+      }
+
+      return { applied, version: done.size > 0 ? Math.max(...done) : 0 };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Every known migration with when it was applied (null while pending)
+async function migrationStatus(pool, { migrations = loadMigrations() } = {}) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const appliedAt = new Map((await appliedMigrations(client)).map(row => [row.version, row.applied_at]));
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: appliedAt.get(migration.version) ?? null,
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+async function main(command) {
+  require('dotenv').config();
+  const { initDatabase } = require('./database');
+  const pool = initDatabase();
+  if (!pool) {
+    console.error('[DATABASE] DATABASE_URL is required to run migrations');
+    return 1;
+  }
+
+  try {
+    if (command === 'status') {
+      for (const migration of await migrationStatus(pool)) {
+        const state = migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+        console.log(`${migrationLabel(migration)}  ${state}`);
+      }
+    } else if (command === 'up') {
+      const { applied, version } = await runMigrations(pool);
+      console.log(`[DATABASE] ${applied.length} migration(s) applied, schema at version ${version}`);
+    } else {
+      console.error(`Unknown command "${command}" (expected "up" or "status")`);
+      return 1;
+    }
+    return 0;
+  } catch (error) {
+    console.error('[DATABASE] Migration error:', error.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  runMigrations,
+  migrationStatus,
+};
+
+// Exports are in place before database.js (required by main) loads this module back
+if (require.main === module) {
+  main(process.argv[2] || 'up').then(code => {
+    process.exitCode = code;
+  });
+}
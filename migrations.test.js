@@ -0,0 +1,153 @@
+const { Pool } = require('pg');
+const { loadMigrations, runMigrations, migrationStatus } = require('./migrations');
+
+// Just enough of a pg pool for the runner: schema_migrations lives in memory and a failed
+// transaction's bookkeeping is thrown away on ROLLBACK
+function fakePool() {
+  const db = { applied: [], statements: [] };
+  let pending = null;
+
+  const client = {
+    async query(sql, params = []) {
+      const text = sql.trim();
+      if (text === 'BEGIN') {
+        pending = [];
+      } else if (text === 'COMMIT') {
+        db.applied.push(...pending);
+        pending = null;
+      } else if (text === 'ROLLBACK') {
+        pending = null;
+      } else if (text.startsWith('SELECT version, name, applied_at FROM schema_migrations')) {
+        return { rows: db.applied.map(row => ({ ...row })) };
+      } else if (text.startsWith('INSERT INTO schema_migrations')) {
+        pending.push({ version: params[0], name: params[1], applied_at: new Date('2024-01-05T09:00:00Z') });
+      } else if (!/pg_advisory_(un)?lock|schema_migrations/.test(text)) {
+        db.statements.push(text);
+      }
+      return { rows: [] };
+    },
+    release: jest.fn(),
+  };
+
+  return { db, client, pool: { connect: async () => client } };
+}
+
+const silent = () => {};
+
+describe('migrations', () => {
+  test('migration files are numbered without gaps and export up()', () => {
+    const migrations = loadMigrations();
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((migration, i) => {
+      expect(migration.version).toBe(i + 1);
+      expect(migration.name).toMatch(/^[a-z0-9_]+$/);
+      expect(typeof migration.up).toBe('function');
+    });
+  });
+
+  test('an empty database is migrated to head, then left alone', async () => {
+    const { db, pool, client } = fakePool();
+    const migrations = loadMigrations();
+    const head = migrations[migrations.length - 1].version;
+
+    expect(await runMigrations(pool, { log: silent })).toEqual({
+      applied: migrations.map(migration => migration.version),
+      version: head,
+    });
+    expect(db.applied.map(row => row.version)).toEqual(migrations.map(migration => migration.version));
+    for (const table of ['games', 'game_events', 'final_positions', 'team_results', 'replay_attempts', 'live_rooms']) {
+      expect(db.statements.some(sql => sql.includes(`CREATE TABLE IF NOT EXISTS ${table} (`))).toBe(true);
+    }
+    expect(client.release).toHaveBeenCalledTimes(1);
+
+    const statementCount = db.statements.length;
+    expect(await runMigrations(pool, { log: silent })).toEqual({ applied: [], version: head });
+    expect(db.statements.length).toBe(statementCount);
+  });
+
+  test('only pending migrations run, in version order', async () => {
+    const { db, pool } = fakePool();
+    const ran = [];
+    const migration = (version, name) => ({ version, name, up: async () => ran.push(version) });
+
+    await runMigrations(pool, { migrations: [migration(1, 'one')], log: silent });
+    const result = await runMigrations(pool, { migrations: [migration(1, 'one'), migration(2, 'two'), migration(3, 'three')], log: silent });
+
+    expect(result).toEqual({ applied: [2, 3], version: 3 });
+    expect(ran).toEqual([1, 2, 3]);
+    expect(db.applied.map(row => row.name)).toEqual(['one', 'two', 'three']);
+  });
+
+  test('a failing migration is rolled back and stops the run', async () => {
+    const { db, pool, client } = fakePool();
+    const migrations = [
+      { version: 1, name: 'one', up: async () => {} },
+      { version: 2, name: 'broken', up: async () => { throw new Error('syntax error'); } },
+      { version: 3, name: 'three', up: jest.fn() },
+    ];
+
+    await expect(runMigrations(pool, { migrations, log: silent })).rejects.toThrow('Migration 002_broken failed: syntax error');
+    expect(db.applied.map(row => row.version)).toEqual([1]);
+    expect(migrations[2].up).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('status lists applied and pending migrations', async () => {
+    const { pool } = fakePool();
+    const migrations = [
+      { version: 1, name: 'one', up: async () => {} },
+      { version: 2, name: 'two', up: async () => {} },
+    ];
+    await runMigrations(pool, { migrations: migrations.slice(0, 1), log: silent });
+
+    expect(await migrationStatus(pool, { migrations })).toEqual([
+      { version: 1, name: 'one', applied_at: new Date('2024-01-05T09:00:00Z') },
+      { version: 2, name: 'two', applied_at: null },
+    ]);
+  });
+});
+
+// Against a real server: TEST_DATABASE_URL=postgres://... npx jest migrations
+// Runs in a throwaway schema so it never touches existing tables
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('migrations against Postgres', () => {
+  const schema = `migrations_test_${process.pid}`;
+  let admin;
+  let pool;
+
+  beforeAll(async () => {
+    admin = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    await admin.query(`CREATE SCHEMA ${schema}`);
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL, options: `-c search_path=${schema}` });
+  });
+
+  afterAll(async () => {
+    await pool.end();
+    await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+    await admin.end();
+  });
+
+  test('an empty schema is migrated to head', async () => {
+    const migrations = loadMigrations();
+    const { applied } = await runMigrations(pool, { log: silent });
+    expect(applied).toEqual(migrations.map(migration => migration.version));
+
+    const tables = await pool.query(
+      'SELECT table_name FROM information_schema.tables WHERE table_schema = $1 ORDER BY table_name',
+      [schema]
+    );
+    expect(tables.rows.map(row => row.table_name)).toEqual([
+      'final_positions',
+      'game_events',
+      'games',
+      'live_rooms',
+      'replay_attempts',
+      'schema_migrations',
+      'socket_io_attachments',
+      'team_results',
+    ]);
+
+    expect((await runMigrations(pool, { log: silent })).applied).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+// Games, their event log and the final board, as first shipped
+//
+// Written with IF NOT EXISTS so databases created before migrations existed adopt it unchanged
+module.exports = {
+  async up(client) {
+    // Games table - stores quiz sessions
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS games (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_slug VARCHAR(255) UNIQUE NOT NULL,
+        quiz_filename VARCHAR(255),
+        quiz_content TEXT,
+        teacher_email VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        status VARCHAR(50) DEFAULT 'active'
+      )
+    `);
+
+    // Game events table - chronological log of everything that happens
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS game_events (
+        id SERIAL PRIMARY KEY,
+        game_id UUID REFERENCES games(id) ON DELETE CASCADE,
+        event_type VARCHAR(100) NOT NULL,
+        event_data JSONB,
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Final positions table - end state of players
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS final_positions (
+        id SERIAL PRIMARY KEY,
+        game_id UUID REFERENCES games(id) ON DELETE CASCADE,
+        student_id VARCHAR(255) NOT NULL,
+        student_name VARCHAR(255),
+        final_square INTEGER DEFAULT 0,
+        total_correct INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_game_events_game_id ON game_events(game_id);
+      CREATE INDEX IF NOT EXISTS idx_game_events_timestamp ON game_events(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_final_positions_game_id ON final_positions(game_id);
+      CREATE INDEX IF NOT EXISTS idx_games_session_slug ON games(session_slug);
+    `);
+  },
+};
@@ -0,0 +1,12 @@
+// Live rooms table - checkpoints of in-progress games so a restart can resume them
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS live_rooms (
+        code VARCHAR(16) PRIMARY KEY,
+        state JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+};
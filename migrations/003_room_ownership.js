@@ -0,0 +1,18 @@
+// Multi-instance deployments: which node owns each live room, and the socket.io Postgres adapter's table
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE live_rooms ADD COLUMN IF NOT EXISTS owner_node VARCHAR(255);
+      ALTER TABLE live_rooms ADD COLUMN IF NOT EXISTS owner_heartbeat TIMESTAMP;
+    `);
+
+    // Holds broadcast payloads too large for NOTIFY
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS socket_io_attachments (
+        id BIGSERIAL UNIQUE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        payload BYTEA
+      )
+    `);
+  },
+};
@@ -0,0 +1,28 @@
+// Team mode: which side each player raced for, and each team's end state
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE final_positions ADD COLUMN IF NOT EXISTS team VARCHAR(16);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS team_results (
+        id SERIAL PRIMARY KEY,
+        game_id UUID REFERENCES games(id) ON DELETE CASCADE,
+        team VARCHAR(16) NOT NULL,
+        team_name VARCHAR(255),
+        team_color VARCHAR(16),
+        member_count INTEGER DEFAULT 0,
+        total_square INTEGER DEFAULT 0,
+        average_square REAL DEFAULT 0,
+        total_correct INTEGER DEFAULT 0,
+        is_winner BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_team_results_game_id ON team_results(game_id);
+    `);
+  },
+};
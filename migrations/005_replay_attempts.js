@@ -0,0 +1,25 @@
+// Replay attempts table - makeup runs of a recorded session by students who missed it
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS replay_attempts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        game_id UUID REFERENCES games(id) ON DELETE CASCADE,
+        student_id VARCHAR(255) NOT NULL,
+        student_name VARCHAR(255),
+        status VARCHAR(50) DEFAULT 'in_progress',
+        progress JSONB NOT NULL,
+        final_square INTEGER DEFAULT 0,
+        total_correct INTEGER DEFAULT 0,
+        version INTEGER DEFAULT 0,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_replay_attempts_game_id ON replay_attempts(game_id);
+    `);
+  },
+};
@@ -0,0 +1,8 @@
+// Starred sessions are exempt from the retention policy (see retention.js)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS starred BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+  },
+};
@@ -0,0 +1,8 @@
+// Soft delete: a trashed session keeps its data until the retention sweeper purges it
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    `);
+  },
+};
@@ -0,0 +1,8 @@
+// Per-teacher replay lists filter on the owning teacher's email
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_games_teacher_email ON games (lower(teacher_email));
+    `);
+  },
+};
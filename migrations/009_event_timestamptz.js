@@ -0,0 +1,11 @@
+// Event times as absolute instants: batched and imported events carry ISO (UTC) timestamps, which a plain
+// TIMESTAMP column keeps as wall-clock time, shifted or not depending on how the value was cast.
+// Rows written so far hold wall-clock time in the connection's time zone, so they are read in it.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE game_events
+        ALTER COLUMN timestamp TYPE TIMESTAMPTZ USING timestamp AT TIME ZONE current_setting('TimeZone');
+    `);
+  },
+};
@@ -0,0 +1,59 @@
+// Server-side movement rules: the server rolls the die and decides who has earned a move
+const crypto = require('crypto');
+
+const DIE_SIDES = 6;
+
+function rollDie(randomInt = crypto.randomInt) {
+  return randomInt(1, DIE_SIDES + 1);
+}
+
+// A student earns one move per question by answering it correctly; the question has to be
+// graded (closed) first. Returns { allowed, reason } or { allowed, justification } for the log.
+// A pending skip-a-turn comes back as { allowed: false, reason: 'skip_turn', forfeit: true }.
+function checkMoveEligibility(room, studentId) {
+  if (room.raceFinished) {
+    return { allowed: false, reason: 'race_finished' };
+  }
+
+  const questionIdx = room.currentQuestionIdx;
+  if (room.movesTaken.get(studentId) === questionIdx) {
+    return { allowed: false, reason: 'already_moved' };
+  }
+
+  const results = room.questionResults.get(questionIdx);
+  if (!results) {
+    return { allowed: false, reason: 'question_not_graded' };
+  }
+
+  const result = results.get(studentId);
+  if (!result?.correct) {
+    return { allowed: false, reason: 'answer_not_correct' };
+  }
+
+  if (room.skipTurns.has(studentId)) {
+    return { allowed: false, reason: 'skip_turn', forfeit: true };
+  }
+
+  return {
+    allowed: true,
+    justification: { reason: 'correct_answer', question_idx: questionIdx, answer: result.answer },
+  };
+}
+
+function recordMove(room, studentId) {
+  room.movesTaken.set(studentId, room.currentQuestionIdx);
+}
+
+// Use up an earned move on a pending skip-a-turn
+function forfeitMove(room, studentId) {
+  recordMove(room, studentId);
+  room.skipTurns.delete(studentId);
+}
+
+module.exports = {
+  DIE_SIDES,
+  rollDie,
+  checkMoveEligibility,
+  recordMove,
+  forfeitMove,
+};
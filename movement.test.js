@@ -0,0 +1,61 @@
+const { rollDie, checkMoveEligibility, recordMove, forfeitMove } = require('./movement');
+const { createRoomState } = require('./rooms');
+
+describe('movement', () => {
+  test('rollDie returns 1-6 from the server random source', () => {
+    const randomInt = jest.fn(() => 4);
+    expect(rollDie(randomInt)).toBe(4);
+    expect(randomInt).toHaveBeenCalledWith(1, 7);
+    for (let i = 0; i < 50; i++) {
+      const roll = rollDie();
+      expect(roll).toBeGreaterThanOrEqual(1);
+      expect(roll).toBeLessThanOrEqual(6);
+    }
+  });
+
+  test('a move is earned by a correct answer on the graded question', () => {
+    const room = createRoomState('ABCDE');
+    room.currentQuestionIdx = 1;
+    expect(checkMoveEligibility(room, 's1')).toEqual({ allowed: false, reason: 'question_not_graded' });
+
+    room.questionResults.set(1, new Map([
+      ['s1', { answer: 2, correct: true }],
+      ['s2', { answer: 0, correct: false }],
+    ]));
+    expect(checkMoveEligibility(room, 's1')).toEqual({
+      allowed: true,
+      justification: { reason: 'correct_answer', question_idx: 1, answer: 2 },
+    });
+    expect(checkMoveEligibility(room, 's2')).toEqual({ allowed: false, reason: 'answer_not_correct' });
+    expect(checkMoveEligibility(room, 's3')).toEqual({ allowed: false, reason: 'answer_not_correct' });
+  });
+
+  test('only one move per question', () => {
+    const room = createRoomState('ABCDE');
+    room.questionResults.set(0, new Map([['s1', { answer: 1, correct: true }]]));
+    recordMove(room, 's1');
+    expect(checkMoveEligibility(room, 's1')).toEqual({ allowed: false, reason: 'already_moved' });
+
+    room.currentQuestionIdx = 1;
+    room.questionResults.set(1, new Map([['s1', { answer: 0, correct: true }]]));
+    expect(checkMoveEligibility(room, 's1').allowed).toBe(true);
+  });
+
+  test('a pending skip square forfeits the next earned move', () => {
+    const room = createRoomState('ABCDE');
+    room.questionResults.set(0, new Map([['s1', { answer: 1, correct: true }]]));
+    room.skipTurns.add('s1');
+    expect(checkMoveEligibility(room, 's1')).toEqual({ allowed: false, reason: 'skip_turn', forfeit: true });
+
+    forfeitMove(room, 's1');
+    expect(room.skipTurns.has('s1')).toBe(false);
+    expect(checkMoveEligibility(room, 's1')).toEqual({ allowed: false, reason: 'already_moved' });
+  });
+
+  test('nobody moves once the race is finished', () => {
+    const room = createRoomState('ABCDE');
+    room.questionResults.set(0, new Map([['s1', { answer: 1, correct: true }]]));
+    room.raceFinished = { winner: { type: 'student', id: 's2', name: 'Bo' } };
+    expect(checkMoveEligibility(room, 's1')).toEqual({ allowed: false, reason: 'race_finished' });
+  });
+});
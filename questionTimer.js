@@ -0,0 +1,64 @@
+// Per-question answer countdown settings
+//
+// A timer config is { seconds, autoAdvance }; seconds = 0 turns the countdown off.
+// Quizzes can set it in front matter:
+//   timer_seconds: 30
+//   timer_auto_advance: yes       (reveal the answer as soon as time is up)
+
+const MAX_TIMER_SECONDS = 600;
+
+function createDefaultTimer() {
+  return { seconds: 0, autoAdvance: false };
+}
+
+// Validated copy of a timer config, or null when it is invalid
+function normalizeTimerConfig(input) {
+  if (!input || typeof input !== 'object') return null;
+  const seconds = input.seconds ?? 0;
+  const autoAdvance = input.autoAdvance ?? false;
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_TIMER_SECONDS) return null;
+  if (typeof autoAdvance !== 'boolean') return null;
+  return { seconds, autoAdvance };
+}
+
+const TRUE_WORDS = ['yes', 'true', 'on', '1'];
+const FALSE_WORDS = ['no', 'false', 'off', '0'];
+
+// Timer settings from quiz front matter; returns { timer } or { error } with a readable message
+function timerFromQuizMetadata(metadata = {}) {
+  if (metadata.timer_seconds === undefined && metadata.timer_auto_advance === undefined) {
+    return { timer: createDefaultTimer() };
+  }
+
+  const input = {};
+  if (metadata.timer_seconds !== undefined) {
+    input.seconds = /^\d+$/.test(metadata.timer_seconds) ? Number(metadata.timer_seconds) : NaN;
+  }
+  if (metadata.timer_auto_advance !== undefined) {
+    const word = metadata.timer_auto_advance.toLowerCase();
+    if (TRUE_WORDS.includes(word)) input.autoAdvance = true;
+    else if (FALSE_WORDS.includes(word)) input.autoAdvance = false;
+    else input.autoAdvance = word;
+  }
+
+  const timer = normalizeTimerConfig(input);
+  if (!timer) {
+    return {
+      error: `Invalid timer settings: timer_seconds must be 0-${MAX_TIMER_SECONDS} and timer_auto_advance must be yes or no`,
+    };
+  }
+  return { timer };
+}
+
+// Whole seconds left before the deadline (never negative)
+function getRemainingSeconds(deadline, now = Date.now()) {
+  return Math.max(0, Math.ceil((deadline - now) / 1000));
+}
+
+module.exports = {
+  MAX_TIMER_SECONDS,
+  createDefaultTimer,
+  normalizeTimerConfig,
+  timerFromQuizMetadata,
+  getRemainingSeconds,
+};
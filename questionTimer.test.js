@@ -0,0 +1,39 @@
+const {
+  MAX_TIMER_SECONDS,
+  createDefaultTimer,
+  normalizeTimerConfig,
+  timerFromQuizMetadata,
+  getRemainingSeconds,
+} = require('./questionTimer');
+
+describe('questionTimer', () => {
+  test('the countdown is off by default', () => {
+    expect(createDefaultTimer()).toEqual({ seconds: 0, autoAdvance: false });
+    expect(timerFromQuizMetadata({ title: 'Fractions' })).toEqual({ timer: createDefaultTimer() });
+  });
+
+  test('normalizeTimerConfig validates seconds and auto-advance', () => {
+    expect(normalizeTimerConfig({ seconds: 30, autoAdvance: true })).toEqual({ seconds: 30, autoAdvance: true });
+    expect(normalizeTimerConfig({ seconds: 20 })).toEqual({ seconds: 20, autoAdvance: false });
+    expect(normalizeTimerConfig({ seconds: -1 })).toBeNull();
+    expect(normalizeTimerConfig({ seconds: 2.5 })).toBeNull();
+    expect(normalizeTimerConfig({ seconds: MAX_TIMER_SECONDS + 1 })).toBeNull();
+    expect(normalizeTimerConfig({ seconds: 10, autoAdvance: 'yes' })).toBeNull();
+    expect(normalizeTimerConfig(null)).toBeNull();
+  });
+
+  test('timerFromQuizMetadata reads front matter', () => {
+    expect(timerFromQuizMetadata({ timer_seconds: '45', timer_auto_advance: 'Yes' })).toEqual({
+      timer: { seconds: 45, autoAdvance: true },
+    });
+    expect(timerFromQuizMetadata({ timer_seconds: '15' })).toEqual({ timer: { seconds: 15, autoAdvance: false } });
+    expect(timerFromQuizMetadata({ timer_seconds: 'soon' }).error).toMatch(/Invalid timer settings/);
+    expect(timerFromQuizMetadata({ timer_seconds: '10', timer_auto_advance: 'maybe' }).error).toMatch(/Invalid timer settings/);
+  });
+
+  test('getRemainingSeconds rounds up and never goes negative', () => {
+    expect(getRemainingSeconds(10500, 0)).toBe(11);
+    expect(getRemainingSeconds(10000, 0)).toBe(10);
+    expect(getRemainingSeconds(1000, 5000)).toBe(0);
+  });
+});
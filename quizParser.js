@@ -0,0 +1,318 @@
+// Quiz markdown parser: turns the teacher's quiz file into questions with an answer key
+//
+// Supported format:
+//
+//   ---
+//   title: Fractions Review       (optional front matter, simple "key: value" lines)
+//   ---
+//
+//   ## What is 1/2 + 1/4?          (each heading starts a question)
+//   Any extra lines are part of the prompt.
+//   - [ ] 1/6
+//   - [x] 3/4                      (checked boxes mark correct choices)
+//
+//   ## Which are prime?
+//   A) 2
+//   B) 4
+//   C) 5
+//   Answer: A, C                   (or name the correct choices with an Answer line)
+//
+// A "Type:" line switches a question to another type:
+//   Type: multi                    (students select every correct choice; all of them, nothing else)
+//   Type: true-false               (choices default to True/False; "Answer: true")
+//   Type: numeric                  (no choices; "Answer: 3.5 +- 0.1" or an Answer plus "Tolerance: 0.1")
+
+class QuizParseError extends Error {
+  constructor(message, { line = null, questionIdx = null } = {}) {
+    super(message);
+    this.name = 'QuizParseError';
+    this.line = line;
+    this.questionIdx = questionIdx;
+  }
+}
+
+const HEADING_RE = /^#{1,6}\s+(.*)$/;
+const CHECKBOX_RE = /^[-*+]\s+\[( |x|X)\]\s+(.*)$/;
+const LETTERED_RE = /^([A-Za-z])[).]\s+(.*)$/;
+const BULLET_RE = /^[-*+]\s+(.*)$/;
+const ANSWER_RE = /^answers?\s*:\s*(.*)$/i;
+const TYPE_RE = /^type\s*:\s*(.*)$/i;
+const TOLERANCE_RE = /^tolerance\s*:\s*(.*)$/i;
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const PLUS_MINUS_RE = /^(.*?)\s*(?:±|\+-|\+\/-)\s*(.*)$/;
+
+const QUESTION_TYPE_CHOICE = 'choice';
+const QUESTION_TYPE_MULTI = 'multi';
+const QUESTION_TYPE_TRUE_FALSE = 'true-false';
+const QUESTION_TYPE_NUMERIC = 'numeric';
+const QUESTION_TYPES = [QUESTION_TYPE_CHOICE, QUESTION_TYPE_MULTI, QUESTION_TYPE_TRUE_FALSE, QUESTION_TYPE_NUMERIC];
+
+// Letters name choices in Answer lines, so that is as many as a question can have
+const MAX_CHOICES = 26;
+
+// Accepted spellings for each type
+const TYPE_ALIASES = {
+  choice: QUESTION_TYPE_CHOICE,
+  single: QUESTION_TYPE_CHOICE,
+  multi: QUESTION_TYPE_MULTI,
+  'multi-select': QUESTION_TYPE_MULTI,
+  multiple: QUESTION_TYPE_MULTI,
+  'true-false': QUESTION_TYPE_TRUE_FALSE,
+  truefalse: QUESTION_TYPE_TRUE_FALSE,
+  'true/false': QUESTION_TYPE_TRUE_FALSE,
+  numeric: QUESTION_TYPE_NUMERIC,
+  number: QUESTION_TYPE_NUMERIC,
+};
+const FRONT_MATTER_LINE_RE = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/;
+
+function parseFrontMatter(lines) {
+  const metadata = {};
+  if (lines[0]?.trim() !== '---') return { metadata, bodyStart: 0 };
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '---') return { metadata, bodyStart: i + 1 };
+    if (!line) continue;
+    const match = line.match(FRONT_MATTER_LINE_RE);
+    if (!match) {
+      throw new QuizParseError(`Invalid front matter line: "${line}"`, { line: i + 1 });
+    }
+    metadata[match[1].toLowerCase()] = match[2].trim();
+  }
+  throw new QuizParseError('Front matter is missing its closing "---"', { line: 1 });
+}
+
+// "B", "a, c", "2" (1-based) => zero-based indices
+function parseAnswerList(value, choiceCount, lineNumber, questionIdx) {
+  const tokens = value.split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new QuizParseError('Answer line does not name any choices', { line: lineNumber, questionIdx });
+  }
+
+  return tokens.map(token => {
+    let idx;
+    if (/^[A-Za-z]$/.test(token)) {
+      idx = token.toUpperCase().charCodeAt(0) - 65;
+    } else if (/^\d+$/.test(token)) {
+      idx = parseInt(token, 10) - 1;
+    } else {
+      throw new QuizParseError(`Unrecognized answer "${token}"`, { line: lineNumber, questionIdx });
+    }
+    if (idx < 0 || idx >= choiceCount) {
+      throw new QuizParseError(`Answer "${token}" does not match any choice`, { line: lineNumber, questionIdx });
+    }
+    return idx;
+  });
+}
+
+function parseNumber(value, lineNumber, questionIdx) {
+  const trimmed = value.trim();
+  if (!NUMBER_RE.test(trimmed)) {
+    throw new QuizParseError(`"${trimmed}" is not a number`, { line: lineNumber, questionIdx });
+  }
+  return Number(trimmed);
+}
+
+function finishNumericQuestion(question) {
+  const questionIdx = question.index;
+  if (question.choices.length > 0) {
+    throw new QuizParseError(`Question ${questionIdx + 1} is numeric and can't have choices`, { line: question.line, questionIdx });
+  }
+  if (!question.answerLine) {
+    throw new QuizParseError(`Question ${questionIdx + 1} has no correct answer`, { line: question.line, questionIdx });
+  }
+
+  const { value: answerText, line: answerLine } = question.answerLine;
+  const plusMinus = answerText.match(PLUS_MINUS_RE);
+  const value = parseNumber(plusMinus ? plusMinus[1] : answerText, answerLine, questionIdx);
+  let tolerance = 0;
+  if (plusMinus && question.toleranceLine) {
+    throw new QuizParseError(`Question ${questionIdx + 1} gives its tolerance twice`, { line: question.toleranceLine.line, questionIdx });
+  }
+  if (plusMinus) tolerance = parseNumber(plusMinus[2], answerLine, questionIdx);
+  if (question.toleranceLine) tolerance = parseNumber(question.toleranceLine.value, question.toleranceLine.line, questionIdx);
+  if (tolerance < 0) {
+    throw new QuizParseError('Tolerance can\'t be negative', { line: question.toleranceLine?.line ?? answerLine, questionIdx });
+  }
+
+  return {
+    index: questionIdx,
+    type: QUESTION_TYPE_NUMERIC,
+    prompt: question.prompt,
+    choices: [],
+    correctIdxs: [],
+    numericAnswer: { value, tolerance },
+  };
+}
+
+function finishQuestion(question) {
+  const questionIdx = question.index;
+  if (!question.prompt) {
+    throw new QuizParseError('Question has no prompt', { line: question.line, questionIdx });
+  }
+  if (question.toleranceLine && question.type !== QUESTION_TYPE_NUMERIC) {
+    throw new QuizParseError('Only numeric questions take a Tolerance line', { line: question.toleranceLine.line, questionIdx });
+  }
+  if (question.type === QUESTION_TYPE_NUMERIC) {
+    return finishNumericQuestion(question);
+  }
+
+  if (question.type === QUESTION_TYPE_TRUE_FALSE) {
+    if (question.choices.length === 0) {
+      question.choices = [{ text: 'True', correct: false }, { text: 'False', correct: false }];
+    }
+    if (question.choices.length !== 2) {
+      throw new QuizParseError(`Question ${questionIdx + 1} is true/false and needs exactly two choices`, { line: question.line, questionIdx });
+    }
+    // "Answer: true" / "Answer: false" name the first or second choice
+    const word = question.answerLine?.value.trim().toLowerCase();
+    if (['true', 't', 'yes'].includes(word)) question.answerLine.value = 'A';
+    if (['false', 'f', 'no'].includes(word)) question.answerLine.value = 'B';
+  }
+
+  if (question.choices.length > MAX_CHOICES) {
+    throw new QuizParseError(`Question ${questionIdx + 1} has more than ${MAX_CHOICES} choices`, { line: question.line, questionIdx });
+  }
+  if (question.choices.length < 2) {
+    throw new QuizParseError(`Question ${questionIdx + 1} needs at least two choices`, { line: question.line, questionIdx });
+  }
+
+  if (question.answerLine) {
+    if (question.choices.some(choice => choice.correct)) {
+      throw new QuizParseError(`Question ${questionIdx + 1} marks answers with both checkboxes and an Answer line`, { line: question.answerLine.line, questionIdx });
+    }
+    const idxs = parseAnswerList(question.answerLine.value, question.choices.length, question.answerLine.line, questionIdx);
+    for (const idx of idxs) {
+      question.choices[idx].correct = true;
+    }
+  }
+
+  const correctIdxs = question.choices
+    .map((choice, idx) => (choice.correct ? idx : null))
+    .filter(idx => idx !== null);
+  if (correctIdxs.length === 0) {
+    throw new QuizParseError(`Question ${questionIdx + 1} has no correct answer`, { line: question.line, questionIdx });
+  }
+  if (question.type === QUESTION_TYPE_TRUE_FALSE && correctIdxs.length !== 1) {
+    throw new QuizParseError(`Question ${questionIdx + 1} is true/false and needs exactly one correct answer`, { line: question.line, questionIdx });
+  }
+
+  return {
+    index: questionIdx,
+    type: question.type,
+    prompt: question.prompt,
+    choices: question.choices.map(choice => ({ text: choice.text, correct: choice.correct })),
+    correctIdxs,
+  };
+}
+
+function parseQuizMarkdown(content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new QuizParseError('Quiz file is empty');
+  }
+
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const { metadata, bodyStart } = parseFrontMatter(lines);
+
+  const questions = [];
+  let current = null;
+
+  for (let i = bodyStart; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      if (current) questions.push(finishQuestion(current));
+      current = {
+        index: questions.length,
+        line: lineNumber,
+        type: QUESTION_TYPE_CHOICE,
+        prompt: heading[1].trim(),
+        choices: [],
+        answerLine: null,
+        toleranceLine: null,
+      };
+      continue;
+    }
+
+    if (!current) {
+      throw new QuizParseError('Content found before the first question heading', { line: lineNumber });
+    }
+
+    const answer = line.match(ANSWER_RE);
+    if (answer) {
+      current.answerLine = { value: answer[1], line: lineNumber };
+      continue;
+    }
+
+    const type = line.match(TYPE_RE);
+    if (type) {
+      const typeName = TYPE_ALIASES[type[1].trim().toLowerCase()];
+      if (!typeName) {
+        throw new QuizParseError(`Unknown question type "${type[1].trim()}"`, { line: lineNumber, questionIdx: current.index });
+      }
+      current.type = typeName;
+      continue;
+    }
+
+    const tolerance = line.match(TOLERANCE_RE);
+    if (tolerance) {
+      current.toleranceLine = { value: tolerance[1], line: lineNumber };
+      continue;
+    }
+
+    const checkbox = line.match(CHECKBOX_RE);
+    const lettered = !checkbox && line.match(LETTERED_RE);
+    const bullet = !checkbox && !lettered && line.match(BULLET_RE);
+    if (checkbox || lettered || bullet) {
+      const text = (checkbox ? checkbox[2] : lettered ? lettered[2] : bullet[1]).trim();
+      if (!text) {
+        throw new QuizParseError('Choice text is empty', { line: lineNumber, questionIdx: current.index });
+      }
+      current.choices.push({ text, correct: Boolean(checkbox && checkbox[1].toLowerCase() === 'x') });
+      continue;
+    }
+
+    if (current.choices.length > 0) {
+      throw new QuizParseError(`Unexpected text after the choices: "${line}"`, { line: lineNumber, questionIdx: current.index });
+    }
+    current.prompt = current.prompt ? `${current.prompt}\n${line}` : line;
+  }
+
+  if (current) questions.push(finishQuestion(current));
+  if (questions.length === 0) {
+    throw new QuizParseError('Quiz has no questions');
+  }
+
+  return { metadata, questions };
+}
+
+// Parse without throwing; used where a stored quiz might predate the parser
+function tryParseQuizMarkdown(content) {
+  try {
+    return { quiz: parseQuizMarkdown(content), error: null };
+  } catch (error) {
+    if (error instanceof QuizParseError) return { quiz: null, error };
+    throw error;
+  }
+}
+
+function getCorrectIdxs(quiz, questionIdx) {
+  const question = quiz?.questions?.[questionIdx];
+  return question ? question.correctIdxs : null;
+}
+
+module.exports = {
+  QUESTION_TYPE_CHOICE,
+  QUESTION_TYPE_MULTI,
+  QUESTION_TYPE_TRUE_FALSE,
+  QUESTION_TYPE_NUMERIC,
+  QUESTION_TYPES,
+  MAX_CHOICES,
+  QuizParseError,
+  parseQuizMarkdown,
+  tryParseQuizMarkdown,
+  getCorrectIdxs,
+};
@@ -0,0 +1,117 @@
+const { QuizParseError, parseQuizMarkdown, tryParseQuizMarkdown, getCorrectIdxs } = require('./quizParser');
+
+const sampleQuiz = `---
+title: Fractions Review
+grade: 5
+---
+
+## What is 1/2 + 1/4?
+- [ ] 1/6
+- [x] 3/4
+- [ ] 2/6
+- [ ] 1/8
+
+## Which numbers are prime?
+Pick every prime.
+A) 2
+B) 4
+C) 5
+Answer: A, C
+`;
+
+describe('quiz markdown parser', () => {
+  test('parses metadata, prompts, choices and the answer key', () => {
+    const quiz = parseQuizMarkdown(sampleQuiz);
+    expect(quiz.metadata).toEqual({ title: 'Fractions Review', grade: '5' });
+    expect(quiz.questions).toHaveLength(2);
+
+    expect(quiz.questions[0]).toEqual({
+      index: 0,
+      type: 'choice',
+      prompt: 'What is 1/2 + 1/4?',
+      choices: [
+        { text: '1/6', correct: false },
+        { text: '3/4', correct: true },
+        { text: '2/6', correct: false },
+        { text: '1/8', correct: false },
+      ],
+      correctIdxs: [1],
+    });
+
+    expect(quiz.questions[1].prompt).toBe('Which numbers are prime?\nPick every prime.');
+    expect(quiz.questions[1].correctIdxs).toEqual([0, 2]);
+    expect(getCorrectIdxs(quiz, 1)).toEqual([0, 2]);
+    expect(getCorrectIdxs(quiz, 5)).toBeNull();
+  });
+
+  test('works without front matter and with numeric answers', () => {
+    const quiz = parseQuizMarkdown('# Pick two\n- yes\n- no\nAnswer: 1\n');
+    expect(quiz.metadata).toEqual({});
+    expect(quiz.questions[0].correctIdxs).toEqual([0]);
+  });
+
+  test.each([
+    ['', 'Quiz file is empty'],
+    ['Just some text', 'Content found before the first question heading'],
+    ['## Q\n- [ ] a\n- [ ] b', 'Question 1 has no correct answer'],
+    ['## Q\n- [x] only one', 'Question 1 needs at least two choices'],
+    ['## Q\n- a\n- b\nAnswer: D', 'Answer "D" does not match any choice'],
+    ['---\ntitle: x\n', 'Front matter is missing its closing "---"'],
+    ['---\ntitle: x\n## Q', 'Invalid front matter line: "## Q"'],
+    ['## Q\nType: essay\n- [x] a\n- [ ] b', 'Unknown question type "essay"'],
+    ['## Q\nType: numeric\n- [x] a\n- [ ] b\nAnswer: 1', 'Question 1 is numeric and can\'t have choices'],
+    ['## Q\nType: numeric\nAnswer: about 3', '"about 3" is not a number'],
+    ['## Q\nType: numeric\nAnswer: 3 +- 1\nTolerance: 2', 'Question 1 gives its tolerance twice'],
+    ['## Q\n- [x] a\n- [ ] b\nTolerance: 1', 'Only numeric questions take a Tolerance line'],
+    ['## Q\nType: true-false\n- [x] a\n- [ ] b\n- [ ] c', 'Question 1 is true/false and needs exactly two choices'],
+  ])('rejects malformed quiz %#', (content, message) => {
+    expect(() => parseQuizMarkdown(content)).toThrow(message);
+  });
+
+  test('errors carry the offending line and question', () => {
+    const { quiz, error } = tryParseQuizMarkdown('## Q1\n- [x] a\n- [ ] b\n\n## Q2\n- a\n- b\nAnswer: Z');
+    expect(quiz).toBeNull();
+    expect(error).toBeInstanceOf(QuizParseError);
+    expect(error.line).toBe(8);
+    expect(error.questionIdx).toBe(1);
+  });
+
+  test('supports more than four lettered choices', () => {
+    const quiz = parseQuizMarkdown('## Pick F\nA) a\nB) b\nC) c\nD) d\nE) e\nF) f\nAnswer: F');
+    expect(quiz.questions[0].choices).toHaveLength(6);
+    expect(quiz.questions[0].correctIdxs).toEqual([5]);
+  });
+
+  test('parses multi-select, true/false and numeric questions', () => {
+    const quiz = parseQuizMarkdown([
+      '## Which are even?',
+      'Type: multi',
+      '- [x] 2',
+      '- [ ] 3',
+      '- [x] 4',
+      '## The sun is a star.',
+      'Type: true/false',
+      'Answer: true',
+      '## What is 22/7 to two places?',
+      'Type: numeric',
+      'Answer: 3.14 +- 0.005',
+      '## How many sides on a hexagon?',
+      'Type: number',
+      'Answer: 6',
+    ].join('\n'));
+
+    expect(quiz.questions.map(q => q.type)).toEqual(['multi', 'true-false', 'numeric', 'numeric']);
+    expect(quiz.questions[0].correctIdxs).toEqual([0, 2]);
+    expect(quiz.questions[1].choices).toEqual([{ text: 'True', correct: true }, { text: 'False', correct: false }]);
+    expect(quiz.questions[1].correctIdxs).toEqual([0]);
+    expect(quiz.questions[2]).toEqual({
+      index: 2,
+      type: 'numeric',
+      prompt: 'What is 22/7 to two places?',
+      choices: [],
+      correctIdxs: [],
+      numericAnswer: { value: 3.14, tolerance: 0.005 },
+    });
+    expect(quiz.questions[3].numericAnswer).toEqual({ value: 6, tolerance: 0 });
+  });
+});
@@ -0,0 +1,88 @@
+// Quizmaster opponent strategies: how far the quizmaster moves when a question closes
+//
+// Every strategy is a pure function of the round context, so a replay that knows the strategy,
+// difficulty and the logged inputs can reproduce each move exactly.
+//   ratio:       moves up to 6 squares in proportion to the share of wrong answers (the original rule)
+//   fixed:       moves a steady 3 squares every question
+//   rubber_band: keeps pace with the median student, speeding up when behind and easing off when ahead
+
+const DEFAULT_QUIZMASTER_STRATEGY = 'ratio';
+const DEFAULT_QUIZMASTER_DIFFICULTY = 'normal';
+
+// Scales every strategy's move
+const QUIZMASTER_DIFFICULTIES = {
+  easy: 0.5,
+  normal: 1,
+  hard: 1.5,
+};
+
+const MAX_QUIZMASTER_MOVE = 12;
+const FIXED_PACE = 3;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Each strategy returns { base, details }; details are recorded with the move
+const QUIZMASTER_STRATEGIES = {
+  ratio({ results }) {
+    if (results.length === 0) {
+      return { base: 0, details: { wrong_ratio: null, wrong_answers: 0, total_answers: 0 } };
+    }
+    const wrongAnswers = results.filter(result => !result.correct).length;
+    const wrongRatio = wrongAnswers / results.length;
+    return {
+      base: wrongRatio * 6,
+      details: { wrong_ratio: wrongRatio, wrong_answers: wrongAnswers, total_answers: results.length },
+    };
+  },
+
+  fixed() {
+    return { base: FIXED_PACE, details: { pace: FIXED_PACE } };
+  },
+
+  rubber_band({ studentSquares, quizmasterSquare }) {
+    const target = median(studentSquares);
+    if (target === null) return { base: 0, details: { median_square: null, gap: 0 } };
+    const gap = target - quizmasterSquare;
+    return {
+      base: FIXED_PACE + gap / 2,
+      details: { median_square: target, gap },
+    };
+  },
+};
+
+function isValidStrategy(strategy) {
+  return Object.prototype.hasOwnProperty.call(QUIZMASTER_STRATEGIES, strategy);
+}
+
+function isValidDifficulty(difficulty) {
+  return Object.prototype.hasOwnProperty.call(QUIZMASTER_DIFFICULTIES, difficulty);
+}
+
+// context: { results: Array<{ answer, correct }> (graded answers), studentSquares: Array<number>, quizmasterSquare }
+// Returns { move, strategy, difficulty, details }
+function computeQuizmasterMove(strategy, difficulty, context) {
+  const strategyName = isValidStrategy(strategy) ? strategy : DEFAULT_QUIZMASTER_STRATEGY;
+  const difficultyName = isValidDifficulty(difficulty) ? difficulty : DEFAULT_QUIZMASTER_DIFFICULTY;
+
+  const { base, details } = QUIZMASTER_STRATEGIES[strategyName](context);
+  const scaled = Math.round(base * QUIZMASTER_DIFFICULTIES[difficultyName]);
+  const move = Math.min(MAX_QUIZMASTER_MOVE, Math.max(0, scaled));
+
+  return { move, strategy: strategyName, difficulty: difficultyName, details };
+}
+
+module.exports = {
+  DEFAULT_QUIZMASTER_STRATEGY,
+  DEFAULT_QUIZMASTER_DIFFICULTY,
+  QUIZMASTER_DIFFICULTIES,
+  QUIZMASTER_STRATEGIES,
+  MAX_QUIZMASTER_MOVE,
+  isValidStrategy,
+  isValidDifficulty,
+  computeQuizmasterMove,
+};
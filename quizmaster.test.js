@@ -0,0 +1,64 @@
+const {
+  DEFAULT_QUIZMASTER_STRATEGY,
+  DEFAULT_QUIZMASTER_DIFFICULTY,
+  MAX_QUIZMASTER_MOVE,
+  isValidStrategy,
+  isValidDifficulty,
+  computeQuizmasterMove,
+} = require('./quizmaster');
+
+const context = overrides => ({
+  results: [],
+  studentSquares: [],
+  quizmasterSquare: 0,
+  ...overrides,
+});
+
+// Graded answers to a question whose correct choice is 0
+const graded = answers => answers.map(answer => ({ answer, correct: answer === 0 }));
+
+describe('quizmaster strategies', () => {
+  test('ratio keeps the original wrong-answer rule', () => {
+    const result = computeQuizmasterMove('ratio', 'normal', context({ results: graded([0, 1, 2, 0]) }));
+    expect(result).toEqual({
+      move: 3,
+      strategy: 'ratio',
+      difficulty: 'normal',
+      details: { wrong_ratio: 0.5, wrong_answers: 2, total_answers: 4 },
+    });
+    expect(computeQuizmasterMove('ratio', 'normal', context()).move).toBe(0);
+  });
+
+  test('fixed moves the same amount every question', () => {
+    expect(computeQuizmasterMove('fixed', 'normal', context()).move).toBe(3);
+    expect(computeQuizmasterMove('fixed', 'hard', context({ results: graded([0, 0]) })).move).toBe(5);
+  });
+
+  test('rubber_band chases the median student and eases off when ahead', () => {
+    const behind = computeQuizmasterMove('rubber_band', 'normal', context({ studentSquares: [4, 20, 10], quizmasterSquare: 2 }));
+    expect(behind.move).toBe(7);
+    expect(behind.details).toEqual({ median_square: 10, gap: 8 });
+
+    const ahead = computeQuizmasterMove('rubber_band', 'normal', context({ studentSquares: [4, 6], quizmasterSquare: 15 }));
+    expect(ahead.move).toBe(0);
+
+    const farBehind = computeQuizmasterMove('rubber_band', 'hard', context({ studentSquares: [60], quizmasterSquare: 0 }));
+    expect(farBehind.move).toBe(MAX_QUIZMASTER_MOVE);
+  });
+
+  test('difficulty scales the move', () => {
+    const results = graded([1, 1, 1, 1]);
+    expect(computeQuizmasterMove('ratio', 'easy', context({ results })).move).toBe(3);
+    expect(computeQuizmasterMove('ratio', 'normal', context({ results })).move).toBe(6);
+    expect(computeQuizmasterMove('ratio', 'hard', context({ results })).move).toBe(9);
+  });
+
+  test('unknown settings fall back to the defaults', () => {
+    expect(isValidStrategy('teleport')).toBe(false);
+    expect(isValidStrategy('toString')).toBe(false);
+    expect(isValidDifficulty('hard')).toBe(true);
+    const result = computeQuizmasterMove('teleport', 'impossible', context({ results: graded([1]) }));
+    expect(result.strategy).toBe(DEFAULT_QUIZMASTER_STRATEGY);
+    expect(result.difficulty).toBe(DEFAULT_QUIZMASTER_DIFFICULTY);
+  });
+});
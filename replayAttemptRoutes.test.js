@@ -0,0 +1,76 @@
+const request = require('supertest');
+
+// One recorded session with one makeup attempt in progress
+jest.mock('./database', () => {
+  const session = {
+    id: 'game-1',
+    session_slug: 'fractions',
+    quiz_content: ['## One', '- [ ] a', '- [x] b', '', '## Two', '- [x] a', '- [ ] b'].join('\n'),
+  };
+  const attempt = {
+    id: '4f9d1c6e-0000-4000-8000-000000000001',
+    game_id: 'game-1',
+    student_id: 'student-ann',
+    student_name: 'Ann',
+    status: 'in_progress',
+    progress: { answers: {}, square: 0, totalCorrect: 0, skipPending: false, finished: false },
+    final_square: 0,
+    total_correct: 0,
+    version: 0,
+  };
+
+  return {
+    initDatabase: () => null,
+    getPool: () => null,
+    migrateDatabase: async () => false,
+    testConnection: async () => false,
+    gameDatabase: {
+      getGameSession: async slug => (slug === session.session_slug ? session : null),
+      getGameEvents: async () => [],
+      getReplayAttempts: async () => [attempt],
+      getReplayAttempt: async (gameId, attemptId) => (attemptId === attempt.id ? attempt : null),
+      saveReplayAttempt: jest.fn(async (attemptId, version, progress, status) => ({ ...attempt, version: version + 1, progress, status })),
+    },
+  };
+});
+
+describe('replay attempt routes', () => {
+  const saved = { ...process.env };
+  const attemptId = '4f9d1c6e-0000-4000-8000-000000000001';
+  let app;
+  let gameDatabase;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Object.assign(process.env, { PORT: '0', NODE_ENV: 'test' });
+    ({ server: app } = require('./index'));
+    ({ gameDatabase } = require('./database'));
+  });
+  afterAll(done => {
+    process.env = saved;
+    console.log.mockRestore();
+    require('./index').io.close(() => done());
+  });
+
+  test('the public list shows who made up the session but not their attempt or student ids', async () => {
+    const res = await request(app).get('/api/session/fractions/attempts');
+    expect(res.status).toBe(200);
+    expect(res.body.attempts).toEqual([expect.objectContaining({ student_name: 'Ann', status: 'in_progress' })]);
+    expect(res.body.attempts[0]).not.toHaveProperty('attempt_id');
+    expect(res.body.attempts[0]).not.toHaveProperty('student_id');
+  });
+
+  test('only the student who started an attempt can answer in it', async () => {
+    const answer = body => request(app).post(`/api/session/fractions/attempts/${attemptId}/answers`).send(body);
+
+    expect((await answer({ questionIdx: 0, answer: 1 })).status).toBe(400);
+    const other = await answer({ student_id: 'student-bob', questionIdx: 0, answer: 1 });
+    expect(other.status).toBe(403);
+    expect(gameDatabase.saveReplayAttempt).not.toHaveBeenCalled();
+
+    const own = await answer({ student_id: 'student-ann', questionIdx: 0, answer: 1 });
+    expect(own.status).toBe(200);
+    expect(own.body.result.correct).toBe(true);
+    expect(own.body.attempt).toMatchObject({ attempt_id: attemptId, student_id: 'student-ann', answered: 1 });
+  });
+});
@@ -0,0 +1,106 @@
+// Replay attempts: a student who missed the live game plays the recorded session on their own,
+// graded on the server with the same answer and movement rules as a live room
+//
+// Attempt progress is stored as JSON:
+//   { answers: { [questionIdx]: { answer, correct, roll, square, special, forfeited, answeredAt } },
+//     square, totalCorrect, skipPending, finished }
+// Questions can be answered in any order, but only once; a correct answer earns one roll.
+const { normalizeBoardConfig, boardFromQuizMetadata, createDefaultBoard, applyRoll } = require('./board');
+const { normalizeAnswer, isAnswerCorrect } = require('./grading');
+const { rollDie } = require('./movement');
+
+const ATTEMPT_STATUS_IN_PROGRESS = 'in_progress';
+const ATTEMPT_STATUS_COMPLETED = 'completed';
+
+function createAttemptProgress() {
+  return { answers: {}, square: 0, totalCorrect: 0, skipPending: false, finished: false };
+}
+
+// The board the live game started on: the session_start board_config event, then the quiz front matter
+function boardForSession(quiz, events = []) {
+  const logged = events.find(event => event.event_type === 'board_config');
+  const board = logged ? normalizeBoardConfig(logged.event_data) : null;
+  if (board) return board;
+  return boardFromQuizMetadata(quiz?.metadata).board || createDefaultBoard();
+}
+
+// An attempt is done once every question has an answer or the student reached the finish line
+function isAttemptComplete(quiz, progress) {
+  if (progress.finished) return true;
+  return quiz.questions.every((_, idx) => progress.answers[idx] !== undefined);
+}
+
+// Grade one answer and apply the move it earns
+// Returns { error } (attempt_complete, invalid_question, already_answered, invalid_answer)
+// or { progress, result } with a new progress object; the input progress is not modified
+function submitAttemptAnswer(quiz, board, progress, questionIdx, submitted, randomInt, now = Date.now()) {
+  if (isAttemptComplete(quiz, progress)) {
+    return { error: 'attempt_complete' };
+  }
+
+  const question = Number.isInteger(questionIdx) ? quiz.questions[questionIdx] : undefined;
+  if (!question) {
+    return { error: 'invalid_question' };
+  }
+  if (progress.answers[questionIdx] !== undefined) {
+    return { error: 'already_answered' };
+  }
+
+  const answer = normalizeAnswer(question, submitted);
+  if (answer === null) {
+    return { error: 'invalid_answer' };
+  }
+
+  const correct = isAnswerCorrect(question, answer);
+  const next = { ...progress, answers: { ...progress.answers } };
+  const result = {
+    questionIdx,
+    answer,
+    correct,
+    roll: null,
+    fromSquare: progress.square,
+    square: progress.square,
+    special: null,
+    forfeited: false,
+    finished: false,
+  };
+
+  if (correct) {
+    next.totalCorrect += 1;
+    if (next.skipPending) {
+      // Same as a live room: a skip square uses up the next earned move
+      next.skipPending = false;
+      result.forfeited = true;
+    } else {
+      const roll = rollDie(randomInt);
+      const landing = applyRoll(board, progress.square, roll);
+      next.square = landing.square;
+      next.finished = landing.finished;
+      if (landing.special?.type === 'skip') next.skipPending = true;
+      Object.assign(result, { roll, square: landing.square, special: landing.special, finished: landing.finished });
+    }
+  }
+
+  next.answers[questionIdx] = {
+    answer,
+    correct,
+    roll: result.roll,
+    square: result.square,
+    special: result.special,
+    forfeited: result.forfeited,
+    answeredAt: new Date(now).toISOString(),
+  };
+
+  result.totalCorrect = next.totalCorrect;
+  result.complete = isAttemptComplete(quiz, next);
+  return { progress: next, result };
+}
+
+module.exports = {
+  ATTEMPT_STATUS_IN_PROGRESS,
+  ATTEMPT_STATUS_COMPLETED,
+  createAttemptProgress,
+  boardForSession,
+  isAttemptComplete,
+  submitAttemptAnswer,
+};
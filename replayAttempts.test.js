@@ -0,0 +1,80 @@
+const {
+  createAttemptProgress,
+  boardForSession,
+  isAttemptComplete,
+  submitAttemptAnswer,
+} = require('./replayAttempts');
+const { parseQuizMarkdown } = require('./quizParser');
+
+const quiz = parseQuizMarkdown([
+  '---',
+  'board_squares: 20',
+  'board_end: finish',
+  '---',
+  '## One',
+  '- [ ] a',
+  '- [x] b',
+  '',
+  '## Two',
+  '- [x] a',
+  '- [ ] b',
+  '',
+  '## Three',
+  'Type: numeric',
+  'Answer: 10 +- 1',
+].join('\n'));
+
+const board = { squares: 20, end: 'finish', specials: [{ square: 4, type: 'skip' }] };
+const roll = value => () => value;
+
+describe('replay attempts', () => {
+  test('the board comes from the recorded session start, then the quiz', () => {
+    const logged = { squares: 30, end: 'wrap', specials: [] };
+    expect(boardForSession(quiz, [{ event_type: 'board_config', event_data: { ...logged, reason: 'session_start' } }]))
+      .toEqual(logged);
+    expect(boardForSession(quiz, [])).toEqual({ squares: 20, end: 'finish', specials: [] });
+    expect(boardForSession({ metadata: {}, questions: [] }).squares).toBe(96);
+  });
+
+  test('a correct answer earns a server roll; a wrong one does not move', () => {
+    const start = createAttemptProgress();
+    const first = submitAttemptAnswer(quiz, board, start, 0, 1, roll(3), 0);
+    expect(first.result).toMatchObject({ correct: true, roll: 3, fromSquare: 0, square: 3, totalCorrect: 1, complete: false });
+    expect(first.progress.answers[0]).toMatchObject({ answer: 1, correct: true, roll: 3, square: 3 });
+    expect(start.answers).toEqual({});
+
+    const second = submitAttemptAnswer(quiz, board, first.progress, 1, 1, roll(6));
+    expect(second.result).toMatchObject({ correct: false, roll: null, square: 3, totalCorrect: 1 });
+  });
+
+  test('each question is answered once and answers must fit the question', () => {
+    const { progress } = submitAttemptAnswer(quiz, board, createAttemptProgress(), 0, 0, roll(1));
+    expect(submitAttemptAnswer(quiz, board, progress, 0, 1, roll(1))).toEqual({ error: 'already_answered' });
+    expect(submitAttemptAnswer(quiz, board, progress, 7, 1, roll(1))).toEqual({ error: 'invalid_question' });
+    expect(submitAttemptAnswer(quiz, board, progress, '1', 1, roll(1))).toEqual({ error: 'invalid_question' });
+    expect(submitAttemptAnswer(quiz, board, progress, 2, 'ten', roll(1))).toEqual({ error: 'invalid_answer' });
+  });
+
+  test('a skip square forfeits the next earned move', () => {
+    const landed = submitAttemptAnswer(quiz, board, createAttemptProgress(), 0, 1, roll(4));
+    expect(landed.result.special).toMatchObject({ type: 'skip', square: 4 });
+    expect(landed.progress.skipPending).toBe(true);
+
+    const skipped = submitAttemptAnswer(quiz, board, landed.progress, 1, 0, roll(5));
+    expect(skipped.result).toMatchObject({ correct: true, forfeited: true, roll: null, square: 4 });
+    expect(skipped.progress.skipPending).toBe(false);
+  });
+
+  test('the attempt completes when every question is answered or the race is won', () => {
+    let progress = createAttemptProgress();
+    for (const [idx, answer] of [[0, 1], [1, 1], [2, 10.5]]) {
+      ({ progress } = submitAttemptAnswer(quiz, board, progress, idx, answer, roll(2)));
+    }
+    expect(isAttemptComplete(quiz, progress)).toBe(true);
+    expect(progress.totalCorrect).toBe(2);
+    expect(submitAttemptAnswer(quiz, board, progress, 0, 1, roll(2))).toEqual({ error: 'attempt_complete' });
+
+    const won = submitAttemptAnswer(quiz, board, { ...createAttemptProgress(), square: 17 }, 0, 1, roll(6));
+    expect(won.result).toMatchObject({ square: 19, finished: true, complete: true });
+  });
+});
@@ -0,0 +1,148 @@
+// Replay timeline: rebuilds the game at any point by folding the recorded game_events in order
+//
+// A snapshot is the state at the end of one phase the teacher visited:
+//   { step, question_idx, phase, started_at, students: [{ student_id, student_name, square, team }],
+//     votes: { type, total, counts }, quizmaster: { enabled, name, square, strategy, difficulty },
+//     board, race_finished }
+// The teacher can step back to an earlier question, so a question/phase can appear more than once.
+const { normalizeBoardConfig } = require('./board');
+const { tallyAnswers } = require('./grading');
+
+function createTimelineState() {
+  return {
+    questionIdx: 0,
+    phase: 1,
+    questionType: null,
+    startedAt: null,
+    students: new Map(),
+    answers: new Map(),
+    quizmaster: { enabled: null, name: null, square: 0, strategy: null, difficulty: null },
+    board: null,
+    raceFinished: null,
+  };
+}
+
+function ensureStudent(state, data) {
+  let student = state.students.get(data.student_id);
+  if (!student) {
+    student = { student_id: data.student_id, student_name: data.student_name || 'Unknown', square: 0, team: null };
+    state.students.set(data.student_id, student);
+  } else if (data.student_name) {
+    student.student_name = data.student_name;
+  }
+  return student;
+}
+
+function updateQuizmaster(state, data) {
+  for (const key of ['enabled', 'name', 'square', 'strategy', 'difficulty']) {
+    if (data[key] !== undefined) state.quizmaster[key] = data[key];
+  }
+}
+
+function takeSnapshot(state, step, quiz) {
+  const question = quiz?.questions?.[state.questionIdx] || { type: state.questionType };
+  const students = Array.from(state.students.values())
+    .map(student => ({ ...student }))
+    .sort((a, b) => b.square - a.square || a.student_name.localeCompare(b.student_name));
+
+  return {
+    step,
+    question_idx: state.questionIdx,
+    phase: state.phase,
+    started_at: state.startedAt,
+    students,
+    votes: tallyAnswers(question, state.answers),
+    quizmaster: { ...state.quizmaster },
+    board: state.board,
+    race_finished: state.raceFinished,
+  };
+}
+
+// Apply one game_events row ({ event_type, event_data, timestamp }) to the state
+function applyEvent(state, event) {
+  const data = event.event_data || {};
+  if (!state.startedAt) state.startedAt = data.timestamp || event.timestamp || null;
+
+  switch (event.event_type) {
+    case 'phase_advance':
+      if (data.question_idx !== state.questionIdx) state.answers.clear();
+      state.questionIdx = data.question_idx;
+      state.phase = data.phase;
+      state.questionType = data.question_type || null;
+      state.startedAt = data.timestamp || event.timestamp || null;
+      updateQuizmaster(state, {
+        enabled: data.quizmaster_enabled,
+        name: data.quizmaster_name,
+        square: data.quizmaster_square,
+        strategy: data.quizmaster_strategy,
+        difficulty: data.quizmaster_difficulty,
+      });
+      break;
+    case 'student_answer':
+      ensureStudent(state, data);
+      // Older logs only carry answer_idx
+      state.answers.set(data.student_id, data.answer !== undefined ? data.answer : data.answer_idx);
+      if (data.question_type) state.questionType = data.question_type;
+      break;
+    case 'student_move':
+      ensureStudent(state, data).square = data.to_square;
+      break;
+    case 'student_join':
+    case 'student_skip':
+      ensureStudent(state, data);
+      break;
+    case 'student_removed':
+      state.students.delete(data.student_id);
+      state.answers.delete(data.student_id);
+      break;
+    case 'team_assignment':
+      ensureStudent(state, data).team = data.team ?? null;
+      break;
+    case 'quizmaster_move':
+    case 'quizmaster_state':
+      updateQuizmaster(state, data);
+      break;
+    case 'board_config':
+      state.board = normalizeBoardConfig(data) || state.board;
+      break;
+    case 'race_finished':
+      state.raceFinished = { winner: data.winner, question_idx: data.question_idx, finished_at: data.finished_at };
+      break;
+    default:
+      // Timer and other bookkeeping events don't change the board
+      break;
+  }
+}
+
+// Every snapshot of a session, oldest first; the last one is the state where the log ends
+// quiz (optional) is the parsed quiz, used to label vote tallies with the question type
+function buildTimeline(events, quiz = null) {
+  const state = createTimelineState();
+  const snapshots = [];
+
+  for (const event of events) {
+    // Every game starts on question 0 phase 1, even when the log opens with a phase change
+    if (event.event_type === 'phase_advance') {
+      snapshots.push(takeSnapshot(state, snapshots.length, quiz));
+    }
+    applyEvent(state, event);
+  }
+  snapshots.push(takeSnapshot(state, snapshots.length, quiz));
+  return snapshots;
+}
+
+// The latest visit to a question/phase (phase omitted: the latest visit to the question), or null
+function findSnapshot(timeline, questionIdx, phase = null) {
+  for (let i = timeline.length - 1; i >= 0; i--) {
+    const snapshot = timeline[i];
+    if (snapshot.question_idx === questionIdx && (phase === null || snapshot.phase === phase)) return snapshot;
+  }
+  return null;
+}
+
+module.exports = {
+  createTimelineState,
+  applyEvent,
+  buildTimeline,
+  findSnapshot,
+};
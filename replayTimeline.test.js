@@ -0,0 +1,129 @@
+const { buildTimeline, findSnapshot } = require('./replayTimeline');
+
+// Synthetic game_events rows in log order
+let clock = 0;
+const event = (event_type, event_data) => ({
+  event_type,
+  event_data: { timestamp: new Date(Date.UTC(2024, 0, 1, 9, 0, clock++)).toISOString(), ...event_data },
+});
+const phase = (question_idx, phaseNumber, extra = {}) => event('phase_advance', {
+  question_idx,
+  phase: phaseNumber,
+  quizmaster_square: 0,
+  quizmaster_enabled: true,
+  quizmaster_name: 'Quizmaster',
+  quizmaster_strategy: 'ratio',
+  quizmaster_difficulty: 'normal',
+  ...extra,
+});
+const answer = (student_id, question_idx, value) => event('student_answer', {
+  student_id, student_name: student_id.toUpperCase(), question_idx, answer: value,
+});
+const move = (student_id, from_square, to_square) => event('student_move', {
+  student_id, student_name: student_id.toUpperCase(), from_square, to_square,
+});
+
+const events = [
+  event('quizmaster_state', { reason: 'session_start', square: 0, enabled: true, name: 'Quizmaster' }),
+  event('board_config', { squares: 30, end: 'finish', specials: [], reason: 'session_start' }),
+  phase(0, 2),
+  answer('ann', 0, 1),
+  answer('bob', 0, 0),
+  answer('bob', 0, 1),
+  phase(0, 3, { quizmaster_square: 0 }),
+  event('quizmaster_move', { move: 2, previous_square: 0, square: 2 }),
+  move('ann', 0, 4),
+  move('bob', 0, 3),
+  phase(1, 1, { quizmaster_square: 2 }),
+  phase(1, 2, { quizmaster_square: 2, question_type: 'multi' }),
+  answer('ann', 1, [0, 2]),
+  phase(1, 3, { quizmaster_square: 2 }),
+  move('ann', 4, 9),
+  event('timer_expired', { auto_advance: false }),
+];
+
+describe('replay timeline', () => {
+  test('one snapshot per visited phase, plus the start', () => {
+    const timeline = buildTimeline(events);
+    expect(timeline.map(s => [s.step, s.question_idx, s.phase])).toEqual([
+      [0, 0, 1], [1, 0, 2], [2, 0, 3], [3, 1, 1], [4, 1, 2], [5, 1, 3],
+    ]);
+    expect(timeline[0].board).toEqual({ squares: 30, end: 'finish', specials: [] });
+    expect(timeline[0].students).toEqual([]);
+  });
+
+  test('vote counts keep the latest answer and reset on a new question', () => {
+    const timeline = buildTimeline(events);
+    expect(findSnapshot(timeline, 0, 2).votes).toEqual({ type: 'choice', total: 2, counts: { 1: 2 } });
+    expect(findSnapshot(timeline, 1, 1).votes).toEqual({ type: 'choice', total: 0, counts: {} });
+    expect(findSnapshot(timeline, 1, 2).votes).toEqual({ type: 'multi', total: 1, counts: { 0: 1, 2: 1 } });
+  });
+
+  test('positions and the quizmaster follow the moves', () => {
+    const timeline = buildTimeline(events);
+    const afterFirst = findSnapshot(timeline, 0, 3);
+    expect(afterFirst.students).toEqual([
+      { student_id: 'ann', student_name: 'ANN', square: 4, team: null },
+      { student_id: 'bob', student_name: 'BOB', square: 3, team: null },
+    ]);
+    expect(afterFirst.quizmaster).toEqual({ enabled: true, name: 'Quizmaster', square: 2, strategy: 'ratio', difficulty: 'normal' });
+
+    const end = timeline[timeline.length - 1];
+    expect(end.students.map(s => [s.student_id, s.square])).toEqual([['ann', 9], ['bob', 3]]);
+  });
+
+  test('the quiz labels vote tallies and older answer_idx logs still count', () => {
+    const quiz = { questions: [{ type: 'true-false' }] };
+    const timeline = buildTimeline([
+      phase(0, 2),
+      event('student_answer', { student_id: 'cat', student_name: 'Cat', question_idx: 0, answer_idx: 1 }),
+    ], quiz);
+    expect(timeline[1].votes).toEqual({ type: 'true-false', total: 1, counts: { 1: 1 } });
+  });
+
+  test('stepping back keeps every visit; lookups return the latest one', () => {
+    const timeline = buildTimeline([
+      phase(0, 2),
+      answer('ann', 0, 1),
+      phase(0, 3),
+      move('ann', 0, 5),
+      phase(0, 2),
+      phase(0, 3),
+      event('team_assignment', { student_id: 'ann', team: 'left' }),
+      event('race_finished', { winner: { type: 'student', id: 'ann' }, question_idx: 0, finished_at: 'x' }),
+    ]);
+    expect(timeline.filter(s => s.question_idx === 0 && s.phase === 3)).toHaveLength(2);
+    const latest = findSnapshot(timeline, 0, 3);
+    expect(latest.step).toBe(4);
+    expect(latest.students[0]).toMatchObject({ square: 5, team: 'left' });
+    expect(latest.race_finished).toEqual({ winner: { type: 'student', id: 'ann' }, question_idx: 0, finished_at: 'x' });
+    expect(findSnapshot(timeline, 0)).toBe(latest);
+    expect(findSnapshot(timeline, 7, 1)).toBeNull();
+  });
+
+  test('joining puts a student on the start square; removal takes them off the board', () => {
+    const timeline = buildTimeline([
+      event('student_join', { student_id: 'dan', student_name: 'Dan', rejoin: false }),
+      phase(0, 2),
+      answer('dan', 0, 1),
+      event('student_removed', { student_id: 'dan' }),
+    ]);
+    expect(timeline[0].students).toEqual([{ student_id: 'dan', student_name: 'Dan', square: 0, team: null }]);
+    expect(timeline[1].students).toEqual([]);
+    expect(timeline[1].votes.total).toBe(0);
+  });
+
+  test('an empty log is the starting state', () => {
+    expect(buildTimeline([])).toEqual([{
+      step: 0,
+      question_idx: 0,
+      phase: 1,
+      started_at: null,
+      students: [],
+      votes: { type: 'choice', total: 0, counts: {} },
+      quizmaster: { enabled: null, name: null, square: 0, strategy: null, difficulty: null },
+      board: null,
+      race_finished: null,
+    }]);
+  });
+});
@@ -0,0 +1,181 @@
+// Retention policy for recorded sessions, enforced by a background sweeper
+//
+// Configured from the environment; with neither a max age nor a max count set, nothing is ever purged:
+//   RETENTION_MAX_AGE_DAYS        delete sessions created more than this many days ago
+//   RETENTION_MAX_SESSIONS        keep only this many of the newest sessions
+//   RETENTION_KEEP_STARRED        starred sessions are never purged and don't count toward the cap (default true)
+//   RETENTION_DRY_RUN             log what would be purged without deleting anything
+//   RETENTION_SWEEP_INTERVAL_MS   how often the sweeper runs (default every 6 hours)
+//   RETENTION_REPORT_EMAIL        where to send a summary whenever a sweep purges something (dry runs are only logged)
+//   TRASH_RETENTION_DAYS          how long deleted sessions stay restorable in the trash (default 30, 0 = forever)
+// Sessions that are still being played are always kept. Trashed sessions don't count toward the limits;
+// they are purged once their time in the trash is up, starred or not.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const REASON_MAX_AGE = 'max_age';
+const REASON_MAX_SESSIONS = 'max_sessions';
+const REASON_TRASH_EXPIRED = 'trash_expired';
+
+function parsePositiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function parseFlag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+function parseRetentionPolicy(env = process.env) {
+  const maxAgeDays = parsePositiveInt(env.RETENTION_MAX_AGE_DAYS);
+  const maxSessions = parsePositiveInt(env.RETENTION_MAX_SESSIONS);
+  return {
+    enabled: maxAgeDays !== null || maxSessions !== null,
+    maxAgeDays,
+    maxSessions,
+    keepStarred: parseFlag(env.RETENTION_KEEP_STARRED, true),
+    dryRun: parseFlag(env.RETENTION_DRY_RUN, false),
+    intervalMs: parsePositiveInt(env.RETENTION_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS,
+    reportEmail: env.RETENTION_REPORT_EMAIL || null,
+    trashDays: env.TRASH_RETENTION_DAYS === undefined || env.TRASH_RETENTION_DAYS === ''
+      ? DEFAULT_TRASH_RETENTION_DAYS
+      : parsePositiveInt(env.TRASH_RETENTION_DAYS),
+  };
+}
+
+// One line for logs and the replay list, e.g. "purge sessions older than 30 days, starred kept"
+function describeRetentionPolicy(policy) {
+  if (!policy.enabled) return 'disabled';
+  const rules = [];
+  if (policy.maxAgeDays !== null) rules.push(`older than ${policy.maxAgeDays} days`);
+  if (policy.maxSessions !== null) rules.push(`beyond the newest ${policy.maxSessions} sessions`);
+  return `purge sessions ${rules.join(' or ')}${policy.keepStarred ? ', starred kept' : ''}${policy.dryRun ? ' (dry run)' : ''}`;
+}
+
+// When a trashed session is purged, or null if the trash is kept forever
+function trashPurgeDate(deletedAt, policy) {
+  if (policy.trashDays === null || !deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + policy.trashDays * DAY_MS);
+}
+
+// sessions: [{ id, session_slug, created_at, starred, live, deleted_at }] in any order
+// Returns the sessions the policy would purge, newest first: [{ session, reason }]
+function selectExpiredSessions(sessions, policy, now = new Date()) {
+  const cutoff = policy.maxAgeDays !== null ? now.getTime() - policy.maxAgeDays * DAY_MS : null;
+  const newestFirst = sessions.slice().sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const expired = [];
+  let kept = 0;
+
+  for (const session of newestFirst) {
+    if (session.live) continue;
+    if (session.deleted_at) {
+      const purgeAt = trashPurgeDate(session.deleted_at, policy);
+      if (purgeAt && purgeAt <= now) expired.push({ session, reason: REASON_TRASH_EXPIRED });
+      continue;
+    }
+    if (!policy.enabled || (policy.keepStarred && session.starred)) continue;
+
+    if (cutoff !== null && new Date(session.created_at).getTime() < cutoff) {
+      expired.push({ session, reason: REASON_MAX_AGE });
+    } else if (policy.maxSessions !== null && kept >= policy.maxSessions) {
+      expired.push({ session, reason: REASON_MAX_SESSIONS });
+    } else {
+      kept += 1;
+    }
+  }
+  return expired;
+}
+
+// listSessions(): retention candidates (see selectExpiredSessions); deleteSession(session): true on success
+// isLive(session): extra check for games running on this instance; notify(summary): emails the summary of a real purge
+function createRetentionSweeper({ policy, listSessions, deleteSession, isLive = () => false, notify = null, now = () => new Date() }) {
+  let timer = null;
+  let latest = null; // { dryRun, promise } of the sweep running now, or queued to run after it
+
+  async function purge({ dryRun = policy.dryRun } = {}) {
+    const sessions = (await listSessions()).map(session => ({ ...session, live: session.live || isLive(session) }));
+    const expired = selectExpiredSessions(sessions, policy, now());
+    const summary = {
+      dry_run: dryRun,
+      policy: describeRetentionPolicy(policy),
+      checked: sessions.length,
+      purged: [],
+      failed: [],
+    };
+
+    for (const { session, reason } of expired) {
+      const entry = {
+        session_slug: session.session_slug,
+        quiz_filename: session.quiz_filename ?? null,
+        created_at: session.created_at,
+        reason,
+      };
+      if (dryRun || await deleteSession(session)) {
+        summary.purged.push(entry);
+      } else {
+        summary.failed.push(entry);
+      }
+    }
+
+    const verb = dryRun ? 'would purge' : 'purged';
+    console.log(`[RETENTION] Checked ${summary.checked} sessions, ${verb} ${summary.purged.length}${summary.failed.length ? `, ${summary.failed.length} failed` : ''}`);
+    for (const entry of summary.purged) {
+      console.log(`[RETENTION]   ${verb} ${entry.session_slug} (${entry.reason})`);
+    }
+
+    // Dry runs (including previews from GET /api/retention) only log; the email reports what was actually deleted
+    if (notify && !dryRun && (summary.purged.length > 0 || summary.failed.length > 0)) {
+      await Promise.resolve(notify(summary)).catch(err => {
+        console.log('[RETENTION] Summary email failed:', err.message);
+      });
+    }
+    return summary;
+  }
+
+  // Sweeps never overlap: a sweep requested mid-sweep shares the latest one's result if that is the same kind
+  // (dry run or not), and otherwise waits for it and then runs its own
+  function sweep({ dryRun = policy.dryRun } = {}) {
+    if (latest && latest.dryRun === dryRun) return latest.promise;
+    const previous = latest ? latest.promise.catch(() => {}) : Promise.resolve();
+    const current = { dryRun };
+    current.promise = previous.then(() => purge({ dryRun })).finally(() => {
+      if (latest === current) latest = null;
+    });
+    latest = current;
+    return current.promise;
+  }
+
+  return {
+    // Sweeps once right away (instances that sleep when idle may never reach the interval), then on the interval
+    start() {
+      if (timer || (!policy.enabled && policy.trashDays === null)) return;
+      const run = () => {
+        sweep().catch(err => {
+          console.log('[RETENTION] Sweep failed:', err.message);
+        });
+      };
+      timer = setInterval(run, policy.intervalMs);
+      timer.unref?.();
+      run();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    sweep,
+  };
+}
+
+module.exports = {
+  REASON_MAX_AGE,
+  REASON_MAX_SESSIONS,
+  REASON_TRASH_EXPIRED,
+  parseRetentionPolicy,
+  describeRetentionPolicy,
+  trashPurgeDate,
+  selectExpiredSessions,
+  createRetentionSweeper,
+};
@@ -0,0 +1,167 @@
+const {
+  parseRetentionPolicy,
+  describeRetentionPolicy,
+  selectExpiredSessions,
+  createRetentionSweeper,
+} = require('./retention');
+
+const now = new Date('2024-03-01T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const session = (slug, age, extra = {}) => ({ id: `id-${slug}`, session_slug: slug, quiz_filename: `${slug}.md`, created_at: daysAgo(age), starred: false, live: false, ...extra });
+
+describe('retention policy', () => {
+  test('is read from the environment and off unless a limit is set', () => {
+    expect(parseRetentionPolicy({})).toMatchObject({ enabled: false, keepStarred: true, dryRun: false });
+    expect(parseRetentionPolicy({
+      RETENTION_MAX_AGE_DAYS: '30',
+      RETENTION_MAX_SESSIONS: 'lots',
+      RETENTION_KEEP_STARRED: 'false',
+      RETENTION_DRY_RUN: 'yes',
+      RETENTION_SWEEP_INTERVAL_MS: '60000',
+      RETENTION_REPORT_EMAIL: 'admin@example.com',
+    })).toEqual({
+      enabled: true,
+      maxAgeDays: 30,
+      maxSessions: null,
+      keepStarred: false,
+      dryRun: true,
+      intervalMs: 60000,
+      reportEmail: 'admin@example.com',
+      trashDays: 30,
+    });
+    expect(parseRetentionPolicy({ TRASH_RETENTION_DAYS: '7' }).trashDays).toBe(7);
+    expect(parseRetentionPolicy({ TRASH_RETENTION_DAYS: '0' }).trashDays).toBeNull();
+    expect(describeRetentionPolicy(parseRetentionPolicy({ RETENTION_MAX_AGE_DAYS: '30', RETENTION_MAX_SESSIONS: '100' })))
+      .toBe('purge sessions older than 30 days or beyond the newest 100 sessions, starred kept');
+  });
+
+  test('old sessions and sessions past the cap are selected, newest first', () => {
+    const policy = parseRetentionPolicy({ RETENTION_MAX_AGE_DAYS: '30', RETENTION_MAX_SESSIONS: '2' });
+    const sessions = [session('old', 40), session('new', 1), session('mid', 10), session('older', 20)];
+
+    expect(selectExpiredSessions(sessions, policy, now).map(({ session: s, reason }) => [s.session_slug, reason])).toEqual([
+      ['older', 'max_sessions'],
+      ['old', 'max_age'],
+    ]);
+  });
+
+  test('starred and live sessions are kept and not counted toward the cap', () => {
+    const policy = parseRetentionPolicy({ RETENTION_MAX_AGE_DAYS: '30', RETENTION_MAX_SESSIONS: '1' });
+    const sessions = [
+      session('starred-new', 0, { starred: true }),
+      session('live', 1, { live: true }),
+      session('kept', 2),
+      session('capped', 3),
+      session('starred-old', 90, { starred: true }),
+    ];
+
+    expect(selectExpiredSessions(sessions, policy, now).map(entry => entry.session.session_slug)).toEqual(['capped']);
+
+    const noStars = { ...policy, keepStarred: false };
+    expect(selectExpiredSessions(sessions, noStars, now).map(entry => entry.session.session_slug))
+      .toEqual(['kept', 'capped', 'starred-old']);
+  });
+
+  test('nothing is selected while the policy is disabled', () => {
+    expect(selectExpiredSessions([session('ancient', 9999)], parseRetentionPolicy({}), now)).toEqual([]);
+  });
+
+  test('trashed sessions are purged once their grace period is up, starred or not', () => {
+    const sessions = [
+      session('just-trashed', 50, { deleted_at: daysAgo(1) }),
+      session('long-trashed', 2, { deleted_at: daysAgo(31), starred: true }),
+      session('kept', 1),
+    ];
+
+    // The trash is emptied even with no age or count limit
+    expect(selectExpiredSessions(sessions, parseRetentionPolicy({}), now).map(({ session: s, reason }) => [s.session_slug, reason]))
+      .toEqual([['long-trashed', 'trash_expired']]);
+    expect(selectExpiredSessions(sessions, parseRetentionPolicy({ TRASH_RETENTION_DAYS: '0' }), now)).toEqual([]);
+
+    // and trashed sessions don't use up the cap
+    const capped = selectExpiredSessions(sessions, parseRetentionPolicy({ RETENTION_MAX_SESSIONS: '1', TRASH_RETENTION_DAYS: '0' }), now);
+    expect(capped).toEqual([]);
+  });
+});
+
+describe('retention sweeper', () => {
+  let logSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  function setup(env, sessions, deleteResults = {}) {
+    const deleteSession = jest.fn(async s => deleteResults[s.session_slug] ?? true);
+    const notify = jest.fn(async () => true);
+    const sweeper = createRetentionSweeper({
+      policy: parseRetentionPolicy(env),
+      listSessions: async () => sessions,
+      deleteSession,
+      isLive: s => s.session_slug === 'running-here',
+      notify,
+      now: () => now,
+    });
+    return { sweeper, deleteSession, notify };
+  }
+
+  test('purges expired sessions, skips ones live on this instance and emails a summary', async () => {
+    const { sweeper, deleteSession, notify } = setup(
+      { RETENTION_MAX_AGE_DAYS: '7' },
+      [session('fresh', 1), session('stale', 8), session('running-here', 30), session('stuck', 9)],
+      { stuck: false }
+    );
+
+    const summary = await sweeper.sweep();
+    expect(deleteSession.mock.calls.map(([s]) => s.session_slug)).toEqual(['stale', 'stuck']);
+    expect(summary).toMatchObject({
+      dry_run: false,
+      checked: 4,
+      purged: [{ session_slug: 'stale', quiz_filename: 'stale.md', reason: 'max_age' }],
+      failed: [{ session_slug: 'stuck', reason: 'max_age' }],
+    });
+    expect(notify).toHaveBeenCalledWith(summary);
+  });
+
+  test('a dry run reports without deleting', async () => {
+    const { sweeper, deleteSession, notify } = setup({ RETENTION_MAX_SESSIONS: '1', RETENTION_DRY_RUN: '1' }, [session('a', 1), session('b', 2)]);
+
+    const summary = await sweeper.sweep();
+    expect(summary).toMatchObject({ dry_run: true, purged: [{ session_slug: 'b', reason: 'max_sessions' }] });
+    expect(deleteSession).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+
+    const { sweeper: live } = setup({ RETENTION_MAX_SESSIONS: '1' }, [session('a', 1), session('b', 2)]);
+    expect((await live.sweep({ dryRun: true })).dry_run).toBe(true);
+  });
+
+  test('a preview and a real sweep requested together each run, one after the other', async () => {
+    const { sweeper, deleteSession, notify } = setup({ RETENTION_MAX_SESSIONS: '1' }, [session('a', 1), session('b', 2)]);
+
+    // A preview lands while a real sweep is running: the sweep deletes, the preview only reports
+    const [real, preview] = await Promise.all([sweeper.sweep(), sweeper.sweep({ dryRun: true })]);
+    expect(real).toMatchObject({ dry_run: false, purged: [{ session_slug: 'b' }] });
+    expect(preview).toMatchObject({ dry_run: true, purged: [{ session_slug: 'b' }] });
+    expect(deleteSession).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledTimes(1);
+
+    // A real sweep lands while a preview is running: it still deletes; a second preview shares the first's result
+    const [first, second, after] = await Promise.all([
+      sweeper.sweep({ dryRun: true }),
+      sweeper.sweep({ dryRun: true }),
+      sweeper.sweep({ dryRun: false }),
+    ]);
+    expect(second).toBe(first);
+    expect(first.dry_run).toBe(true);
+    expect(after.dry_run).toBe(false);
+    expect(deleteSession).toHaveBeenCalledTimes(2);
+  });
+
+  test('no email when there is nothing to purge', async () => {
+    const { sweeper, notify } = setup({ RETENTION_MAX_AGE_DAYS: '7' }, [session('fresh', 1)]);
+    expect((await sweeper.sweep()).purged).toEqual([]);
+    expect(notify).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+// Routes socket events to the node that owns the socket's room
+//
+// Each room lives on exactly one node. When a socket connected here talks to a room owned by
+// another node, its events are forwarded over the socket.io adapter and replayed there against
+// a stand-in socket, so every room keeps a single writer (and a single set of grace timers).
+
+// Events that name the room they want to enter, and the payload field holding the code
+const ROOM_ENTRY_EVENTS = {
+  'join-room': 'code',
+  'admin-join-room': 'code',
+  'student-join': 'roomCode',
+};
+
+// Events that never touch an existing room
+const LOCAL_EVENTS = new Set(['ping-from-client', 'admin-create-room']);
+
+function createRoomRouter({ io, rooms, normalizeRoomCode, registerSocketHandlers, adoptRoom }) {
+  const proxies = new Map(); // remote socket.id => stand-in socket on this (owning) node
+  const queues = new WeakMap(); // local socket => promise chain that keeps its events in order
+
+  function createProxySocket(socketId) {
+    const listeners = new Map();
+    const proxy = {
+      id: socketId,
+      data: {},
+      handshake: {},
+      conn: null,
+      on(event, handler) {
+        listeners.set(event, handler);
+        return proxy;
+      },
+      emit(event, ...args) {
+        io.to(socketId).emit(event, ...args);
+        return true;
+      },
+      join(code) {
+        io.in(socketId).socketsJoin(code);
+      },
+      leave(code) {
+        io.in(socketId).socketsLeave(code);
+      },
+      dispatch(event, args) {
+        const handler = listeners.get(event);
+        if (handler) handler(...args);
+      },
+    };
+    registerSocketHandlers(proxy);
+    return proxy;
+  }
+
+  // Owning node: run an event forwarded from the node the socket is connected to
+  io.on('room-event', (packet, ack) => {
+    if (!rooms.has(packet.roomCode)) return ack(false);
+
+    let proxy = proxies.get(packet.socketId);
+    if (!proxy) {
+      proxy = createProxySocket(packet.socketId);
+      proxies.set(packet.socketId, proxy);
+    }
+    proxy.data.role = packet.role;
+    proxy.data.teacher = packet.teacher ?? null;
+    proxy.data.roomCode = packet.roomCode;
+
+    try {
+      proxy.dispatch(packet.event, packet.args);
+    } catch (err) {
+      console.error(`[CLUSTER] Error handling forwarded ${packet.event}:`, err);
+    }
+    if (packet.event === 'disconnect') {
+      proxies.delete(packet.socketId);
+    }
+    return ack(true);
+  });
+
+  io.on('room-lookup', (code, ack) => {
+    ack(rooms.has(code));
+  });
+
+  // true: some node said yes, false: every node said no, null: not every node answered in time
+  function askCluster(event, payload) {
+    return new Promise(resolve => {
+      io.serverSideEmit(event, payload, (err, responses = []) => {
+        if (responses.some(Boolean)) return resolve(true);
+        if (err) {
+          console.log(`[CLUSTER] ${event} did not hear back from every node: ${err.message}`);
+          return resolve(null);
+        }
+        return resolve(false);
+      });
+    });
+  }
+
+  function forward(socket, roomCode, event, args) {
+    return askCluster('room-event', {
+      socketId: socket.id,
+      role: socket.data.role,
+      teacher: socket.data.teacher ?? null,
+      roomCode,
+      event,
+      args: args.filter(arg => typeof arg !== 'function'),
+    });
+  }
+
+  // 'local' (here, possibly just adopted), 'remote' or 'missing'
+  async function locate(code) {
+    if (rooms.has(code)) return 'local';
+    const found = await askCluster('room-lookup', code);
+    if (found) return 'remote';
+    // Nobody claims it: take over an orphaned checkpoint if its owner stopped heartbeating
+    if (await adoptRoom(code)) return 'local';
+    return found === null ? 'remote' : 'missing';
+  }
+
+  async function route(socket, event, args, next) {
+    if (LOCAL_EVENTS.has(event)) return next();
+
+    const entryField = ROOM_ENTRY_EVENTS[event];
+    const requested = entryField ? args[0]?.[entryField] : undefined;
+    if (requested !== undefined) {
+      const code = normalizeRoomCode(requested);
+      if (!code || (await locate(code)) !== 'remote') return next();
+
+      // Track room membership on this node; the owner runs the actual handler
+      const previous = socket.data.roomCode;
+      if (previous && previous !== code) socket.leave(previous);
+      socket.join(code);
+      socket.data.roomCode = code;
+      await forward(socket, code, event, args);
+      return;
+    }
+
+    const code = socket.data.roomCode;
+    if (!code || rooms.has(code)) return next();
+
+    const handled = await forward(socket, code, event, args);
+    if (handled === false) {
+      // The owner is gone; adopt the room if possible, otherwise local handlers see no room
+      await adoptRoom(code);
+      next();
+    }
+  }
+
+  function enqueue(socket, task) {
+    const previous = queues.get(socket) || Promise.resolve();
+    const current = previous.then(task).catch(err => {
+      console.error('[CLUSTER] Error routing socket event:', err);
+    });
+    queues.set(socket, current);
+    return current;
+  }
+
+  return {
+    // Install routing on a socket connected to this node
+    attach(socket) {
+      socket.use((packet, next) => {
+        const [event, ...args] = packet;
+        enqueue(socket, () => route(socket, event, args, next));
+      });
+
+      socket.on('disconnect', (reason) => {
+        enqueue(socket, async () => {
+          const code = socket.data.roomCode;
+          if (!code || rooms.has(code)) return;
+          await forward(socket, code, 'disconnect', [reason]);
+        });
+      });
+    },
+
+    // The socket sits in a room owned by another node, so that node handles its events
+    isRemote(socket) {
+      const code = socket.data.roomCode;
+      return Boolean(code) && !rooms.has(code);
+    },
+
+    // Drop stand-in sockets for a room this node no longer owns
+    releaseRoom(code) {
+      for (const [socketId, proxy] of proxies.entries()) {
+        if (proxy.data.roomCode === code) proxies.delete(socketId);
+      }
+    },
+  };
+}
+
+module.exports = {
+  ROOM_ENTRY_EVENTS,
+  LOCAL_EVENTS,
+  createRoomRouter,
+};
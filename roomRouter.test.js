@@ -0,0 +1,229 @@
+const { createRoomRouter } = require('./roomRouter');
+
+const normalizeRoomCode = code => (typeof code === 'string' ? code.toUpperCase() : '');
+
+// In-process stand-in for several instances sharing the socket.io adapter
+function createCluster() {
+  const nodes = new Map();
+
+  function addNode(name) {
+    const serverHandlers = new Map();
+    const emitted = []; // [socketId, event, ...args] sent to clients through io.to()
+    const io = {
+      on(event, handler) {
+        serverHandlers.set(event, handler);
+      },
+      // Like the adapter: every other node answers, and the callback gets all their acks
+      serverSideEmit(event, payload, callback) {
+        const others = Array.from(nodes.values()).filter(node => node.name !== name);
+        Promise.all(others.map(node => new Promise(resolve => {
+          const handler = node.serverHandlers.get(event);
+          if (!handler) return resolve(undefined);
+          handler(payload, resolve);
+        }))).then(responses => callback(null, responses));
+      },
+      to(socketId) {
+        return { emit: (event, ...args) => emitted.push([socketId, event, ...args]) };
+      },
+      in() {
+        return { socketsJoin() {}, socketsLeave() {} };
+      },
+    };
+
+    const rooms = new Map();
+    const handled = []; // [node-side socket id, event, ...args] as seen by the room handlers
+    const registerSocketHandlers = socket => {
+      for (const event of ['join-room', 'student-answer', 'disconnect']) {
+        socket.on(event, (...args) => {
+          handled.push([socket.id, event, ...args]);
+          if (event === 'join-room') socket.data.roomCode = normalizeRoomCode(args[0].code);
+        });
+      }
+    };
+    const adoptRoom = jest.fn(async code => {
+      if (!cluster.orphans.has(code)) return false;
+      cluster.orphans.delete(code);
+      rooms.set(code, { code });
+      return true;
+    });
+
+    const router = createRoomRouter({ io, rooms, normalizeRoomCode, registerSocketHandlers, adoptRoom });
+    const node = { name, io, serverHandlers, emitted, rooms, handled, adoptRoom, router };
+    nodes.set(name, node);
+    return node;
+  }
+
+  // A client socket connected to node; send() runs an event through routing, then local handlers
+  function connect(node, id) {
+    const middleware = [];
+    const listeners = new Map();
+    const socket = {
+      id,
+      data: { role: 'student' },
+      joined: new Set(),
+      use(fn) {
+        middleware.push(fn);
+      },
+      on(event, handler) {
+        listeners.set(event, [...(listeners.get(event) || []), handler]);
+      },
+      join(code) {
+        socket.joined.add(code);
+      },
+      leave(code) {
+        socket.joined.delete(code);
+      },
+      emit() {},
+      async send(event, ...args) {
+        let reachedHandlers = false;
+        middleware[0]([event, ...args], () => {
+          reachedHandlers = true;
+          for (const handler of listeners.get(event) || []) handler(...args);
+        });
+        await settle();
+        return reachedHandlers;
+      },
+      async disconnect(reason) {
+        for (const handler of listeners.get('disconnect') || []) handler(reason);
+        await settle();
+      },
+    };
+    node.router.attach(socket);
+    // Local handlers, as index.js registers them after routing
+    socket.on('join-room', ({ code }) => {
+      node.handled.push([id, 'join-room', { code }]);
+      socket.data.roomCode = normalizeRoomCode(code);
+    });
+    socket.on('student-answer', payload => node.handled.push([id, 'student-answer', payload]));
+    return socket;
+  }
+
+  const cluster = {
+    orphans: new Set(), // checkpointed rooms whose owner stopped heartbeating
+    addNode,
+    connect,
+    remove(node) {
+      nodes.delete(node.name);
+    },
+  };
+  return cluster;
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('room router', () => {
+  let errorSpy;
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  test('events for a room hosted here run locally', async () => {
+    const cluster = createCluster();
+    const a = cluster.addNode('a');
+    cluster.addNode('b');
+    a.rooms.set('ROOMA', { code: 'ROOMA' });
+
+    const socket = cluster.connect(a, 'sock-1');
+    expect(await socket.send('join-room', { code: 'rooma' })).toBe(true);
+    expect(await socket.send('student-answer', { answerIdx: 1 })).toBe(true);
+
+    expect(a.handled).toEqual([
+      ['sock-1', 'join-room', { code: 'rooma' }],
+      ['sock-1', 'student-answer', { answerIdx: 1 }],
+    ]);
+    expect(a.router.isRemote(socket)).toBe(false);
+  });
+
+  test('events for a room on another node are forwarded to its owner, in order', async () => {
+    const cluster = createCluster();
+    const a = cluster.addNode('a');
+    const b = cluster.addNode('b');
+    b.rooms.set('ROOMB', { code: 'ROOMB' });
+
+    const socket = cluster.connect(a, 'sock-1');
+    expect(await socket.send('join-room', { code: 'roomb' })).toBe(false);
+    expect(await socket.send('student-answer', { answerIdx: 2 })).toBe(false);
+    expect(await socket.send('student-answer', { answerIdx: 3 })).toBe(false);
+
+    // Node a only tracks membership; node b's stand-in socket ran the handlers
+    expect(a.handled).toEqual([]);
+    expect(socket.data.roomCode).toBe('ROOMB');
+    expect(socket.joined).toEqual(new Set(['ROOMB']));
+    expect(a.router.isRemote(socket)).toBe(true);
+    expect(b.handled).toEqual([
+      ['sock-1', 'join-room', { code: 'roomb' }],
+      ['sock-1', 'student-answer', { answerIdx: 2 }],
+      ['sock-1', 'student-answer', { answerIdx: 3 }],
+    ]);
+
+    // Rooms that exist nowhere fall through to the local handlers (which report "room not found")
+    const lost = cluster.connect(a, 'sock-2');
+    expect(await lost.send('join-room', { code: 'nope1' })).toBe(true);
+  });
+
+  test('a disconnect is forwarded so the owner runs the grace timer', async () => {
+    const cluster = createCluster();
+    const a = cluster.addNode('a');
+    const b = cluster.addNode('b');
+    b.rooms.set('ROOMB', { code: 'ROOMB' });
+
+    const socket = cluster.connect(a, 'sock-1');
+    await socket.send('join-room', { code: 'ROOMB' });
+    await socket.disconnect('transport close');
+    expect(b.handled).toContainEqual(['sock-1', 'disconnect', 'transport close']);
+
+    // Sockets in rooms hosted here handle their own disconnects
+    b.rooms.delete('ROOMB');
+    a.rooms.set('ROOMB', { code: 'ROOMB' });
+    const local = cluster.connect(a, 'sock-3');
+    local.data.roomCode = 'ROOMB';
+    const before = b.handled.length;
+    await local.disconnect('ping timeout');
+    expect(b.handled).toHaveLength(before);
+  });
+
+  test('a room whose owner went away is adopted from its checkpoint', async () => {
+    const cluster = createCluster();
+    const a = cluster.addNode('a');
+    const b = cluster.addNode('b');
+    b.rooms.set('ROOMB', { code: 'ROOMB' });
+
+    const socket = cluster.connect(a, 'sock-1');
+    await socket.send('join-room', { code: 'ROOMB' });
+
+    // Node b dies; its checkpoint is left in the shared store for someone to claim
+    cluster.remove(b);
+    cluster.orphans.add('ROOMB');
+
+    expect(await socket.send('student-answer', { answerIdx: 1 })).toBe(true);
+    expect(a.adoptRoom).toHaveBeenCalledWith('ROOMB');
+    expect(a.rooms.has('ROOMB')).toBe(true);
+    expect(a.handled).toEqual([['sock-1', 'student-answer', { answerIdx: 1 }]]);
+    expect(a.router.isRemote(socket)).toBe(false);
+
+    // Joining an orphaned room by code adopts it too
+    cluster.orphans.add('ROOMC');
+    const late = cluster.connect(a, 'sock-2');
+    expect(await late.send('join-room', { code: 'ROOMC' })).toBe(true);
+    expect(a.rooms.has('ROOMC')).toBe(true);
+  });
+
+  test('after the owner releases a room, its events fall back to this node', async () => {
+    const cluster = createCluster();
+    const a = cluster.addNode('a');
+    const b = cluster.addNode('b');
+    b.rooms.set('ROOMB', { code: 'ROOMB' });
+
+    const socket = cluster.connect(a, 'sock-1');
+    await socket.send('join-room', { code: 'ROOMB' });
+    b.router.releaseRoom('ROOMB');
+    b.rooms.delete('ROOMB');
+
+    // Nobody owns the room any more and there is no checkpoint: local handlers see no room
+    expect(await socket.send('student-answer', { answerIdx: 1 })).toBe(true);
+    expect(a.adoptRoom).toHaveBeenCalledWith('ROOMB');
+  });
+});
@@ -0,0 +1,212 @@
+// Classroom rooms: every teacher runs an independent game under a short join code
+const { tryParseQuizMarkdown } = require('./quizParser');
+const { createDefaultBoard } = require('./board');
+const { DEFAULT_QUIZMASTER_STRATEGY, DEFAULT_QUIZMASTER_DIFFICULTY } = require('./quizmaster');
+const { TEAM_ASSIGNMENT_AUTO } = require('./teams');
+const { createDefaultTimer } = require('./questionTimer');
+const { DEFAULT_ANSWER_POLICY } = require('./answers');
+
+// Skip characters that are easy to misread on a projector (0/O, 1/I)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+// --- Waiting screen appearance defaults ---
+const DEFAULT_WAITING_LEFT_NAME = 'Ketchup';
+const DEFAULT_WAITING_RIGHT_NAME = 'Mustard';
+const DEFAULT_WAITING_LEFT_COLOR = '#f72702';
+const DEFAULT_WAITING_RIGHT_COLOR = '#f1c232';
+const DEFAULT_WAITING_SHOW_BREAKOUT = false;
+
+const DEFAULT_QUIZMASTER_NAME = 'Math Dad';
+
+// Normalize user-typed codes ("abc 12" -> "ABC12"); returns '' when the code can't be valid
+function normalizeRoomCode(code) {
+  if (typeof code !== 'string') return '';
+  const clean = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (clean.length !== ROOM_CODE_LENGTH) return '';
+  for (const ch of clean) {
+    if (!ROOM_CODE_ALPHABET.includes(ch)) return '';
+  }
+  return clean;
+}
+
+function generateRoomCode(isTaken = () => false) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+    }
+    if (!isTaken(code)) return code;
+  }
+  throw new Error('Unable to generate a unique room code');
+}
+
+// Fresh per-room game state (in-memory)
+function createRoomState(code, { createdBy = null, teacherEmail = null } = {}) {
+  return {
+    code,
+    createdAt: Date.now(),
+    createdBy,
+    teacherEmail, // owning teacher (see auth.js); null for rooms only the admin may run
+    // Map of persistent student_id => { name, joinedAt, square, team, sockets:Set<socket.id> }
+    students: new Map(),
+    // Map of socket.id => student_id for quick lookup
+    socketToStudent: new Map(),
+    // Map of student_id => answerIdx (integer)
+    answers: new Map(),
+    // Map of student_id => { responseMs, changes } for the open question's answers
+    answerTimes: new Map(),
+    // Map of question_idx => Map of student_id => { answer, correct } (filled when a question closes)
+    questionResults: new Map(),
+    // Map of student_id => question_idx of the last move they earned (one move per question)
+    movesTaken: new Map(),
+    // Set of student_ids who landed on a skip square and lose their next earned move
+    skipTurns: new Set(),
+    // Map of student_id => timeout for cleanup delay
+    disconnectTimers: new Map(),
+    // Pending removal of the room once every socket has left
+    idleTimer: null,
+    currentQuiz: null, // { content: string, filename?: string, parsed: { metadata, questions } }
+    currentPhase: 1,
+    currentQuestionIdx: 0,
+
+    // --- Answer countdown (see questionTimer.js) ---
+    timer: createDefaultTimer(),
+    timerDeadline: null, // epoch ms when the open question's countdown runs out
+    answersLocked: false, // set once the countdown for the open question has expired
+    questionOpenedAt: null, // epoch ms when the open question started taking answers
+    answerPolicy: DEFAULT_ANSWER_POLICY, // see answers.js
+    questionTimer: null, // process-local { interval, timeout } handles
+
+    // --- Board layout and race outcome ---
+    board: createDefaultBoard(), // see board.js
+    raceFinished: null, // { winner: { type, id, name }, question_idx, finished_at } once someone crosses the finish
+
+    // --- Quizmaster state ---
+    quizmasterEnabled: true,
+    quizmasterName: DEFAULT_QUIZMASTER_NAME,
+    quizmasterSquare: 0,
+    quizmasterStrategy: DEFAULT_QUIZMASTER_STRATEGY, // see quizmaster.js
+    quizmasterDifficulty: DEFAULT_QUIZMASTER_DIFFICULTY,
+
+    // --- Waiting screen appearance ---
+    waitingLeftName: DEFAULT_WAITING_LEFT_NAME,
+    waitingRightName: DEFAULT_WAITING_RIGHT_NAME,
+    waitingLeftColor: DEFAULT_WAITING_LEFT_COLOR,
+    waitingRightColor: DEFAULT_WAITING_RIGHT_COLOR,
+    waitingShowBreakout: DEFAULT_WAITING_SHOW_BREAKOUT,
+
+    // --- Team mode (teams are the waiting screen's left/right sides, see teams.js) ---
+    teamMode: false,
+    teamAssignment: TEAM_ASSIGNMENT_AUTO,
+
+    // --- Replay mode database state (optional, doesn't affect live gameplay) ---
+    currentGameSession: null, // { id, session_slug } for current live session
+    sessionActive: false,
+  };
+}
+
+// Plain room fields copied as-is into checkpoints
+const PERSISTED_FIELDS = [
+  'createdAt',
+  'teacherEmail',
+  'currentPhase',
+  'currentQuestionIdx',
+  'timer',
+  'timerDeadline',
+  'answersLocked',
+  'questionOpenedAt',
+  'answerPolicy',
+  'board',
+  'raceFinished',
+  'quizmasterEnabled',
+  'quizmasterName',
+  'quizmasterSquare',
+  'quizmasterStrategy',
+  'quizmasterDifficulty',
+  'waitingLeftName',
+  'waitingRightName',
+  'waitingLeftColor',
+  'waitingRightColor',
+  'waitingShowBreakout',
+  'teamMode',
+  'teamAssignment',
+  'currentGameSession',
+  'sessionActive',
+];
+
+// JSON-safe snapshot of a room; sockets and timer handles are process-local and left out
+function serializeRoomState(room) {
+  const snapshot = { code: room.code };
+  for (const field of PERSISTED_FIELDS) {
+    snapshot[field] = room[field];
+  }
+  snapshot.students = Array.from(room.students.entries()).map(([id, s]) => ({
+    id,
+    name: s.name,
+    joinedAt: s.joinedAt,
+    square: s.square,
+    team: s.team ?? null,
+  }));
+  snapshot.answers = Array.from(room.answers.entries());
+  snapshot.answerTimes = Array.from(room.answerTimes.entries());
+  snapshot.questionResults = Array.from(room.questionResults.entries()).map(([questionIdx, results]) => [
+    questionIdx,
+    Array.from(results.entries()),
+  ]);
+  snapshot.movesTaken = Array.from(room.movesTaken.entries());
+  snapshot.skipTurns = Array.from(room.skipTurns);
+  snapshot.currentQuiz = room.currentQuiz
+    ? { content: room.currentQuiz.content, filename: room.currentQuiz.filename }
+    : null;
+  return snapshot;
+}
+
+// Rebuild a room from a checkpoint; restored students have no sockets until they rejoin
+function restoreRoomState(snapshot) {
+  const room = createRoomState(snapshot.code);
+  for (const field of PERSISTED_FIELDS) {
+    if (snapshot[field] !== undefined) room[field] = snapshot[field];
+  }
+  for (const s of snapshot.students || []) {
+    room.students.set(s.id, {
+      name: s.name,
+      joinedAt: s.joinedAt,
+      square: s.square,
+      team: s.team ?? null,
+      sockets: new Set(),
+    });
+  }
+  room.answers = new Map(snapshot.answers || []);
+  room.answerTimes = new Map(snapshot.answerTimes || []);
+  room.questionResults = new Map((snapshot.questionResults || []).map(([questionIdx, results]) => [
+    questionIdx,
+    new Map(results),
+  ]));
+  room.movesTaken = new Map(snapshot.movesTaken || []);
+  room.skipTurns = new Set(snapshot.skipTurns || []);
+
+  if (snapshot.currentQuiz) {
+    const { quiz: parsed } = tryParseQuizMarkdown(snapshot.currentQuiz.content);
+    room.currentQuiz = parsed
+      ? { content: snapshot.currentQuiz.content, filename: snapshot.currentQuiz.filename, parsed }
+      : null;
+  }
+  return room;
+}
+
+module.exports = {
+  ROOM_CODE_ALPHABET,
+  ROOM_CODE_LENGTH,
+  DEFAULT_WAITING_LEFT_NAME,
+  DEFAULT_WAITING_RIGHT_NAME,
+  DEFAULT_WAITING_LEFT_COLOR,
+  DEFAULT_WAITING_RIGHT_COLOR,
+  DEFAULT_WAITING_SHOW_BREAKOUT,
+  DEFAULT_QUIZMASTER_NAME,
+  normalizeRoomCode,
+  generateRoomCode,
+  createRoomState,
+  serializeRoomState,
+  restoreRoomState,
+};
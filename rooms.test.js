@@ -0,0 +1,91 @@
+const {
+  ROOM_CODE_ALPHABET,
+  ROOM_CODE_LENGTH,
+  normalizeRoomCode,
+  generateRoomCode,
+  createRoomState,
+  serializeRoomState,
+  restoreRoomState,
+} = require('./rooms');
+
+describe('rooms', () => {
+  test('generateRoomCode produces codes from the unambiguous alphabet', () => {
+    const code = generateRoomCode();
+    expect(code).toHaveLength(ROOM_CODE_LENGTH);
+    for (const ch of code) {
+      expect(ROOM_CODE_ALPHABET).toContain(ch);
+    }
+  });
+
+  test('generateRoomCode skips codes that are already taken', () => {
+    const taken = new Set();
+    const isTaken = jest.fn(code => {
+      if (taken.size < 3) {
+        taken.add(code);
+        return true;
+      }
+      return taken.has(code);
+    });
+    const code = generateRoomCode(isTaken);
+    expect(taken.has(code)).toBe(false);
+    expect(isTaken).toHaveBeenCalledTimes(4);
+  });
+
+  test('normalizeRoomCode accepts typed variations and rejects invalid codes', () => {
+    expect(normalizeRoomCode(' abc 23 ')).toBe('ABC23');
+    expect(normalizeRoomCode('ab-c2-3')).toBe('ABC23');
+    expect(normalizeRoomCode('ABC2')).toBe('');
+    expect(normalizeRoomCode('ABC10')).toBe('');
+    expect(normalizeRoomCode(12345)).toBe('');
+  });
+
+  test('createRoomState returns isolated state per room', () => {
+    const a = createRoomState('AAAAA');
+    const b = createRoomState('BBBBB');
+    a.students.set('s1', { name: 'Ann' });
+    a.quizmasterSquare = 4;
+    expect(b.students.size).toBe(0);
+    expect(b.quizmasterSquare).toBe(0);
+    expect(a.code).toBe('AAAAA');
+    expect(a.sessionActive).toBe(false);
+  });
+
+  test('serializeRoomState and restoreRoomState round-trip a game in progress', () => {
+    const room = createRoomState('ABCDE', { teacherEmail: 'ann@school.org' });
+    room.students.set('s1', { name: 'Ann', joinedAt: 1, square: 7, team: 'left', sockets: new Set(['sock-1']) });
+    room.socketToStudent.set('sock-1', 's1');
+    room.answers.set('s1', 2);
+    room.questionResults.set(0, new Map([['s1', { answer: 1, correct: true }]]));
+    room.movesTaken.set('s1', 0);
+    room.skipTurns.add('s1');
+    room.board = { squares: 40, end: 'finish', specials: [{ square: 5, type: 'skip' }] };
+    room.currentQuiz = { content: '## Q\n- [x] a\n- [ ] b', filename: 'q.md', parsed: {} };
+    room.currentPhase = 2;
+    room.timer = { seconds: 30, autoAdvance: true };
+    room.timerDeadline = 123456;
+    room.questionTimer = { interval: 1, timeout: 2 };
+    room.quizmasterSquare = 4;
+    room.currentGameSession = { id: 'game-1', session_slug: 'slug' };
+
+    const snapshot = JSON.parse(JSON.stringify(serializeRoomState(room)));
+    expect(snapshot.students).toEqual([{ id: 's1', name: 'Ann', joinedAt: 1, square: 7, team: 'left' }]);
+
+    const restored = restoreRoomState(snapshot);
+    expect(restored.code).toBe('ABCDE');
+    expect(restored.teacherEmail).toBe('ann@school.org');
+    expect(restored.students.get('s1')).toEqual({ name: 'Ann', joinedAt: 1, square: 7, team: 'left', sockets: new Set() });
+    expect(restored.socketToStudent.size).toBe(0);
+    expect(restored.answers.get('s1')).toBe(2);
+    expect(restored.questionResults.get(0).get('s1')).toEqual({ answer: 1, correct: true });
+    expect(restored.movesTaken.get('s1')).toBe(0);
+    expect(restored.skipTurns.has('s1')).toBe(true);
+    expect(restored.board).toEqual({ squares: 40, end: 'finish', specials: [{ square: 5, type: 'skip' }] });
+    expect(restored.currentQuiz.parsed.questions[0].correctIdxs).toEqual([0]);
+    expect(restored.currentPhase).toBe(2);
+    expect(restored.timer).toEqual({ seconds: 30, autoAdvance: true });
+    expect(restored.timerDeadline).toBe(123456);
+    expect(restored.questionTimer).toBeNull();
+    expect(restored.quizmasterSquare).toBe(4);
+    expect(restored.currentGameSession).toEqual({ id: 'game-1', session_slug: 'slug' });
+  });
+});
@@ -0,0 +1,289 @@
+// Session exports: a gradebook CSV of student results and a full JSON archive that can be re-imported
+const { describeAnswer, buildSessionReport } = require('./sessionReport');
+const { ATTEMPT_STATUS_IN_PROGRESS, ATTEMPT_STATUS_COMPLETED } = require('./replayAttempts');
+
+const ARCHIVE_FORMAT = 'quiz-race-session';
+const ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_EVENTS = 100000;
+// Largest value the INTEGER columns hold
+const MAX_COUNT = 2147483647;
+
+// Spreadsheet apps run text cells that start with these as formulas (plain numbers like -3 are fine)
+const FORMULA_PREFIX_RE = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX_RE.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// One row per student: final square, total correct, then each question's answer and whether it was right
+// finalPositions: final_positions rows (empty while a session is still running)
+// replayAttempts: replay_attempts rows, listed after the live players with source "replay"
+function buildResultsCsv({ events, quiz = null, finalPositions = [], replayAttempts = [] }) {
+  const report = buildSessionReport(events, quiz);
+  const reportRows = new Map(report.students.map(student => [student.student_id, student]));
+  const questionIdxs = report.questions.map(question => question.question_idx);
+
+  const header = ['source', 'student_id', 'student_name', 'team', 'final_square', 'total_correct', 'answered'];
+  for (const questionIdx of questionIdxs) {
+    header.push(`q${questionIdx + 1}_answer`, `q${questionIdx + 1}_correct`);
+  }
+
+  // Finishers first in board order, then anyone who only shows up in the event log
+  const students = finalPositions.map(position => ({
+    student_id: position.student_id,
+    student_name: position.student_name,
+    team: position.team ?? null,
+    final_square: position.final_square,
+    total_correct: position.total_correct,
+  }));
+  const listed = new Set(students.map(student => student.student_id));
+  for (const student of report.students) {
+    if (listed.has(student.student_id)) continue;
+    students.push({
+      student_id: student.student_id,
+      student_name: student.student_name,
+      team: null,
+      final_square: null,
+      total_correct: student.correct,
+    });
+  }
+
+  const rows = students.map(student => {
+    const answers = new Map((reportRows.get(student.student_id)?.answers || []).map(entry => [entry.question_idx, entry]));
+    const row = [
+      'live',
+      student.student_id,
+      student.student_name,
+      student.team,
+      student.final_square,
+      student.total_correct,
+      answers.size,
+    ];
+    for (const questionIdx of questionIdxs) {
+      const entry = answers.get(questionIdx);
+      row.push(entry ? entry.label : null, entry ? (entry.correct ? 'yes' : 'no') : null);
+    }
+    return row;
+  });
+
+  for (const attempt of replayAttempts) {
+    const answers = attempt.progress?.answers || {};
+    const row = [
+      'replay',
+      attempt.student_id,
+      attempt.student_name,
+      null,
+      attempt.final_square,
+      attempt.total_correct,
+      Object.keys(answers).length,
+    ];
+    for (const questionIdx of questionIdxs) {
+      const entry = answers[questionIdx];
+      const question = quiz?.questions?.[questionIdx];
+      row.push(
+        entry && question ? describeAnswer(question, entry.answer) : null,
+        entry ? (entry.correct ? 'yes' : 'no') : null
+      );
+    }
+    rows.push(row);
+  }
+
+  return toCsv([header, ...rows]);
+}
+
+// Everything needed to rebuild the session elsewhere
+function buildSessionArchive({ session, events, finalPositions = [], teamResults = [], replayAttempts = [] }, now = new Date()) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: now.toISOString(),
+    session: {
+      session_slug: session.session_slug,
+      quiz_filename: session.quiz_filename,
+      quiz_content: session.quiz_content,
+      created_at: session.created_at,
+      completed_at: session.completed_at,
+      status: session.status,
+    },
+    events: events.map(event => ({
+      event_type: event.event_type,
+      event_data: event.event_data,
+      timestamp: event.timestamp,
+    })),
+    final_positions: finalPositions.map(position => ({
+      student_id: position.student_id,
+      student_name: position.student_name,
+      final_square: position.final_square,
+      total_correct: position.total_correct,
+      team: position.team ?? null,
+    })),
+    team_results: teamResults.map(team => ({
+      team: team.team,
+      team_name: team.team_name,
+      team_color: team.team_color,
+      member_count: team.member_count,
+      total_square: team.total_square,
+      average_square: team.average_square,
+      total_correct: team.total_correct,
+      is_winner: team.is_winner,
+    })),
+    replay_attempts: replayAttempts.map(attempt => ({
+      student_id: attempt.student_id,
+      student_name: attempt.student_name,
+      status: attempt.status,
+      progress: attempt.progress,
+      final_square: attempt.final_square,
+      total_correct: attempt.total_correct,
+      started_at: attempt.started_at,
+      completed_at: attempt.completed_at,
+    })),
+  };
+}
+
+// Validation helpers for parseSessionArchive; each throws a readable message naming the field
+function fail(path, message) {
+  throw new Error(`${path} ${message}`);
+}
+
+function checkString(value, path, { required = false, max = 255 } = {}) {
+  if (value === undefined || value === null) {
+    if (required) fail(path, 'is required');
+    return null;
+  }
+  if (typeof value !== 'string' || (required && value.length === 0) || value.length > max) {
+    fail(path, `must be a${required ? ' non-empty' : ''} string of at most ${max} characters`);
+  }
+  return value;
+}
+
+function checkCount(value, path) {
+  if (value === undefined || value === null) return 0;
+  if (!Number.isInteger(value) || value < 0 || value > MAX_COUNT) fail(path, 'must be a non-negative integer');
+  return value;
+}
+
+function checkTimestamp(value, path) {
+  if (value === undefined || value === null) return null;
+  if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(new Date(value).getTime())) {
+    fail(path, 'must be a date');
+  }
+  return new Date(value).toISOString();
+}
+
+function checkList(value, path, max = MAX_ARCHIVE_EVENTS) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) fail(path, 'must be an array');
+  if (value.length > max) fail(path, `can hold at most ${max} entries`);
+  return value;
+}
+
+function checkObject(value, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'must be an object');
+  return value;
+}
+
+// Validate an uploaded archive (see buildSessionArchive)
+// Returns { archive } with only the known fields, or { error } with a readable message
+function parseSessionArchive(input) {
+  try {
+    checkObject(input, 'archive');
+    if (input.format !== ARCHIVE_FORMAT) fail('format', `must be "${ARCHIVE_FORMAT}"`);
+    if (!Number.isInteger(input.version) || input.version < 1 || input.version > ARCHIVE_VERSION) {
+      fail('version', `must be a supported archive version (up to ${ARCHIVE_VERSION})`);
+    }
+
+    const session = checkObject(input.session, 'session');
+    const archive = {
+      session: {
+        quiz_filename: checkString(session.quiz_filename, 'session.quiz_filename'),
+        quiz_content: checkString(session.quiz_content, 'session.quiz_content', { required: true, max: 1000000 }),
+        created_at: checkTimestamp(session.created_at, 'session.created_at'),
+        completed_at: checkTimestamp(session.completed_at, 'session.completed_at'),
+        status: checkString(session.status, 'session.status', { max: 50 }) || 'completed',
+      },
+    };
+
+    archive.events = checkList(input.events, 'events').map((event, i) => {
+      checkObject(event, `events[${i}]`);
+      const eventData = event.event_data ?? null;
+      if (eventData !== null) checkObject(eventData, `events[${i}].event_data`);
+      return {
+        event_type: checkString(event.event_type, `events[${i}].event_type`, { required: true, max: 100 }),
+        event_data: eventData,
+        timestamp: checkTimestamp(event.timestamp, `events[${i}].timestamp`),
+      };
+    });
+
+    archive.final_positions = checkList(input.final_positions, 'final_positions').map((position, i) => {
+      checkObject(position, `final_positions[${i}]`);
+      return {
+        student_id: checkString(position.student_id, `final_positions[${i}].student_id`, { required: true }),
+        student_name: checkString(position.student_name, `final_positions[${i}].student_name`),
+        final_square: checkCount(position.final_square, `final_positions[${i}].final_square`),
+        total_correct: checkCount(position.total_correct, `final_positions[${i}].total_correct`),
+        team: checkString(position.team, `final_positions[${i}].team`, { max: 16 }),
+      };
+    });
+
+    archive.team_results = checkList(input.team_results, 'team_results').map((team, i) => {
+      checkObject(team, `team_results[${i}]`);
+      if (team.average_square !== undefined && team.average_square !== null && typeof team.average_square !== 'number') {
+        fail(`team_results[${i}].average_square`, 'must be a number');
+      }
+      return {
+        team: checkString(team.team, `team_results[${i}].team`, { required: true, max: 16 }),
+        team_name: checkString(team.team_name, `team_results[${i}].team_name`),
+        team_color: checkString(team.team_color, `team_results[${i}].team_color`, { max: 16 }),
+        member_count: checkCount(team.member_count, `team_results[${i}].member_count`),
+        total_square: checkCount(team.total_square, `team_results[${i}].total_square`),
+        average_square: team.average_square ?? 0,
+        total_correct: checkCount(team.total_correct, `team_results[${i}].total_correct`),
+        is_winner: Boolean(team.is_winner),
+      };
+    });
+
+    archive.replay_attempts = checkList(input.replay_attempts, 'replay_attempts').map((attempt, i) => {
+      checkObject(attempt, `replay_attempts[${i}]`);
+      if (![ATTEMPT_STATUS_IN_PROGRESS, ATTEMPT_STATUS_COMPLETED].includes(attempt.status)) {
+        fail(`replay_attempts[${i}].status`, `must be "${ATTEMPT_STATUS_IN_PROGRESS}" or "${ATTEMPT_STATUS_COMPLETED}"`);
+      }
+      return {
+        student_id: checkString(attempt.student_id, `replay_attempts[${i}].student_id`, { required: true }),
+        student_name: checkString(attempt.student_name, `replay_attempts[${i}].student_name`),
+        status: attempt.status,
+        progress: checkObject(attempt.progress, `replay_attempts[${i}].progress`),
+        final_square: checkCount(attempt.final_square, `replay_attempts[${i}].final_square`),
+        total_correct: checkCount(attempt.total_correct, `replay_attempts[${i}].total_correct`),
+        started_at: checkTimestamp(attempt.started_at, `replay_attempts[${i}].started_at`),
+        completed_at: checkTimestamp(attempt.completed_at, `replay_attempts[${i}].completed_at`),
+      };
+    });
+
+    return { archive };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// File name for a download, e.g. "2024-01-05-fractions-ab12cd-results.csv"
+function exportFilename(sessionSlug, suffix) {
+  return `${String(sessionSlug).replace(/[^A-Za-z0-9_-]/g, '_')}-${suffix}`;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  MAX_ARCHIVE_EVENTS,
+  toCsv,
+  buildResultsCsv,
+  buildSessionArchive,
+  parseSessionArchive,
+  exportFilename,
+};
@@ -0,0 +1,137 @@
+const { toCsv, buildResultsCsv, buildSessionArchive, parseSessionArchive, exportFilename } = require('./sessionExport');
+
+const event = (event_type, event_data, timestamp = null) => ({ event_type, event_data, timestamp });
+
+const quiz = {
+  questions: [
+    { type: 'choice', prompt: 'Q1', choices: [{ text: 'Paris' }, { text: 'Lyon, France' }], correctIdxs: [0] },
+    { type: 'numeric', prompt: 'Q2', choices: [], correctIdxs: [], numericAnswer: { value: -3, tolerance: 0 } },
+  ],
+};
+
+const events = [
+  event('phase_advance', { question_idx: 0, phase: 2, correct_idxs: [0] }),
+  event('student_answer', { student_id: 'ann', student_name: 'Ann', question_idx: 0, answer: 0 }),
+  event('student_answer', { student_id: 'bob', student_name: '=Bob', question_idx: 0, answer: 1 }),
+  event('student_answer', { student_id: 'cat', student_name: 'Cat', question_idx: 0, answer: 0 }),
+  event('phase_advance', { question_idx: 1, phase: 2, question_type: 'numeric', numeric_answer: { value: -3, tolerance: 0 } }),
+  event('student_answer', { student_id: 'ann', student_name: 'Ann', question_idx: 1, answer: -3 }),
+];
+
+describe('session export', () => {
+  test('toCsv quotes separators and defuses formulas', () => {
+    expect(toCsv([['a', 'b,c', 'say "hi"'], ['=SUM(A1)', '-3', 4, null]])).toBe(
+      'a,"b,c","say ""hi"""\r\n\'=SUM(A1),-3,4,\r\n'
+    );
+  });
+
+  test('results CSV lists finishers, students only seen in the log, then replay attempts', () => {
+    const replayAttempts = [{
+      student_id: 'dan',
+      student_name: 'Dan',
+      status: 'completed',
+      final_square: 4,
+      total_correct: 1,
+      progress: { answers: { 0: { answer: 1, correct: false }, 1: { answer: -3, correct: true } } },
+    }];
+    const finalPositions = [
+      { student_id: 'ann', student_name: 'Ann', final_square: 12, total_correct: 2, team: 'left' },
+      { student_id: 'bob', student_name: '=Bob', final_square: 3, total_correct: 0, team: 'right' },
+    ];
+    const lines = buildResultsCsv({ events, quiz, finalPositions, replayAttempts }).trim().split('\r\n');
+    expect(lines).toEqual([
+      'source,student_id,student_name,team,final_square,total_correct,answered,q1_answer,q1_correct,q2_answer,q2_correct',
+      'live,ann,Ann,left,12,2,2,Paris,yes,-3,yes',
+      'live,bob,\'=Bob,right,3,0,1,"Lyon, France",no,,',
+      'live,cat,Cat,,,1,1,Paris,yes,,',
+      'replay,dan,Dan,,4,1,2,"Lyon, France",no,-3,yes',
+    ]);
+  });
+
+  test('the archive carries the quiz, events and results', () => {
+    const archive = buildSessionArchive({
+      session: {
+        id: 'uuid-1',
+        session_slug: '2024-01-05-quiz-abc123',
+        quiz_filename: 'quiz.md',
+        quiz_content: '## Q1',
+        teacher_email: 'teacher@example.com',
+        created_at: '2024-01-05T09:00:00.000Z',
+        completed_at: null,
+        status: 'active',
+      },
+      events: [{ id: 7, game_id: 'uuid-1', event_type: 'phase_advance', event_data: { phase: 2 }, timestamp: 't' }],
+      finalPositions: [{ id: 1, game_id: 'uuid-1', student_id: 'ann', student_name: 'Ann', final_square: 5, total_correct: 1 }],
+    }, new Date('2024-02-01T00:00:00Z'));
+
+    expect(archive).toEqual({
+      format: 'quiz-race-session',
+      version: 1,
+      exported_at: '2024-02-01T00:00:00.000Z',
+      session: {
+        session_slug: '2024-01-05-quiz-abc123',
+        quiz_filename: 'quiz.md',
+        quiz_content: '## Q1',
+        created_at: '2024-01-05T09:00:00.000Z',
+        completed_at: null,
+        status: 'active',
+      },
+      events: [{ event_type: 'phase_advance', event_data: { phase: 2 }, timestamp: 't' }],
+      final_positions: [{ student_id: 'ann', student_name: 'Ann', final_square: 5, total_correct: 1, team: null }],
+      team_results: [],
+      replay_attempts: [],
+    });
+  });
+
+  test('an exported archive validates for import', () => {
+    const archive = buildSessionArchive({
+      session: { session_slug: 's', quiz_filename: 'quiz.md', quiz_content: '## Q1', created_at: '2024-01-05T09:00:00.000Z', completed_at: null, status: 'completed' },
+      events: [{ event_type: 'phase_advance', event_data: { phase: 2 }, timestamp: '2024-01-05T09:01:00.000Z' }],
+      finalPositions: [{ student_id: 'ann', student_name: 'Ann', final_square: 5, total_correct: 1, team: 'left' }],
+      teamResults: [{ team: 'left', team_name: 'Left', team_color: '#ff0000', member_count: 1, total_square: 5, average_square: 5, total_correct: 1, is_winner: true }],
+      replayAttempts: [{ student_id: 'dan', student_name: 'Dan', status: 'completed', progress: { answers: {} }, final_square: 0, total_correct: 0, started_at: null, completed_at: null }],
+    });
+
+    const { archive: parsed, error } = parseSessionArchive(JSON.parse(JSON.stringify(archive)));
+    expect(error).toBeUndefined();
+    expect(parsed.session).toEqual({
+      quiz_filename: 'quiz.md',
+      quiz_content: '## Q1',
+      created_at: '2024-01-05T09:00:00.000Z',
+      completed_at: null,
+      status: 'completed',
+    });
+    expect(parsed.events).toEqual(archive.events);
+    expect(parsed.final_positions).toEqual(archive.final_positions);
+    expect(parsed.team_results).toEqual(archive.team_results);
+    expect(parsed.replay_attempts).toEqual(archive.replay_attempts);
+  });
+
+  test('invalid archives are rejected with the offending field', () => {
+    const valid = { format: 'quiz-race-session', version: 1, session: { quiz_content: '## Q1' } };
+    expect(parseSessionArchive(valid).archive).toEqual({
+      session: { quiz_filename: null, quiz_content: '## Q1', created_at: null, completed_at: null, status: 'completed' },
+      events: [],
+      final_positions: [],
+      team_results: [],
+      replay_attempts: [],
+    });
+
+    expect(parseSessionArchive(null).error).toBe('archive must be an object');
+    expect(parseSessionArchive({ ...valid, format: 'zip' }).error).toMatch(/^format/);
+    expect(parseSessionArchive({ ...valid, version: 2 }).error).toMatch(/^version/);
+    expect(parseSessionArchive({ ...valid, session: {} }).error).toBe('session.quiz_content is required');
+    expect(parseSessionArchive({ ...valid, events: [{ event_type: '' }] }).error).toMatch(/^events\[0\]\.event_type/);
+    expect(parseSessionArchive({ ...valid, events: [{ event_type: 'x', timestamp: 'yesterday' }] }).error)
+      .toBe('events[0].timestamp must be a date');
+    expect(parseSessionArchive({ ...valid, final_positions: [{ student_id: 'a', final_square: -1 }] }).error)
+      .toBe('final_positions[0].final_square must be a non-negative integer');
+    expect(parseSessionArchive({ ...valid, replay_attempts: [{ student_id: 'a', status: 'paused', progress: {} }] }).error)
+      .toMatch(/^replay_attempts\[0\]\.status/);
+  });
+
+  test('export file names are safe for a download header', () => {
+    expect(exportFilename('2024-01-05-quiz-abc123', 'results.csv')).toBe('2024-01-05-quiz-abc123-results.csv');
+    expect(exportFilename('a/b"c', 'archive.json')).toBe('a_b_c-archive.json');
+  });
+});
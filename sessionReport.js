@@ -0,0 +1,214 @@
+// Teacher report for a recorded session, built from the game_events log
+//
+// The answer key comes from the phase_advance events (correct_idxs, numeric_answer), falling back to
+// the quiz itself for sessions logged before those fields existed. A student's answer to a question
+// is the last one they submitted.
+const { QUESTION_TYPE_CHOICE, QUESTION_TYPE_MULTI, QUESTION_TYPE_NUMERIC } = require('./quizParser');
+const { isAnswerCorrect } = require('./grading');
+
+// How many wrong answers to list per question
+const TOP_DISTRACTORS = 3;
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function describeAnswer(question, answer) {
+  if (question.type === QUESTION_TYPE_NUMERIC) return String(answer);
+  const label = idx => question.choices?.[idx]?.text ?? `Choice ${idx + 1}`;
+  return Array.isArray(answer) ? answer.map(label).join(' + ') : label(answer);
+}
+
+function emptyAnswerKey() {
+  return { type: QUESTION_TYPE_CHOICE, prompt: null, choices: [], correctIdxs: [], numericAnswer: null };
+}
+
+// Answer key for every question seen in the log: { [questionIdx]: { type, prompt, choices, correctIdxs, numericAnswer } }
+function collectAnswerKeys(events, quiz) {
+  const keys = {};
+  (quiz?.questions || []).forEach((question, idx) => {
+    keys[idx] = {
+      type: question.type || QUESTION_TYPE_CHOICE,
+      prompt: question.prompt ?? null,
+      choices: question.choices || [],
+      correctIdxs: question.correctIdxs || [],
+      numericAnswer: question.numericAnswer ?? null,
+    };
+  });
+
+  for (const event of events) {
+    if (event.event_type !== 'phase_advance') continue;
+    const data = event.event_data || {};
+    const key = keys[data.question_idx] || emptyAnswerKey();
+    if (data.question_type) key.type = data.question_type;
+    if (Array.isArray(data.correct_idxs)) key.correctIdxs = data.correct_idxs;
+    if (data.numeric_answer !== undefined && data.numeric_answer !== null) key.numericAnswer = data.numeric_answer;
+    keys[data.question_idx] = key;
+  }
+  return keys;
+}
+
+// Wrong answers ranked by how many students gave them
+function rankDistractors(question, wrongAnswers) {
+  const counts = new Map();
+  for (const answer of wrongAnswers) {
+    // A wrong multi-select answer is counted by its extra picks
+    const picks = question.type === QUESTION_TYPE_MULTI && Array.isArray(answer)
+      ? answer.filter(idx => !question.correctIdxs.includes(idx))
+      : [answer];
+    for (const pick of picks) {
+      const entry = counts.get(JSON.stringify(pick)) || { answer: pick, count: 0 };
+      entry.count += 1;
+      counts.set(JSON.stringify(pick), entry);
+    }
+  }
+  return Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || String(a.answer).localeCompare(String(b.answer)))
+    .slice(0, TOP_DISTRACTORS)
+    .map(({ answer, count }) => ({ answer, label: describeAnswer(question, answer), count }));
+}
+
+// events: game_events rows in log order; quiz: the parsed quiz (optional)
+function buildSessionReport(events, quiz = null) {
+  const keys = collectAnswerKeys(events, quiz);
+  const answers = new Map(); // question_idx => Map of student_id => { answer, responseMs }
+  const students = new Map(); // student_id => report row being built
+  const joined = new Set();
+  let questionOpened = false;
+  let current = { questionIdx: 0, phase: 1 };
+
+  const studentRow = data => {
+    if (!students.has(data.student_id)) {
+      students.set(data.student_id, {
+        student_id: data.student_id,
+        student_name: data.student_name || 'Unknown',
+        joined_at: null,
+        joined_late: false,
+        joined_at_question: null,
+        disconnects: [],
+        removed: false,
+      });
+    }
+    const row = students.get(data.student_id);
+    if (data.student_name) row.student_name = data.student_name;
+    return row;
+  };
+
+  for (const event of events) {
+    const data = event.event_data || {};
+    const timestamp = data.timestamp || event.timestamp || null;
+
+    switch (event.event_type) {
+      case 'phase_advance':
+        if (data.phase === 2) questionOpened = true;
+        current = { questionIdx: data.question_idx, phase: data.phase };
+        break;
+      case 'student_join': {
+        const row = studentRow(data);
+        if (!joined.has(data.student_id)) {
+          joined.add(data.student_id);
+          row.joined_at = timestamp;
+          row.joined_at_question = data.question_idx ?? null;
+          // Late means the first question had already opened when they arrived
+          row.joined_late = questionOpened && !data.rejoin;
+        }
+        break;
+      }
+      case 'student_disconnect':
+        studentRow(data).disconnects.push({ question_idx: data.question_idx ?? null, reason: data.reason || null, at: timestamp });
+        break;
+      case 'student_removed':
+        studentRow(data).removed = true;
+        // Like the live room: an answer to a question that hasn't been graded yet leaves with them
+        if (current.phase < 3) answers.get(current.questionIdx)?.delete(data.student_id);
+        break;
+      case 'student_answer': {
+        studentRow(data);
+        if (!answers.has(data.question_idx)) answers.set(data.question_idx, new Map());
+        // Older logs only carry answer_idx
+        const answer = data.answer !== undefined ? data.answer : data.answer_idx;
+        answers.get(data.question_idx).set(data.student_id, { answer, responseMs: data.response_ms ?? null });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  const perStudent = new Map(Array.from(students.keys()).map(id => [id, { answered: 0, correct: 0, times: [], answers: [] }]));
+  const questionIdxs = Array.from(new Set([...Object.keys(keys).map(Number), ...answers.keys()])).sort((a, b) => a - b);
+
+  const questions = questionIdxs.map(questionIdx => {
+    const key = keys[questionIdx] || emptyAnswerKey();
+    const submitted = answers.get(questionIdx) || new Map();
+    const wrong = [];
+    const times = [];
+    let correctCount = 0;
+
+    for (const [studentId, { answer, responseMs }] of submitted.entries()) {
+      const correct = isAnswerCorrect(key, answer);
+      const stats = perStudent.get(studentId);
+      stats.answered += 1;
+      stats.answers.push({
+        question_idx: questionIdx,
+        answer,
+        label: answer === null || answer === undefined ? null : describeAnswer(key, answer),
+        correct,
+        response_ms: responseMs,
+      });
+      if (correct) {
+        correctCount += 1;
+        stats.correct += 1;
+      } else if (answer !== null && answer !== undefined) {
+        wrong.push(answer);
+      }
+      if (typeof responseMs === 'number') {
+        times.push(responseMs);
+        stats.times.push(responseMs);
+      }
+    }
+
+    return {
+      question_idx: questionIdx,
+      prompt: key.prompt,
+      type: key.type,
+      responses: submitted.size,
+      correct: correctCount,
+      percent_correct: percent(correctCount, submitted.size),
+      average_response_ms: average(times),
+      distractors: rankDistractors(key, wrong),
+    };
+  });
+
+  const studentRows = Array.from(students.values()).map(row => {
+    const stats = perStudent.get(row.student_id);
+    return {
+      ...row,
+      answered: stats.answered,
+      correct: stats.correct,
+      accuracy: percent(stats.correct, stats.answered),
+      average_response_ms: average(stats.times),
+      answers: stats.answers,
+    };
+  }).sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1) || a.student_name.localeCompare(b.student_name));
+
+  return {
+    total_questions: questions.length,
+    total_students: studentRows.length,
+    questions,
+    students: studentRows,
+    late_joiners: studentRows.filter(row => row.joined_late).map(row => row.student_id),
+    disconnected: studentRows.filter(row => row.disconnects.length > 0).map(row => row.student_id),
+  };
+}
+
+module.exports = {
+  TOP_DISTRACTORS,
+  describeAnswer,
+  buildSessionReport,
+};
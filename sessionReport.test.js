@@ -0,0 +1,111 @@
+const { buildSessionReport } = require('./sessionReport');
+
+const event = (event_type, event_data) => ({ event_type, event_data });
+const phase = (question_idx, phaseNumber, extra = {}) => event('phase_advance', { question_idx, phase: phaseNumber, ...extra });
+const answer = (student_id, question_idx, value, response_ms = null) => event('student_answer', {
+  student_id, student_name: student_id.toUpperCase(), question_idx, answer: value, response_ms,
+});
+const join = (student_id, question_idx, rejoin = false) => event('student_join', {
+  student_id, student_name: student_id.toUpperCase(), question_idx, rejoin,
+});
+
+const quiz = {
+  questions: [
+    { type: 'choice', prompt: 'Capital of France?', choices: [{ text: 'Paris' }, { text: 'Lyon' }, { text: 'Nice' }], correctIdxs: [0] },
+    { type: 'multi', prompt: 'Primes?', choices: [{ text: '2' }, { text: '3' }, { text: '4' }], correctIdxs: [0, 1] },
+    { type: 'numeric', prompt: 'Pi?', choices: [], correctIdxs: [], numericAnswer: { value: 3.14, tolerance: 0.01 } },
+  ],
+};
+
+const events = [
+  join('ann', 0),
+  join('bob', 0),
+  phase(0, 2, { correct_idxs: [0] }),
+  answer('ann', 0, 0, 4000),
+  answer('bob', 0, 2, 2000),
+  answer('bob', 0, 1, 3000),
+  join('cat', 0),
+  answer('cat', 0, 1, 8000),
+  phase(0, 3, { correct_idxs: [0] }),
+  phase(1, 2, { question_type: 'multi', correct_idxs: [0, 1] }),
+  answer('ann', 1, [0, 1], 5000),
+  answer('bob', 1, [0, 1, 2]),
+  answer('cat', 1, [2]),
+  event('student_disconnect', { student_id: 'cat', question_idx: 1, reason: 'transport close' }),
+  join('cat', 1, true),
+  phase(1, 3),
+  phase(2, 2, { question_type: 'numeric', correct_idxs: [], numeric_answer: { value: 3.14, tolerance: 0.01 } }),
+  answer('ann', 2, 3.15, 6000),
+  answer('bob', 2, 3),
+  event('student_disconnect', { student_id: 'bob', question_idx: 2, reason: 'ping timeout' }),
+  event('student_removed', { student_id: 'bob', question_idx: 2 }),
+];
+
+describe('session report', () => {
+  test('per-question percent correct, response times and distractors', () => {
+    const report = buildSessionReport(events, quiz);
+    expect(report.total_questions).toBe(3);
+
+    const [first, second, third] = report.questions;
+    expect(first).toEqual({
+      question_idx: 0,
+      prompt: 'Capital of France?',
+      type: 'choice',
+      responses: 3,
+      correct: 1,
+      percent_correct: 33.3,
+      average_response_ms: 5000,
+      distractors: [{ answer: 1, label: 'Lyon', count: 2 }],
+    });
+    expect(second.percent_correct).toBe(33.3);
+    expect(second.distractors).toEqual([{ answer: 2, label: '4', count: 2 }]);
+    // bob left before question 3 was graded, so his answer went with him
+    expect(third).toMatchObject({ responses: 1, percent_correct: 100, distractors: [] });
+  });
+
+  test('per-student accuracy, late joiners and disconnects', () => {
+    const report = buildSessionReport(events, quiz);
+    expect(report.students.map(s => [s.student_id, s.correct, s.answered, s.accuracy])).toEqual([
+      ['ann', 3, 3, 100],
+      ['bob', 0, 2, 0],
+      ['cat', 0, 2, 0],
+    ]);
+    expect(report.students[0].average_response_ms).toBe(5000);
+    expect(report.late_joiners).toEqual(['cat']);
+    expect(report.disconnected).toEqual(['bob', 'cat']);
+
+    const cat = report.students.find(s => s.student_id === 'cat');
+    expect(cat).toMatchObject({ joined_late: true, joined_at_question: 0, removed: false });
+    expect(cat.disconnects).toEqual([{ question_idx: 1, reason: 'transport close', at: null }]);
+    expect(report.students.find(s => s.student_id === 'bob').removed).toBe(true);
+    expect(cat.answers).toEqual([
+      { question_idx: 0, answer: 1, label: 'Lyon', correct: false, response_ms: 8000 },
+      { question_idx: 1, answer: [2], label: '4', correct: false, response_ms: null },
+    ]);
+  });
+
+  test('the logged answer key works without the quiz', () => {
+    const report = buildSessionReport(events);
+    expect(report.questions[0]).toMatchObject({ prompt: null, percent_correct: 33.3 });
+    expect(report.questions[0].distractors[0].label).toBe('Choice 2');
+    expect(report.questions[2].percent_correct).toBe(100);
+  });
+
+  test('a numeric answer of zero is kept from the log', () => {
+    const report = buildSessionReport([
+      phase(0, 2, { question_type: 'numeric', correct_idxs: [], numeric_answer: { value: 0, tolerance: 0 } }),
+      answer('ann', 0, 0),
+      answer('bob', 0, 1),
+    ]);
+    expect(report.questions[0]).toMatchObject({ type: 'numeric', responses: 2, correct: 1, percent_correct: 50 });
+  });
+
+  test('older logs with answer_idx and no response times', () => {
+    const report = buildSessionReport([
+      phase(0, 2, { correct_idxs: [1] }),
+      event('student_answer', { student_id: 'dan', student_name: 'Dan', question_idx: 0, answer_idx: 1 }),
+    ]);
+    expect(report.questions[0]).toMatchObject({ responses: 1, percent_correct: 100, average_response_ms: null });
+    expect(report.students[0]).toMatchObject({ student_id: 'dan', accuracy: 100, joined_at: null, joined_late: false });
+  });
+});
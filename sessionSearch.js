@@ -0,0 +1,138 @@
+// Search options for the replay list and GET /api/sessions: text search, filters, sort and cursor pagination
+//
+// Pages are keyset-paginated: the cursor carries the sort it was made for plus the last row's sort key and
+// slug, so the next page starts right after that row even if sessions were added or removed in between.
+
+const SESSION_SORTS = ['newest', 'oldest', 'name'];
+const SESSION_STATUSES = ['active', 'completed'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 100;
+
+const MAX_EMAIL_LENGTH = 255;
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+$/;
+
+function encodeCursor(sort, sortKey, sessionSlug) {
+  return Buffer.from(JSON.stringify([sort, sortKey, sessionSlug])).toString('base64url');
+}
+
+// Returns { sort, sortKey, sessionSlug } or null if the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 3 || !decoded.every(part => typeof part === 'string')) return null;
+    const [sort, sortKey, sessionSlug] = decoded;
+    return { sort, sortKey, sessionSlug };
+  } catch (error) {
+    return null;
+  }
+}
+
+// A calendar date as YYYY-MM-DD, or null if it isn't one (e.g. 2024-02-30)
+function parseDate(value) {
+  const match = DATE_RE.exec(value);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value ? value : null;
+}
+
+// Query-string parameters (all optional): q, status, from, to (YYYY-MM-DD, inclusive), starred, teacher (owner email),
+// sort, limit, cursor
+// Returns { search } with defaults filled in, or { error } with a readable message
+function parseSessionSearch(query = {}) {
+  const text = name => {
+    const value = query[name];
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+  };
+
+  const search = {
+    q: text('q'),
+    status: text('status'),
+    from: text('from'),
+    to: text('to'),
+    starred: null,
+    teacher: text('teacher'),
+    sort: text('sort') || SESSION_SORTS[0],
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null,
+  };
+
+  if (search.q && search.q.length > MAX_QUERY_LENGTH) return { error: `q can be at most ${MAX_QUERY_LENGTH} characters` };
+  if (search.status && !SESSION_STATUSES.includes(search.status)) {
+    return { error: `status must be one of: ${SESSION_STATUSES.join(', ')}` };
+  }
+  for (const name of ['from', 'to']) {
+    if (search[name] && !parseDate(search[name])) return { error: `${name} must be a date like 2024-01-31` };
+  }
+  if (search.from && search.to && search.from > search.to) return { error: 'from must not be after to' };
+  if (search.teacher) {
+    if (search.teacher.length > MAX_EMAIL_LENGTH || !EMAIL_RE.test(search.teacher)) {
+      return { error: 'teacher must be an email address' };
+    }
+    search.teacher = search.teacher.toLowerCase();
+  }
+  if (!SESSION_SORTS.includes(search.sort)) return { error: `sort must be one of: ${SESSION_SORTS.join(', ')}` };
+
+  const starred = text('starred');
+  if (starred !== null) {
+    if (!['true', 'false', '1', '0'].includes(starred)) return { error: 'starred must be true or false' };
+    search.starred = starred === 'true' || starred === '1';
+  }
+
+  const limit = text('limit');
+  if (limit !== null) {
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_PAGE_SIZE) {
+      return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    search.limit = number;
+  }
+
+  const cursor = text('cursor');
+  if (cursor !== null) {
+    search.cursor = decodeCursor(cursor);
+    if (!search.cursor) return { error: 'cursor is not valid' };
+    if (search.cursor.sort !== search.sort) return { error: 'cursor belongs to a different sort order' };
+  }
+
+  return { search };
+}
+
+// Limit a search to what the signed-in teacher (see authenticateTeacher) may see: the admin sees every session and
+// can filter by any teacher, other teachers only their own. Returns { search } or { error }
+function scopeSessionSearch(search, teacher) {
+  if (teacher.isAdmin) return { search };
+  if (search.teacher && search.teacher !== teacher.email) return { error: 'teachers can only list their own sessions' };
+  return { search: { ...search, teacher: teacher.email } };
+}
+
+// Query string for a link to the same search, e.g. the next page; defaults are left out
+function searchQueryString(search, overrides = {}) {
+  const merged = { ...search, ...overrides };
+  const params = new URLSearchParams();
+  if (merged.q) params.set('q', merged.q);
+  if (merged.status) params.set('status', merged.status);
+  if (merged.from) params.set('from', merged.from);
+  if (merged.to) params.set('to', merged.to);
+  if (merged.starred !== null && merged.starred !== undefined) params.set('starred', String(merged.starred));
+  if (merged.teacher) params.set('teacher', merged.teacher);
+  if (merged.sort && merged.sort !== SESSION_SORTS[0]) params.set('sort', merged.sort);
+  if (merged.limit && merged.limit !== DEFAULT_PAGE_SIZE) params.set('limit', String(merged.limit));
+  if (typeof merged.cursor === 'string') params.set('cursor', merged.cursor);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+module.exports = {
+  SESSION_SORTS,
+  SESSION_STATUSES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parseSessionSearch,
+  scopeSessionSearch,
+  searchQueryString,
+};
@@ -0,0 +1,75 @@
+const { encodeCursor, decodeCursor, parseSessionSearch, scopeSessionSearch, searchQueryString } = require('./sessionSearch');
+
+describe('session search', () => {
+  test('defaults to the newest sessions, 25 at a time', () => {
+    expect(parseSessionSearch({})).toEqual({
+      search: { q: null, status: null, from: null, to: null, starred: null, teacher: null, sort: 'newest', limit: 25, cursor: null },
+    });
+    // Empty form fields count as unset
+    expect(parseSessionSearch({ q: '  ', status: '', sort: '' }).search).toMatchObject({ q: null, status: null, sort: 'newest' });
+  });
+
+  test('filters, sort and page size are read from the query string', () => {
+    expect(parseSessionSearch({
+      q: ' fractions ',
+      status: 'completed',
+      from: '2024-01-01',
+      to: '2024-01-31',
+      starred: 'true',
+      teacher: 'Ann@School.org',
+      sort: 'name',
+      limit: '10',
+    }).search).toEqual({
+      q: 'fractions',
+      status: 'completed',
+      from: '2024-01-01',
+      to: '2024-01-31',
+      starred: true,
+      teacher: 'ann@school.org',
+      sort: 'name',
+      limit: 10,
+      cursor: null,
+    });
+  });
+
+  test('bad parameters are rejected with a readable message', () => {
+    expect(parseSessionSearch({ status: 'paused' }).error).toBe('status must be one of: active, completed');
+    expect(parseSessionSearch({ from: '2024-02-30' }).error).toBe('from must be a date like 2024-01-31');
+    expect(parseSessionSearch({ from: '2024-03-01', to: '2024-02-01' }).error).toBe('from must not be after to');
+    expect(parseSessionSearch({ sort: 'random' }).error).toMatch(/^sort/);
+    expect(parseSessionSearch({ limit: '500' }).error).toMatch(/^limit/);
+    expect(parseSessionSearch({ starred: 'maybe' }).error).toMatch(/^starred/);
+    expect(parseSessionSearch({ teacher: 'ann' }).error).toBe('teacher must be an email address');
+    expect(parseSessionSearch({ q: 'x'.repeat(101) }).error).toMatch(/^q/);
+    expect(parseSessionSearch({ cursor: 'not-a-cursor' }).error).toBe('cursor is not valid');
+  });
+
+  test('cursors round-trip and only work with the sort they were made for', () => {
+    const cursor = encodeCursor('oldest', '2024-01-05 09:00:00.123456', '2024-01-05-quiz-abc123');
+    expect(decodeCursor(cursor)).toEqual({ sort: 'oldest', sortKey: '2024-01-05 09:00:00.123456', sessionSlug: '2024-01-05-quiz-abc123' });
+    expect(parseSessionSearch({ sort: 'oldest', cursor }).search.cursor.sessionSlug).toBe('2024-01-05-quiz-abc123');
+    expect(parseSessionSearch({ cursor }).error).toBe('cursor belongs to a different sort order');
+    expect(decodeCursor(Buffer.from('[1,2,3]').toString('base64url'))).toBeNull();
+  });
+
+  test('teachers only see their own sessions; the admin sees everyone\'s', () => {
+    const ann = { email: 'ann@school.org', isAdmin: false };
+    const admin = { email: 'admin@school.org', isAdmin: true };
+    const everyone = parseSessionSearch({ q: 'fractions' }).search;
+    const bobs = parseSessionSearch({ teacher: 'Bob@School.org' }).search;
+
+    expect(scopeSessionSearch(everyone, ann).search).toMatchObject({ q: 'fractions', teacher: 'ann@school.org' });
+    expect(scopeSessionSearch(parseSessionSearch({ teacher: 'ANN@school.org' }).search, ann).search.teacher).toBe('ann@school.org');
+    expect(scopeSessionSearch(bobs, ann)).toEqual({ error: 'teachers can only list their own sessions' });
+
+    expect(scopeSessionSearch(everyone, admin).search.teacher).toBeNull();
+    expect(scopeSessionSearch(bobs, admin).search.teacher).toBe('bob@school.org');
+  });
+
+  test('page links keep the search and leave out defaults', () => {
+    const { search } = parseSessionSearch({ q: 'a&b', sort: 'name', starred: 'false' });
+    expect(searchQueryString(search)).toBe('?q=a%26b&starred=false&sort=name');
+    expect(searchQueryString(search, { cursor: 'abc' })).toBe('?q=a%26b&starred=false&sort=name&cursor=abc');
+    expect(searchQueryString(parseSessionSearch({}).search)).toBe('');
+  });
+});
@@ -0,0 +1,67 @@
+const request = require('supertest');
+
+// The pages only need the session queries; the fake trash filters by teacher the way the SQL does
+jest.mock('./database', () => {
+  const trashed = [
+    { id: 1, session_slug: 'ann-fractions', quiz_filename: 'fractions.md', teacher_email: 'ann@school.org' },
+    { id: 2, session_slug: 'bob-decimals', quiz_filename: 'decimals.md', teacher_email: 'bob@school.org' },
+  ].map(session => ({ ...session, created_at: '2024-01-05T09:00:00Z', deleted_at: '2024-02-01T09:00:00Z', status: 'completed' }));
+
+  return {
+    initDatabase: () => null,
+    getPool: () => null,
+    migrateDatabase: async () => false,
+    testConnection: async () => false,
+    gameDatabase: {
+      getTrashedGameSessions: jest.fn(async (teacherEmail = null) =>
+        trashed.filter(session => teacherEmail === null || session.teacher_email === teacherEmail)),
+    },
+  };
+});
+
+describe('teacher pages', () => {
+  const saved = { ...process.env };
+  let app;
+  let gameDatabase;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Object.assign(process.env, {
+      PORT: '0',
+      NODE_ENV: 'test',
+      ADMIN_TOKEN: 'admin-pw',
+      TEACHER_EMAIL: 'admin@school.org',
+      TEACHER_TOKENS: 'ann@school.org:ann-pw,bob@school.org:bob-pw',
+    });
+    ({ server: app } = require('./index'));
+    ({ gameDatabase } = require('./database'));
+  });
+  afterAll(done => {
+    process.env = saved;
+    console.log.mockRestore();
+    require('./index').io.close(() => done());
+  });
+
+  test('the trash asks for a password before listing anything', async () => {
+    const res = await request(app).get('/replays/trash');
+    expect(res.status).toBe(401);
+    expect(res.text).toContain('name="token"');
+    expect(res.text).not.toContain('fractions');
+    expect(gameDatabase.getTrashedGameSessions).not.toHaveBeenCalled();
+
+    expect((await request(app).post('/replays/trash').type('form').send({ token: 'nope' })).text).toContain('That password is not correct.');
+  });
+
+  test('a teacher only sees their own trash; the admin sees everyone\'s', async () => {
+    const ann = await request(app).post('/replays/trash').type('form').send({ token: 'ann-pw' });
+    expect(ann.status).toBe(200);
+    expect(gameDatabase.getTrashedGameSessions).toHaveBeenLastCalledWith('ann@school.org');
+    expect(ann.text).toContain('ann-fractions');
+    expect(ann.text).not.toContain('bob-decimals');
+
+    const admin = await request(app).get('/replays/trash').set('Authorization', 'Bearer admin-pw');
+    expect(gameDatabase.getTrashedGameSessions).toHaveBeenLastCalledWith(null);
+    expect(admin.text).toContain('ann-fractions');
+    expect(admin.text).toContain('bob-decimals');
+  });
+});
@@ -0,0 +1,82 @@
+// Team mode: students race as the waiting screen's left and right sides
+const { countCorrect } = require('./grading');
+
+const TEAM_LEFT = 'left';
+const TEAM_RIGHT = 'right';
+const TEAMS = [TEAM_LEFT, TEAM_RIGHT];
+
+// 'auto' balances new students across teams, 'self' lets students pick
+const TEAM_ASSIGNMENT_AUTO = 'auto';
+const TEAM_ASSIGNMENT_SELF = 'self';
+
+function normalizeTeam(team) {
+  return TEAMS.includes(team) ? team : null;
+}
+
+// The smaller team (left on a tie)
+function pickBalancedTeam(students) {
+  const counts = { [TEAM_LEFT]: 0, [TEAM_RIGHT]: 0 };
+  for (const student of students) {
+    if (counts[student.team] !== undefined) counts[student.team] += 1;
+  }
+  return counts[TEAM_RIGHT] < counts[TEAM_LEFT] ? TEAM_RIGHT : TEAM_LEFT;
+}
+
+// Give every unassigned student a team, keeping the sides even
+function assignUnassigned(students) {
+  const list = Array.from(students);
+  for (const student of list) {
+    if (!normalizeTeam(student.team)) {
+      student.team = pickBalancedTeam(list);
+    }
+  }
+}
+
+// Per-team totals; teams are ranked by average square (fair to uneven teams), then correct answers
+// Returns { teams: [{ team, name, color, members, total_square, average_square, total_correct }], leader }
+function computeTeamStandings(room) {
+  const teams = TEAMS.map(team => ({
+    team,
+    name: team === TEAM_LEFT ? room.waitingLeftName : room.waitingRightName,
+    color: team === TEAM_LEFT ? room.waitingLeftColor : room.waitingRightColor,
+    members: [],
+    total_square: 0,
+    average_square: 0,
+    total_correct: 0,
+  }));
+
+  for (const [id, student] of room.students.entries()) {
+    const entry = teams.find(t => t.team === student.team);
+    if (!entry) continue;
+    entry.members.push(id);
+    entry.total_square += student.square || 0;
+    entry.total_correct += countCorrect(room.questionResults, id);
+  }
+  for (const entry of teams) {
+    entry.average_square = entry.members.length
+      ? Math.round((entry.total_square / entry.members.length) * 100) / 100
+      : 0;
+  }
+
+  const [left, right] = teams;
+  let leader = null;
+  if (left.average_square !== right.average_square) {
+    leader = left.average_square > right.average_square ? TEAM_LEFT : TEAM_RIGHT;
+  } else if (left.total_correct !== right.total_correct) {
+    leader = left.total_correct > right.total_correct ? TEAM_LEFT : TEAM_RIGHT;
+  }
+
+  return { teams, leader };
+}
+
+module.exports = {
+  TEAM_LEFT,
+  TEAM_RIGHT,
+  TEAMS,
+  TEAM_ASSIGNMENT_AUTO,
+  TEAM_ASSIGNMENT_SELF,
+  normalizeTeam,
+  pickBalancedTeam,
+  assignUnassigned,
+  computeTeamStandings,
+};
@@ -0,0 +1,51 @@
+const { normalizeTeam, pickBalancedTeam, assignUnassigned, computeTeamStandings } = require('./teams');
+const { createRoomState } = require('./rooms');
+
+describe('teams', () => {
+  test('normalizeTeam only accepts the two sides', () => {
+    expect(normalizeTeam('left')).toBe('left');
+    expect(normalizeTeam('right')).toBe('right');
+    expect(normalizeTeam('middle')).toBeNull();
+    expect(normalizeTeam(undefined)).toBeNull();
+  });
+
+  test('auto assignment keeps the sides balanced', () => {
+    expect(pickBalancedTeam([])).toBe('left');
+    expect(pickBalancedTeam([{ team: 'left' }])).toBe('right');
+
+    const students = [{ team: 'left' }, { team: 'left' }, { team: null }, { team: null }, { team: 'bogus' }];
+    assignUnassigned(students);
+    const counts = students.reduce((acc, s) => ({ ...acc, [s.team]: (acc[s.team] || 0) + 1 }), {});
+    expect(counts).toEqual({ left: 3, right: 2 });
+  });
+
+  test('computeTeamStandings aggregates squares and correct answers per side', () => {
+    const room = createRoomState('ABCDE');
+    room.students.set('a', { name: 'Ann', square: 10, team: 'left', sockets: new Set() });
+    room.students.set('b', { name: 'Bo', square: 4, team: 'left', sockets: new Set() });
+    room.students.set('c', { name: 'Cy', square: 9, team: 'right', sockets: new Set() });
+    room.students.set('d', { name: 'Di', square: 50, team: null, sockets: new Set() });
+    room.questionResults.set(0, new Map([
+      ['a', { answer: 0, correct: true }],
+      ['c', { answer: 0, correct: true }],
+    ]));
+    room.questionResults.set(1, new Map([['c', { answer: 1, correct: true }]]));
+
+    const { teams, leader } = computeTeamStandings(room);
+    expect(teams).toEqual([
+      { team: 'left', name: 'Ketchup', color: '#f72702', members: ['a', 'b'], total_square: 14, average_square: 7, total_correct: 1 },
+      { team: 'right', name: 'Mustard', color: '#f1c232', members: ['c'], total_square: 9, average_square: 9, total_correct: 2 },
+    ]);
+    expect(leader).toBe('right');
+  });
+
+  test('ties on squares are broken by correct answers, full ties have no leader', () => {
+    const room = createRoomState('ABCDE');
+    room.students.set('a', { name: 'Ann', square: 5, team: 'left', sockets: new Set() });
+    room.students.set('b', { name: 'Bo', square: 5, team: 'right', sockets: new Set() });
+    expect(computeTeamStandings(room).leader).toBeNull();
+
+    room.questionResults.set(0, new Map([['a', { answer: 0, correct: true }]]));
+    expect(computeTeamStandings(room).leader).toBe('left');
+  });
+});
@@ -18,6 +18,16 @@ function sanitizeName(name) {
   return clean;
 }
 
+// Escape text for interpolation into server-rendered HTML pages
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Simple in-memory rate limiter (per socket)
 const rateLimits = {};
 function rateLimit(socketId, event, maxPerSec = 4) {
@@ -36,5 +46,6 @@ function rateLimit(socketId, event, maxPerSec = 4) {
 module.exports = {
   containsProfanity,
   sanitizeName,
+  escapeHtml,
   rateLimit,
 };